@@ -1,142 +1,408 @@
 const vscode = require('vscode');
 const fs = require('node:fs/promises');
 const path = require('node:path');
+const os = require('node:os');
+const http = require('node:http');
+const https = require('node:https');
+const tls = require('node:tls');
 const { execFile } = require('node:child_process');
 const { promisify } = require('node:util');
+const crypto = require('node:crypto');
 
 const execFileAsync = promisify(execFile);
 
 const ACCESS_TOKEN_KEY = 'kflow.accessToken';
 const REFRESH_TOKEN_KEY = 'kflow.refreshToken';
 const EXPIRES_AT_KEY = 'kflow.expiresAt';
+// SecretStorage key of every session field.
+const SESSION_SECRET_KEYS = {
+  accessToken: ACCESS_TOKEN_KEY,
+  idToken: 'kflow.idToken',
+  refreshToken: REFRESH_TOKEN_KEY,
+  cookie: 'kflow.sessionCookie',
+  expiresAt: EXPIRES_AT_KEY
+};
+const OIDC_URI_CALLBACK_PATH = '/auth-callback';
+const OIDC_LOGIN_TIMEOUT_MS = 5 * 60 * 1000;
+// oauth2-proxy does not tell how long a pasted cookie lives; its default is 168h.
+const COOKIE_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const COOKIE_LOGIN_MAX_REDIRECTS = 20;
+
+// Layout of the unpacked source tree inside training pods.
+const CODE_MOUNT_PATH = '/workspace';
+const ARTIFACT_MOUNT_PATH = '/artifact';
+const ARTIFACT_DATA_KEY = 'artifact.tar.gz.base64';
+// MPIJob workers touch this file once their pip/apt install is done; the launcher
+// waits for it on every worker (20 minutes at most) before running mpirun.
+const MPI_WORKER_READY_FILE = '/tmp/kflow-deps-ready';
+const MPI_WORKER_READY_ATTEMPTS = 120;
+const MPI_WORKER_READY_INTERVAL_SECONDS = 10;
+
+// Kubeflow Training Operator job kinds. `primaryRole` runs the entrypoint,
+// `workerRole` receives additional replicas.
+const JOB_API_GROUP = 'kubeflow.org';
+const JOB_API_VERSION = 'v1';
+const DEFAULT_JOB_KIND = 'PyTorchJob';
+const DEFAULT_GPU_RESOURCE = 'nvidia.com/gpu';
+// Kueue admits jobs labelled with the name of a LocalQueue in their namespace.
+const KUEUE_QUEUE_LABEL = 'kueue.x-k8s.io/queue-name';
+const JOB_KINDS = {
+  PyTorchJob: {
+    plural: 'pytorchjobs',
+    replicaSpecsKey: 'pytorchReplicaSpecs',
+    containerName: 'pytorch',
+    primaryRole: 'Master',
+    workerRole: 'Worker',
+    namePrefix: 'ptjob'
+  },
+  TFJob: {
+    plural: 'tfjobs',
+    replicaSpecsKey: 'tfReplicaSpecs',
+    containerName: 'tensorflow',
+    primaryRole: 'Chief',
+    workerRole: 'Worker',
+    namePrefix: 'tfjob'
+  },
+  MPIJob: {
+    plural: 'mpijobs',
+    replicaSpecsKey: 'mpiReplicaSpecs',
+    containerName: 'mpi',
+    primaryRole: 'Launcher',
+    workerRole: 'Worker',
+    namePrefix: 'mpijob'
+  },
+  PaddleJob: {
+    plural: 'paddlejobs',
+    replicaSpecsKey: 'paddleReplicaSpecs',
+    containerName: 'paddle',
+    primaryRole: 'Master',
+    workerRole: 'Worker',
+    namePrefix: 'pdjob'
+  },
+  XGBoostJob: {
+    plural: 'xgboostjobs',
+    replicaSpecsKey: 'xgbReplicaSpecs',
+    containerName: 'xgboost',
+    primaryRole: 'Master',
+    workerRole: 'Worker',
+    namePrefix: 'xgbjob'
+  }
+};
+
+const WATCH_RETRY_DELAY_MS = 3000;
+const WATCH_TIMEOUT_SECONDS = 300;
+const JOB_DURATION_TICK_MS = 30000;
+const NOTEBOOK_API_VERSION = 'v1';
+const NOTEBOOK_STOPPED_ANNOTATION = 'kubeflow-resource-stopped';
+const NOTEBOOK_HOME = '/home/jovyan';
+const JUPYTER_EXTENSION_ID = 'ms-toolsai.jupyter';
+const JUPYTER_SERVER_COLLECTION_ID = 'kubeflow-notebooks';
+const JUPYTER_SERVER_COLLECTION_LABEL = 'Kubeflow Notebooks';
+const DEFAULT_NOTEBOOK_IMAGES = [
+  'kubeflownotebookswg/jupyter-scipy:v1.8.0',
+  'kubeflownotebookswg/jupyter-pytorch-cuda-full:v1.8.0',
+  'kubeflownotebookswg/jupyter-tensorflow-cuda-full:v1.8.0',
+  'kubeflownotebookswg/codeserver-python:v1.8.0'
+];
+const PIPELINES_API_PATH = '/pipeline/apis/v2beta1';
+const MODEL_REGISTRY_API_PATH = '/api/model_registry/v1alpha3';
+
+// KFP run states mapped onto the job states used for icons.
+const PIPELINE_RUN_STATES = {
+  PENDING: 'Pending',
+  RUNNING: 'Running',
+  SUCCEEDED: 'Succeeded',
+  SKIPPED: 'Succeeded',
+  FAILED: 'Failed',
+  CANCELING: 'Suspended',
+  CANCELED: 'Suspended',
+  PAUSED: 'Suspended'
+};
 
+const ENV_SOURCE_HIDDEN_SECRET_TYPES = ['kubernetes.io/service-account-token', 'helm.sh/release.v1'];
+const TEMPLATE_VARIABLE_RE = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::([^}]*))?\}/g;
+const RUN_HISTORY_KEY = 'kflow.runHistory';
+const RUN_HISTORY_SCHEME = 'kflow-run';
+const TRACKED_RUNS_KEY = 'kflow.trackedRuns';
+const JOB_SPEC_SCHEME = 'kflow-spec';
+const JOB_SPEC_FILE_RE = /\.kflow\.(json|ya?ml)$/i;
+const JOB_SPEC_SELECTOR = { pattern: '**/{.kflow,*.kflow}.{json,yaml,yml}' };
+const JOB_SPEC_VALIDATE_DELAY_MS = 500;
+const MANIFEST_EDIT_HEADER = '# Edit this Kubeflow job and save to submit it (or to dry-run it first).\n# Close without saving to discard.\n';
+// Plain scalars other YAML readers (YAML 1.1 included) would not read as strings.
+const YAML_AMBIGUOUS_RE = /^([-+]?(\.\d+|\d+(\.\d*)?)([eE][-+]?\d+)?|0x[0-9a-fA-F]+|0o[0-7]+|[-+]?\.(inf|Inf|INF)|\.(nan|NaN|NAN)|y|Y|yes|Yes|YES|n|N|no|No|NO|on|On|ON|off|Off|OFF|<<)$/;
+// API retries back off exponentially (with jitter) from the base delay up to the cap.
+const REQUEST_BACKOFF_BASE_MS = 500;
+const REQUEST_BACKOFF_MAX_MS = 8000;
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+const LIST_PAGE_SIZE = 500;
+const LOG_RECONNECT_DELAY_MS = 2000;
+const LOG_TAIL_LINES = 200;
+// Log lines fetched from failed containers for the job diagnosis, and shown per finding.
+const DIAGNOSIS_LOG_LINES = 100;
+const DIAGNOSIS_EXCERPT_LINES = 15;
+
+const S3_SECRET_ACCESS_KEY = 'kflow.s3SecretAccessKey';
+// SigV4 presigned URLs are valid for at most 7 days.
+const S3_DOWNLOAD_URL_TTL_SECONDS = 7 * 24 * 60 * 60;
+const PRESIGNED_URL_RE = /https?:\/\/[^\s'"\\]+X-Amz-Signature=[0-9a-f]+/g;
+const ARTIFACT_UPLOADER_PORT = 8080;
+const PVC_ARTIFACT_ANNOTATION_PREFIX = 'artifacts.kubeflow-vscode/';
+// A ConfigMap must stay below 1 MiB in etcd; base64 inflates the archive by 4/3.
+const CONFIGMAP_MAX_ARCHIVE_BYTES = 750 * 1024;
+// Taking over an artifact ConfigMap the garbage collector is about to delete.
+const ARTIFACT_RECLAIM_ATTEMPTS = 10;
+const ARTIFACT_RECLAIM_DELAY_MS = 1000;
+const ARTIFACT_FILE_PREFIX = '.kflow-artifact-';
+const MANAGED_BY_LABEL_SELECTOR = 'app.kubernetes.io/managed-by=kubeflow-vscode';
+// Cleanup leaves younger leftovers alone: they may belong to a submission in progress
+// (the uploader pod's activeDeadlineSeconds is 600).
+const ORPHAN_MIN_AGE_MS = 15 * 60 * 1000;
+const CLEAN_POD_POLICIES = ['None', 'Running', 'All'];
+// Kubernetes quantity suffixes (binary and decimal SI).
+const QUANTITY_MULTIPLIERS = {
+  m: 1e-3,
+  k: 1e3,
+  M: 1e6,
+  G: 1e9,
+  T: 1e12,
+  P: 1e15,
+  E: 1e18,
+  Ki: 2 ** 10,
+  Mi: 2 ** 20,
+  Gi: 2 ** 30,
+  Ti: 2 ** 40,
+  Pi: 2 ** 50,
+  Ei: 2 ** 60
+};
+const IGNORE_FILES = ['.gitignore', '.kflowignore'];
+// Always excluded, on top of .gitignore/.kflowignore.
+const DEFAULT_IGNORE_PATTERNS = [
+  '.git/',
+  '.hg/',
+  '.svn/',
+  '.venv/',
+  'venv/',
+  '__pycache__/',
+  '*.pyc',
+  '.ipynb_checkpoints/',
+  'node_modules/',
+  '.DS_Store',
+  `${ARTIFACT_FILE_PREFIX}*.tar.gz`
+];
+
+// Connection settings a kflow.profiles entry can override; everything else comes
+// from the top-level kflow.* settings.
+const PROFILE_FIELDS = [
+  'url',
+  'authMethod',
+  'realm',
+  'tokenUrl',
+  'clientId',
+  'oidcIssuer',
+  'useIdToken',
+  'verifySSL',
+  'caFile',
+  'defaultNamespace',
+  'modelRegistryUrl',
+  'gpuResourceName',
+  'queueName'
+];
+
+// `profile` is the name of the active kflow.profiles entry, if any.
 function getSettings() {
   const cfg = vscode.workspace.getConfiguration();
-  return {
+  const settings = {
     url: cfg.get('kflow.url', ''),
     verifySSL: cfg.get('kflow.verifySSL', true),
     realm: cfg.get('kflow.keycloak.realm', ''),
     tokenUrl: cfg.get('kflow.keycloak.tokenUrl', ''),
     clientId: cfg.get('kflow.keycloak.clientId', 'kubeflow-vscode'),
+    authMethod: cfg.get('kflow.auth.method', 'password'),
+    oidcIssuer: cfg.get('kflow.oidc.issuer', ''),
+    oidcScopes: cfg.get('kflow.oidc.scopes', 'openid profile email offline_access'),
+    oidcRedirect: cfg.get('kflow.oidc.redirect', 'loopback'),
+    oidcRedirectPort: cfg.get('kflow.oidc.redirectPort', 0),
+    useIdToken: cfg.get('kflow.oidc.useIdToken', false),
     templatesFile: cfg.get('kflow.templatesFile', '.kubeflow/templates.json'),
+    userTemplatesFile: cfg.get('kflow.userTemplatesFile', '~/.kubeflow/templates.json'),
     defaultNamespace: cfg.get('kflow.defaultNamespace', 'kubeflow-user'),
     defaultImage: cfg.get('kflow.defaultImage', 'pytorch/pytorch:2.1.0-cuda12.1-cudnn8-runtime'),
     defaultPVCsize: cfg.get('kflow.defaultPVCsize', '10Gi'),
-    autoPVCforPip: cfg.get('kflow.autoPVCforPip', true)
+    autoPVCforPip: cfg.get('kflow.autoPVCforPip', true),
+    artifactStore: cfg.get('kflow.artifactStore', 'configmap'),
+    s3Endpoint: cfg.get('kflow.artifactStore.s3.endpoint', ''),
+    s3Bucket: cfg.get('kflow.artifactStore.s3.bucket', ''),
+    s3Region: cfg.get('kflow.artifactStore.s3.region', 'us-east-1'),
+    s3Prefix: cfg.get('kflow.artifactStore.s3.prefix', 'kubeflow-vscode/'),
+    s3AccessKeyId: cfg.get('kflow.artifactStore.s3.accessKeyId', ''),
+    artifactSizeWarningMB: cfg.get('kflow.artifactSizeWarningMB', 50),
+    codePVCname: cfg.get('kflow.artifactStore.pvc.claimName', 'kflow-code-pvc'),
+    uploaderImage: cfg.get('kflow.artifactStore.pvc.uploaderImage', 'python:3.11-slim'),
+    codePVCaccessMode: cfg.get('kflow.artifactStore.pvc.accessMode', 'ReadWriteMany'),
+    codePVCstorageClass: cfg.get('kflow.artifactStore.pvc.storageClassName', ''),
+    panelPageSize: cfg.get('kflow.panel.pageSize', 50),
+    notebookImages: cfg.get('kflow.notebook.images', DEFAULT_NOTEBOOK_IMAGES),
+    runHistorySize: cfg.get('kflow.runHistory.maxEntries', 50),
+    modelRegistryUrl: cfg.get('kflow.modelRegistry.url', ''),
+    caFile: cfg.get('kflow.caFile', ''),
+    requestTimeoutSeconds: cfg.get('kflow.request.timeoutSeconds', 30),
+    requestRetries: cfg.get('kflow.request.retries', 3),
+    jobTtlSecondsAfterFinished: cfg.get('kflow.job.ttlSecondsAfterFinished', null),
+    jobCleanPodPolicy: cfg.get('kflow.job.cleanPodPolicy', ''),
+    preflight: cfg.get('kflow.preflight.enabled', true),
+    gpuResourceName: cfg.get('kflow.gpuResourceName', DEFAULT_GPU_RESOURCE),
+    queueName: cfg.get('kflow.job.queueName', '')
   };
+  const profile = cfg.get('kflow.activeProfile', '');
+  const overrides = profile && cfg.get('kflow.profiles', {})[profile];
+  if (!overrides) return settings;
+  for (const field of PROFILE_FIELDS) if (overrides[field] !== undefined) settings[field] = overrides[field];
+  return { ...settings, profile };
+}
+
+// e.g. "staging · team-a", shown in the status bar and the panel title.
+function describeConnection(settings) {
+  let cluster = settings.profile;
+  if (!cluster) {
+    try {
+      cluster = new URL(settings.url).host;
+    } catch {
+      cluster = 'not configured';
+    }
+  }
+  return `${cluster} · ${settings.defaultNamespace}`;
 }
 
 class AuthService {
-  constructor(secrets) {
+  constructor(secrets, extensionId) {
     this.secrets = secrets;
+    this.extensionId = extensionId;
     this.session = undefined;
     this.refreshTimer = undefined;
+    this.uriCallbackListener = undefined;
   }
 
+  // Loads the stored session of the active profile; called again when it changes.
   async initialize() {
-    const accessToken = await this.secrets.get(ACCESS_TOKEN_KEY);
-    if (!accessToken) return;
-    const refreshToken = await this.secrets.get(REFRESH_TOKEN_KEY);
-    const expiresRaw = await this.secrets.get(EXPIRES_AT_KEY);
-    const expiresAt = expiresRaw ? Number(expiresRaw) : Date.now();
-    this.session = { accessToken, refreshToken: refreshToken || undefined, expiresAt };
+    if (this.refreshTimer) clearTimeout(this.refreshTimer);
+    this.session = undefined;
+    const stored = {};
+    for (const [field, key] of Object.entries(SESSION_SECRET_KEYS)) {
+      const value = await this.secrets.get(this.secretKey(key));
+      if (value) stored[field] = value;
+    }
+    if (!stored.accessToken && !stored.cookie) return;
+    this.session = { ...stored, expiresAt: stored.expiresAt ? Number(stored.expiresAt) : Date.now() };
     this.scheduleRefresh();
   }
 
+  // Returns false when the user cancelled the login.
   async loginInteractive() {
     const settings = getSettings();
-    const url = await vscode.window.showInputBox({ prompt: 'Kubeflow URL', value: settings.url });
-    if (!url) return;
-    const username = await vscode.window.showInputBox({ prompt: 'Username' });
-    if (!username) return;
-    const password = await vscode.window.showInputBox({ prompt: 'Password', password: true });
-    if (!password) return;
-
-    const tokenEndpoint = this.resolveTokenEndpoint(url, settings.realm);
-    const clientId = String(settings.clientId || 'kubeflow-vscode').trim();
-    const res = await fetch(tokenEndpoint, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams({
-        grant_type: 'password',
-        client_id: clientId,
-        username,
-        password
-      })
-    });
+    const session = await this.provider(settings).login(settings);
+    if (!session) return false;
+    await this.setSession(session);
+    return true;
+  }
 
-    if (!res.ok) {
-      const body = await res.text();
-      throw new Error(this.buildAuthErrorMessage(res.status, body, tokenEndpoint, clientId));
+  provider(settings) {
+    const Provider = AUTH_PROVIDERS[settings.authMethod];
+    if (!Provider) {
+      throw new Error(`Unknown kflow.auth.method "${settings.authMethod}". Use one of: ${Object.keys(AUTH_PROVIDERS).join(', ')}.`);
     }
-
-    const payload = await res.json();
-    await this.setSession({
-      accessToken: String(payload.access_token),
-      refreshToken: payload.refresh_token ? String(payload.refresh_token) : undefined,
-      expiresAt: Date.now() + Number(payload.expires_in || 300) * 1000
-    });
+    return new Provider(this);
   }
 
-  getAccessToken() {
-    return this.session && this.session.accessToken;
+  // Credentials for API calls: the session cookie, or the access (or ID) token as bearer.
+  authHeaders() {
+    if (!this.session) return {};
+    if (this.session.cookie) return { Cookie: this.session.cookie };
+    const token = getSettings().useIdToken && this.session.idToken ? this.session.idToken : this.session.accessToken;
+    return { Authorization: `Bearer ${token}` };
   }
 
   async ensureValidSession() {
     if (!this.session) throw new Error('Not logged in. Run "Kubeflow: Login" first.');
     if (Date.now() + 5 * 60 * 1000 < this.session.expiresAt) return;
+    if (!this.session.refreshToken) {
+      if (Date.now() < this.session.expiresAt) return;
+      throw new Error('The Kubeflow session has expired. Run "Kubeflow: Login" again.');
+    }
     await this.refreshSession();
   }
 
+  // Called on a 401 from the API. Returns true when the tokens could be refreshed;
+  // otherwise offers a new login (once at a time) and returns false.
+  async handleUnauthorized() {
+    if (this.session?.refreshToken) {
+      try {
+        await this.refreshSession();
+        return true;
+      } catch {
+        // refresh token expired or revoked
+      }
+    }
+    if (!this.loginPrompt) {
+      this.loginPrompt = Promise.resolve(vscode.window.showWarningMessage('Your Kubeflow session has expired.', 'Login'))
+        .then((choice) => choice === 'Login' && vscode.commands.executeCommand('kubeflow.login'))
+        .finally(() => {
+          this.loginPrompt = undefined;
+        });
+    }
+    return false;
+  }
+
   async signOut() {
     this.session = undefined;
     if (this.refreshTimer) clearTimeout(this.refreshTimer);
-    await Promise.all([
-      this.secrets.delete(ACCESS_TOKEN_KEY),
-      this.secrets.delete(REFRESH_TOKEN_KEY),
-      this.secrets.delete(EXPIRES_AT_KEY)
-    ]);
+    await Promise.all(Object.values(SESSION_SECRET_KEYS).map((key) => this.secrets.delete(this.secretKey(key))));
   }
 
   async refreshSession() {
     if (!this.session || !this.session.refreshToken) throw new Error('No refresh token is available.');
     const settings = getSettings();
-    const tokenEndpoint = this.resolveTokenEndpoint(settings.url, settings.realm);
-    const clientId = String(settings.clientId || 'kubeflow-vscode').trim();
+    const session = this.session;
+    const refreshed = await this.provider(settings).refresh(session, settings);
+    // The profile was switched while refreshing: the tokens belong to the old one.
+    if (this.session !== session) return;
+    await this.setSession(refreshed);
+  }
 
-    const res = await fetch(tokenEndpoint, {
+  // POSTs a token request (RFC 6749) and returns the parsed response.
+  async requestTokens(tokenEndpoint, params, settings) {
+    const clientId = String(settings.clientId || 'kubeflow-vscode').trim();
+    const res = await httpRequest(tokenEndpoint, {
       method: 'POST',
       headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams({
-        grant_type: 'refresh_token',
-        client_id: clientId,
-        refresh_token: this.session.refreshToken
-      })
+      body: new URLSearchParams({ client_id: clientId, ...params })
     });
-
     if (!res.ok) {
       const body = await res.text();
       throw new Error(this.buildAuthErrorMessage(res.status, body, tokenEndpoint, clientId));
     }
-    const payload = await res.json();
-    await this.setSession({
-      accessToken: String(payload.access_token),
-      refreshToken: payload.refresh_token ? String(payload.refresh_token) : this.session.refreshToken,
-      expiresAt: Date.now() + Number(payload.expires_in || 300) * 1000
-    });
+    return res.json();
   }
 
   async setSession(session) {
     this.session = session;
-    await this.secrets.store(ACCESS_TOKEN_KEY, session.accessToken);
-    if (session.refreshToken) await this.secrets.store(REFRESH_TOKEN_KEY, session.refreshToken);
-    await this.secrets.store(EXPIRES_AT_KEY, String(session.expiresAt));
+    for (const [field, key] of Object.entries(SESSION_SECRET_KEYS)) {
+      if (session[field]) await this.secrets.store(this.secretKey(key), String(session[field]));
+      else await this.secrets.delete(this.secretKey(key));
+    }
     this.scheduleRefresh();
   }
 
+  // Each connection profile keeps its own tokens; without profiles the original keys are used.
+  secretKey(key) {
+    const { profile } = getSettings();
+    return profile ? `${key}/${profile}` : key;
+  }
+
+  // Cookie sessions cannot be renewed; they expire and ask for a new login.
   scheduleRefresh() {
-    if (!this.session) return;
     if (this.refreshTimer) clearTimeout(this.refreshTimer);
+    if (!this.session?.refreshToken) return;
     const delayMs = Math.max(10000, this.session.expiresAt - Date.now() - 5 * 60 * 1000);
     this.refreshTimer = setTimeout(() => {
       this.refreshSession().catch(async (err) => {
@@ -146,6 +412,28 @@ class AuthService {
     }, delayMs);
   }
 
+  // Redirect target for logins through the browser that come back via VS Code's URI
+  // handler (kflow.oidc.redirect = "vscode"), which also works in remote windows.
+  async uriCallback() {
+    const callbackUri = await vscode.env.asExternalUri(
+      vscode.Uri.parse(`${vscode.env.uriScheme}://${this.extensionId}${OIDC_URI_CALLBACK_PATH}`)
+    );
+    let resolveParams;
+    const received = new Promise((resolve) => (resolveParams = resolve));
+    this.uriCallbackListener = (uri) => resolveParams(new URLSearchParams(uri.query));
+    return {
+      redirectUri: callbackUri.toString(true),
+      received,
+      close: () => {
+        this.uriCallbackListener = undefined;
+      }
+    };
+  }
+
+  handleUri(uri) {
+    if (uri.path === OIDC_URI_CALLBACK_PATH) this.uriCallbackListener?.(uri);
+  }
+
   buildAuthErrorMessage(status, body, tokenEndpoint, clientId) {
     let details = String(body || '').trim();
 
@@ -197,443 +485,6280 @@ class AuthService {
   }
 }
 
-class K8sApiClient {
+function tokenSession(payload, previous = {}) {
+  return {
+    accessToken: String(payload.access_token),
+    idToken: payload.id_token ? String(payload.id_token) : previous.idToken,
+    refreshToken: payload.refresh_token ? String(payload.refresh_token) : previous.refreshToken,
+    expiresAt: Date.now() + Number(payload.expires_in || 300) * 1000
+  };
+}
+
+// Resource Owner Password grant against Keycloak; the client needs Direct Access Grants.
+class PasswordAuthProvider {
   constructor(authService) {
     this.authService = authService;
   }
 
-  async createCustomObject(group, version, namespace, plural, body) {
-    return this.request(`/apis/${group}/${version}/namespaces/${namespace}/${plural}`, {
-      method: 'POST',
-      body: JSON.stringify(body)
+  async login(settings) {
+    const url = await vscode.window.showInputBox({
+      prompt: settings.profile ? `Kubeflow URL (profile ${settings.profile})` : 'Kubeflow URL',
+      value: settings.url
     });
+    if (!url) return undefined;
+    const username = await vscode.window.showInputBox({ prompt: 'Username' });
+    if (!username) return undefined;
+    const password = await vscode.window.showInputBox({ prompt: 'Password', password: true });
+    if (!password) return undefined;
+
+    const tokenEndpoint = this.authService.resolveTokenEndpoint(url, settings.realm);
+    const payload = await this.authService.requestTokens(tokenEndpoint, { grant_type: 'password', username, password }, settings);
+    return tokenSession(payload);
   }
 
-  async createCoreObject(namespace, plural, body) {
-    return this.request(`/api/v1/namespaces/${namespace}/${plural}`, {
-      method: 'POST',
-      body: JSON.stringify(body)
-    });
+  async refresh(session, settings) {
+    const tokenEndpoint = this.authService.resolveTokenEndpoint(settings.url, settings.realm);
+    const payload = await this.authService.requestTokens(
+      tokenEndpoint,
+      { grant_type: 'refresh_token', refresh_token: session.refreshToken },
+      settings
+    );
+    return tokenSession(payload, session);
   }
+}
 
-  async list(namespace, pathTemplate) {
-    return this.request(pathTemplate.replace('{namespace}', namespace));
+// Authorization code flow with PKCE (RFC 7636) in the system browser, for identity
+// providers without the password grant (Keycloak without Direct Access Grants, Dex,
+// any OIDC provider). The code comes back to a loopback listener or VS Code's URI
+// handler; no client secret is involved.
+class PkceAuthProvider {
+  constructor(authService) {
+    this.authService = authService;
   }
 
-  async getCustomObject(group, version, namespace, plural, name) {
-    return this.request(`/apis/${group}/${version}/namespaces/${namespace}/${plural}/${name}`);
+  // kflow.oidc.issuer is discovered; without it the Keycloak realm endpoints are used.
+  async endpoints(settings) {
+    if (!settings.oidcIssuer) {
+      const token = this.authService.resolveTokenEndpoint(settings.url, settings.realm);
+      return { authorization: token.replace(/\/token$/, '/auth'), token };
+    }
+    const discoveryUrl = `${settings.oidcIssuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+    const res = await httpRequest(discoveryUrl);
+    if (!res.ok) throw new Error(`OIDC discovery failed (${res.status}) at ${discoveryUrl}.`);
+    const config = await res.json();
+    return { authorization: config.authorization_endpoint, token: config.token_endpoint };
   }
 
-  async deleteCustomObject(group, version, namespace, plural, name) {
-    return this.request(`/apis/${group}/${version}/namespaces/${namespace}/${plural}/${name}`, {
-      method: 'DELETE'
-    });
+  async login(settings) {
+    const { authorization, token } = await this.endpoints(settings);
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    const state = crypto.randomBytes(16).toString('base64url');
+    const callback =
+      settings.oidcRedirect === 'vscode' ? await this.authService.uriCallback() : await listenForLoopbackCallback(settings.oidcRedirectPort);
+
+    try {
+      const authUrl = new URL(authorization);
+      const query = {
+        response_type: 'code',
+        client_id: String(settings.clientId || 'kubeflow-vscode').trim(),
+        redirect_uri: callback.redirectUri,
+        scope: settings.oidcScopes,
+        state,
+        code_challenge: crypto.createHash('sha256').update(verifier).digest('base64url'),
+        code_challenge_method: 'S256'
+      };
+      for (const [key, value] of Object.entries(query)) authUrl.searchParams.set(key, value);
+      await vscode.env.openExternal(vscode.Uri.parse(authUrl.href));
+
+      const params = await vscode.window.withProgress(
+        { location: vscode.ProgressLocation.Notification, title: 'Waiting for the login in your browser…', cancellable: true },
+        (_progress, cancelToken) => waitForAuthCallback(callback.received, cancelToken)
+      );
+      if (!params) return undefined;
+      if (params.get('error')) throw new Error(`Login failed: ${params.get('error_description') || params.get('error')}`);
+      if (params.get('state') !== state) throw new Error('Login failed: the browser returned from a different login attempt.');
+
+      const payload = await this.authService.requestTokens(
+        token,
+        { grant_type: 'authorization_code', code: params.get('code'), redirect_uri: callback.redirectUri, code_verifier: verifier },
+        settings
+      );
+      return tokenSession(payload);
+    } finally {
+      callback.close();
+    }
   }
 
-  async getPodLogs(namespace, podName, containerName) {
-    const qs = new URLSearchParams({ follow: 'false', tailLines: '200' });
-    if (containerName) qs.set('container', containerName);
-    return this.requestRaw(`/api/v1/namespaces/${namespace}/pods/${podName}/log?${qs.toString()}`);
+  async refresh(session, settings) {
+    const { token } = await this.endpoints(settings);
+    const payload = await this.authService.requestTokens(
+      token,
+      { grant_type: 'refresh_token', refresh_token: session.refreshToken },
+      settings
+    );
+    return tokenSession(payload, session);
   }
+}
 
-  async listPodsByJob(namespace, jobName) {
-    const qs = new URLSearchParams({ labelSelector: `training.kubeflow.org/job-name=${jobName}` });
-    return this.request(`/api/v1/namespaces/${namespace}/pods?${qs.toString()}`);
+// Kubeflow behind oauth2-proxy (usually with Dex) authenticates by session cookie.
+// The cookie is obtained by walking the login pages like a browser would — Kubeflow
+// redirects to the identity provider's form, the credentials are posted, the
+// redirects lead back and oauth2-proxy sets its cookie — or pasted from a browser
+// for providers whose login cannot be automated (external SSO, MFA).
+class CookieAuthProvider {
+  constructor(authService) {
+    this.authService = authService;
   }
 
-  async requestRaw(pathSuffix, init = {}) {
-    await this.authService.ensureValidSession();
-    const settings = getSettings();
-    const token = this.authService.getAccessToken();
+  async login(settings) {
     if (!settings.url) throw new Error('kflow.url is empty. Set it in settings.');
+    const choice = await vscode.window.showQuickPick(
+      [
+        { label: 'Sign in with username and password', form: true },
+        { label: 'Paste a session cookie from the browser', detail: 'The Cookie request header sent to the Kubeflow dashboard' }
+      ],
+      { placeHolder: `Log in to ${settings.url}` }
+    );
+    if (!choice) return undefined;
 
-    const url = `${settings.url.replace(/\/$/, '')}${pathSuffix}`;
-    const res = await fetch(url, {
-      ...init,
-      headers: {
-        Authorization: `Bearer ${token}`,
-        ...(init.headers || {})
-      }
+    if (!choice.form) {
+      const cookie = await vscode.window.showInputBox({
+        prompt: 'Cookie header of the Kubeflow dashboard (browser developer tools → Network → any request)',
+        placeHolder: 'oauth2_proxy_kubeflow=…',
+        password: true,
+        validateInput: (value) => (/^[^=;\s]+=/.test(value.trim()) ? undefined : 'Expected name=value pairs separated by "; ".')
+      });
+      if (!cookie) return undefined;
+      return { cookie: cookie.trim().replace(/^cookie:\s*/i, ''), expiresAt: Date.now() + COOKIE_SESSION_TTL_MS };
+    }
+
+    const username = await vscode.window.showInputBox({ prompt: 'Username' });
+    if (!username) return undefined;
+    const password = await vscode.window.showInputBox({ prompt: 'Password', password: true });
+    if (!password) return undefined;
+    return vscode.window.withProgress({ location: vscode.ProgressLocation.Notification, title: 'Logging in to Kubeflow…' }, () =>
+      this.formLogin(settings.url, username, password)
+    );
+  }
+
+  async formLogin(url, username, password) {
+    const jar = [];
+    let page = await browseWithCookies(jar, `${url.replace(/\/$/, '')}/`);
+    let form = parseHtmlForms(page.html).find((f) => f.inputs.some((i) => i.type === 'password'));
+    // Dex lists its connectors first; the password form belongs to the "local" one.
+    const localConnector = /href="([^"]*\/auth\/local[^"]*)"/.exec(page.html);
+    if (!form && localConnector) {
+      page = await browseWithCookies(jar, new URL(decodeHtmlEntities(localConnector[1]), page.url).href);
+      form = parseHtmlForms(page.html).find((f) => f.inputs.some((i) => i.type === 'password'));
+    }
+    if (!form) {
+      throw new Error(
+        `No login form found at ${page.url}. Paste a session cookie instead, or use kflow.auth.method "pkce".`
+      );
+    }
+
+    const passwordInput = form.inputs.find((i) => i.type === 'password');
+    const userInput =
+      form.inputs.find((i) => ['login', 'username', 'email'].includes(i.name)) ||
+      form.inputs.find((i) => i.type === 'text' || i.type === 'email');
+    const fields = Object.fromEntries(form.inputs.filter((i) => i.type === 'hidden').map((i) => [i.name, i.value]));
+    page = await browseWithCookies(jar, new URL(form.action || page.url, page.url).href, {
+      method: 'POST',
+      fields: { ...fields, [userInput?.name || 'login']: username, [passwordInput.name]: password }
     });
 
-    if (!res.ok) throw new Error(`Kubernetes API error ${res.status}: ${await res.text()}`);
-    return res.text();
+    // Dex asks once to grant the client access unless approval is skipped.
+    const approval = parseHtmlForms(page.html).find((f) => f.inputs.some((i) => i.name === 'approval'));
+    if (approval) {
+      const hidden = Object.fromEntries(approval.inputs.filter((i) => i.type === 'hidden').map((i) => [i.name, i.value]));
+      page = await browseWithCookies(jar, new URL(approval.action || page.url, page.url).href, {
+        method: 'POST',
+        fields: { ...hidden, approval: 'approve' }
+      });
+    }
+    if (parseHtmlForms(page.html).some((f) => f.inputs.some((i) => i.type === 'password'))) {
+      throw new Error('Login failed: the username or password was rejected.');
+    }
+
+    const host = new URL(url).hostname;
+    const cookies = jar.filter((c) => host === c.domain || host.endsWith(`.${c.domain}`));
+    if (cookies.length === 0) throw new Error(`The login did not set a session cookie for ${host}.`);
+    const expiries = cookies.map((c) => c.expiresAt).filter(Boolean);
+    return {
+      cookie: cookies.map((c) => `${c.name}=${c.value}`).join('; '),
+      expiresAt: expiries.length ? Math.max(...expiries) : Date.now() + COOKIE_SESSION_TTL_MS
+    };
   }
 
-  async request(pathSuffix, init = {}) {
-    await this.authService.ensureValidSession();
-    const settings = getSettings();
-    const token = this.authService.getAccessToken();
-    if (!settings.url) throw new Error('kflow.url is empty. Set it in settings.');
+  async refresh() {
+    throw new Error('Cookie sessions cannot be refreshed; log in again.');
+  }
+}
+
+const AUTH_PROVIDERS = { password: PasswordAuthProvider, pkce: PkceAuthProvider, cookie: CookieAuthProvider };
+
+// Receives the authorization response on http://127.0.0.1:<port>/callback (RFC 8252).
+async function listenForLoopbackCallback(port) {
+  let resolveParams;
+  const received = new Promise((resolve) => (resolveParams = resolve));
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    if (url.pathname !== '/callback') {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    const outcome = url.searchParams.get('error') ? 'Login failed' : 'Login complete';
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<!doctype html><title>Kubeflow</title><p>${outcome}. You can close this tab and return to VS Code.</p>`);
+    resolveParams(url.searchParams);
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(Number(port) || 0, '127.0.0.1', resolve);
+  });
+  return {
+    redirectUri: `http://127.0.0.1:${server.address().port}/callback`,
+    received,
+    close: () => server.close()
+  };
+}
+
+// Resolves with the callback parameters, or undefined when the login is cancelled.
+function waitForAuthCallback(received, cancelToken) {
+  return new Promise((resolve, reject) => {
+    const settle = (fn, value) => {
+      clearTimeout(timer);
+      cancellation.dispose();
+      fn(value);
+    };
+    const timer = setTimeout(
+      () => settle(reject, new Error(`No login response from the browser within ${OIDC_LOGIN_TIMEOUT_MS / 60000} minutes.`)),
+      OIDC_LOGIN_TIMEOUT_MS
+    );
+    const cancellation = cancelToken.onCancellationRequested(() => settle(resolve, undefined));
+    received.then((params) => settle(resolve, params));
+  });
+}
 
-    const url = `${settings.url.replace(/\/$/, '')}${pathSuffix}`;
-    const res = await fetch(url, {
-      ...init,
+// GET (or POST `fields`) following redirects, with a minimal cookie jar: cookies are
+// matched by domain only and expired ones are dropped.
+async function browseWithCookies(jar, url, { method = 'GET', fields } = {}) {
+  let body = fields ? new URLSearchParams(fields).toString() : undefined;
+  for (let i = 0; i < COOKIE_LOGIN_MAX_REDIRECTS; i++) {
+    const host = new URL(url).hostname;
+    const cookie = jar
+      .filter((c) => host === c.domain || host.endsWith(`.${c.domain}`))
+      .map((c) => `${c.name}=${c.value}`)
+      .join('; ');
+    const res = await httpRequest(url, {
+      method,
       headers: {
-        Authorization: `Bearer ${token}`,
-        'Content-Type': 'application/json',
-        ...(init.headers || {})
-      }
+        Accept: 'text/html',
+        ...(cookie ? { Cookie: cookie } : {}),
+        ...(body ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {})
+      },
+      body
     });
+    for (const header of [res.headers.get('set-cookie') || []].flat()) storeCookie(jar, host, header);
 
-    if (!res.ok) throw new Error(`Kubernetes API error ${res.status}: ${await res.text()}`);
-    return res.status === 204 ? {} : res.json();
+    const location = res.headers.get('location');
+    if (res.status >= 300 && res.status < 400 && location) {
+      await res.text();
+      url = new URL(location, url).href;
+      if (res.status !== 307 && res.status !== 308) {
+        method = 'GET';
+        body = undefined;
+      }
+      continue;
+    }
+    const html = await res.text();
+    if (res.status >= 400 && !parseHtmlForms(html).length) throw new Error(`Login page ${url} answered ${res.status}.`);
+    return { url, status: res.status, html };
   }
+  throw new Error('Too many redirects during login.');
 }
 
-class ManifestBuilder {
-  buildPVC(name, namespace, size) {
-    return {
-      apiVersion: 'v1',
-      kind: 'PersistentVolumeClaim',
-      metadata: { name, namespace },
-      spec: {
-        accessModes: ['ReadWriteOnce'],
-        resources: { requests: { storage: size } }
-      }
-    };
+function storeCookie(jar, host, header) {
+  const [pair, ...attributes] = header.split(';');
+  const separator = pair.indexOf('=');
+  if (separator <= 0) return;
+  const cookie = { name: pair.slice(0, separator).trim(), value: pair.slice(separator + 1).trim(), domain: host };
+  for (const attribute of attributes) {
+    const [key, ...rest] = attribute.split('=');
+    const value = rest.join('=').trim();
+    switch (key.trim().toLowerCase()) {
+      case 'domain':
+        cookie.domain = value.replace(/^\./, '').toLowerCase();
+        break;
+      case 'max-age':
+        cookie.expiresAt = Date.now() + Number(value) * 1000;
+        break;
+      case 'expires':
+        cookie.expiresAt ??= Date.parse(value) || undefined;
+        break;
+    }
   }
+  const existing = jar.findIndex((c) => c.name === cookie.name && c.domain === cookie.domain);
+  if (existing >= 0) jar.splice(existing, 1);
+  if (!cookie.expiresAt || cookie.expiresAt > Date.now()) jar.push(cookie);
+}
 
-  buildArtifactConfigMap(namespace, name, encodedTarGz) {
+// Just enough HTML form parsing for login pages: action, method and the inputs.
+function parseHtmlForms(html) {
+  const attributes = (tag) => {
+    const result = {};
+    for (const match of tag.matchAll(/([\w-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/g)) {
+      result[match[1].toLowerCase()] = decodeHtmlEntities(match[3] ?? match[4] ?? match[5]);
+    }
+    return result;
+  };
+  return [...String(html).matchAll(/<form\b([^>]*)>([\s\S]*?)<\/form>/gi)].map((form) => {
+    const formAttributes = attributes(form[1]);
     return {
-      apiVersion: 'v1',
-      kind: 'ConfigMap',
-      metadata: { name, namespace },
-      data: { 'artifact.tar.gz.base64': encodedTarGz }
+      action: formAttributes.action,
+      method: (formAttributes.method || 'get').toUpperCase(),
+      inputs: [...form[2].matchAll(/<(input|button)\b([^>]*)>/gi)].map((input) => {
+        const inputAttributes = attributes(input[2]);
+        return {
+          type: (inputAttributes.type || (input[1].toLowerCase() === 'button' ? 'submit' : 'text')).toLowerCase(),
+          name: inputAttributes.name,
+          value: inputAttributes.value || ''
+        };
+      })
     };
-  }
+  });
+}
 
-  buildPyTorchJob(options, artifactConfigMapName) {
-    const aptInstall = options.apt.length ? `apt-get update && apt-get install -y ${options.apt.join(' ')} && ` : '';
-    const pipInstall = options.pip.length ? `pip install ${options.pip.join(' ')} && ` : '';
-    const cmd = `${aptInstall}${pipInstall}python ${options.scriptPath}`;
+function decodeHtmlEntities(text) {
+  return String(text)
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
 
-    return {
-      apiVersion: 'kubeflow.org/v1',
-      kind: 'PyTorchJob',
-      metadata: {
-        name: options.name,
-        namespace: options.namespace,
-        labels: { 'app.kubernetes.io/managed-by': 'kubeflow-vscode' }
+function resolveApiUrl(settings, pathSuffix) {
+  if (/^https?:\/\//i.test(pathSuffix)) return pathSuffix;
+  return `${settings.url.replace(/\/$/, '')}${pathSuffix}`;
+}
+
+// fetch() takes no TLS options, so cluster calls go through node:http(s) to honour
+// kflow.verifySSL and kflow.caFile. The result offers the parts of a fetch Response
+// the extension uses: status, ok, headers.get, text(), json() and an iterable body.
+async function httpRequest(url, { method = 'GET', headers = {}, body, signal, timeoutMs } = {}) {
+  const settings = getSettings();
+  const target = new URL(url);
+  const payload = body === undefined || body === null ? undefined : Buffer.isBuffer(body) ? body : Buffer.from(String(body));
+  const tlsOptions =
+    target.protocol === 'https:' ? { rejectUnauthorized: settings.verifySSL !== false, ca: await readCaBundle(settings.caFile) } : {};
+  const transport = target.protocol === 'http:' ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      target,
+      {
+        method,
+        headers: { ...headers, ...(payload ? { 'Content-Length': payload.length } : {}) },
+        signal,
+        ...tlsOptions
       },
-      spec: {
-        pytorchReplicaSpecs: {
-          Master: {
-            replicas: 1,
-            restartPolicy: 'OnFailure',
-            template: {
-              spec: {
-                containers: [
-                  {
-                    name: 'pytorch',
-                    image: options.image,
-                    command: ['/bin/sh', '-c', cmd],
-                    resources: {
-                      limits: {
-                        'nvidia.com/gpu': options.gpu,
-                        cpu: options.cpu,
-                        memory: options.memory
-                      },
-                      requests: {
-                        cpu: options.cpu,
-                        memory: options.memory
-                      }
-                    },
-                    volumeMounts: [
-                      { name: 'job-code', mountPath: '/workspace' },
-                      ...(options.autoPVCforPip ? [{ name: 'pip-cache', mountPath: '/root/.cache/pip' }] : [])
-                    ]
-                  }
-                ],
-                volumes: [
-                  { name: 'job-code', configMap: { name: artifactConfigMapName } },
-                  ...(options.autoPVCforPip
-                    ? [{ name: 'pip-cache', persistentVolumeClaim: { claimName: 'pip-cache-pvc' } }]
-                    : [])
-                ]
-              }
-            }
+      (res) => {
+        resolve({
+          status: res.statusCode,
+          ok: res.statusCode >= 200 && res.statusCode < 300,
+          headers: { get: (name) => res.headers[name.toLowerCase()] },
+          body: res,
+          async text() {
+            const chunks = [];
+            for await (const chunk of res) chunks.push(chunk);
+            return Buffer.concat(chunks).toString('utf-8');
+          },
+          async json() {
+            return JSON.parse(await this.text());
           }
-        }
+        });
       }
-    };
+    );
+    if (timeoutMs) {
+      req.setTimeout(timeoutMs, () =>
+        req.destroy(Object.assign(new Error(`No response from ${target.host} within ${timeoutMs / 1000}s.`), { code: 'ETIMEDOUT' }))
+      );
+    }
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+// The CA file is added to Node's bundled roots, so public endpoints keep working.
+const caBundles = new Map();
+function readCaBundle(caFile) {
+  if (!caFile) return undefined;
+  const filePath = expandHome(caFile);
+  if (!caBundles.has(filePath)) {
+    const bundle = fs.readFile(filePath, 'utf-8').then(
+      (pem) => [...tls.rootCertificates, pem],
+      (e) => {
+        caBundles.delete(filePath);
+        throw new Error(`Cannot read kflow.caFile ${filePath}: ${e.message}`);
+      }
+    );
+    caBundles.set(filePath, bundle);
   }
+  return caBundles.get(filePath);
 }
 
-class ArtifactPackager {
-  async packageToTarGz(sourceFileOrDir) {
-    const abs = path.resolve(sourceFileOrDir);
-    const stat = await fs.stat(abs);
-    const sourceDir = stat.isDirectory() ? abs : path.dirname(abs);
-    const archivePath = path.join(sourceDir, `.kflow-artifact-${Date.now()}.tar.gz`);
-    await execFileAsync('tar', ['-czf', archivePath, '-C', sourceDir, '.']);
-    return archivePath;
+// Resolves after `ms`, or rejects with an AbortError when `signal` aborts first.
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Lets a VS Code cancellation token (progress notifications, quick picks) cancel API calls.
+function abortSignalFromToken(token) {
+  const controller = new AbortController();
+  if (token?.isCancellationRequested) controller.abort();
+  else token?.onCancellationRequested(() => controller.abort());
+  return controller.signal;
+}
+
+// Non-2xx answers of the Kubernetes (or Kubeflow) API. `reason` and `apiMessage` come
+// from the Status body when there is one, e.g. reason "AlreadyExists" on a 409.
+class KubernetesApiError extends Error {
+  constructor(status, body) {
+    const details = parseApiStatus(body);
+    super(`Kubernetes API error ${status}: ${details.message}`);
+    this.name = new.target.name;
+    this.status = status;
+    this.reason = details.reason;
+    this.apiMessage = details.message;
+    this.body = body;
   }
 
-  async readBase64(archivePath) {
-    const bytes = await fs.readFile(archivePath);
-    return bytes.toString('base64');
+  static from(status, body) {
+    const ErrorClass =
+      { 401: UnauthorizedError, 403: ForbiddenError, 404: NotFoundError, 409: ConflictError }[status] || KubernetesApiError;
+    return new ErrorClass(status, body);
   }
 }
 
-class KubeflowTreeProvider {
-  constructor(k8sClient) {
-    this.k8sClient = k8sClient;
-    this._onDidChangeTreeData = new vscode.EventEmitter();
-    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+class UnauthorizedError extends KubernetesApiError {}
+class ForbiddenError extends KubernetesApiError {}
+class NotFoundError extends KubernetesApiError {}
+class ConflictError extends KubernetesApiError {}
+
+function parseApiStatus(body) {
+  const text = String(body || '').trim();
+  try {
+    const status = JSON.parse(text);
+    if (status?.message) return { message: String(status.message), reason: status.reason };
+  } catch {
+    // not a Status object
+  }
+  if (/^<(!doctype|html)/i.test(text)) {
+    return { message: 'got an HTML page instead of an API response (login page or proxy error?)' };
   }
+  return { message: text.length > 500 ? `${text.slice(0, 500)}…` : text };
+}
 
-  refresh() {
-    this._onDidChangeTreeData.fire(undefined);
+class K8sApiClient {
+  constructor(authService) {
+    this.authService = authService;
+    this.informers = new Map();
   }
 
-  getTreeItem(element) {
-    return element;
+  // `dryRun` runs validation and admission webhooks without persisting anything.
+  async createCustomObject(group, version, namespace, plural, body, { dryRun = false } = {}) {
+    const query = dryRun ? '?dryRun=All' : '';
+    return this.request(`/apis/${group}/${version}/namespaces/${namespace}/${plural}${query}`, {
+      method: 'POST',
+      body: JSON.stringify(body)
+    });
   }
 
-  async getChildren(element) {
-    if (!element) {
-      return ['Jobs', 'Notebooks', 'PVC', 'ConfigMaps', 'Pipelines', 'Model Registry'].map((label) => {
-        const item = new vscode.TreeItem(label, vscode.TreeItemCollapsibleState.Collapsed);
-        item.contextValue = 'kubeflowCategory';
-        item.description = '';
-        return item;
-      });
-    }
+  async createCoreObject(namespace, plural, body, { signal } = {}) {
+    return this.request(`/api/v1/namespaces/${namespace}/${plural}`, {
+      method: 'POST',
+      body: JSON.stringify(body),
+      signal
+    });
+  }
+
+  async getCoreObject(namespace, plural, name, { signal } = {}) {
+    return this.request(`/api/v1/namespaces/${namespace}/${plural}/${name}`, { signal });
+  }
+
+  async patchCoreObject(namespace, plural, name, patch) {
+    return this.request(`/api/v1/namespaces/${namespace}/${plural}/${name}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/merge-patch+json' },
+      body: JSON.stringify(patch)
+    });
+  }
 
-    const namespace = vscode.workspace.getConfiguration().get('kflow.defaultNamespace', 'kubeflow-user');
+  async deleteCoreObject(namespace, plural, name) {
+    return this.request(`/api/v1/namespaces/${namespace}/${plural}/${name}`, {
+      method: 'DELETE'
+    });
+  }
 
+  // The whole collection, fetched LIST_PAGE_SIZE items at a time. The result keeps the
+  // last page's metadata, whose resourceVersion is the snapshot all pages came from.
+  // An expired continue token (410) restarts the listing once.
+  async list(namespace, pathTemplate, { signal, restarted = false } = {}) {
+    const items = [];
+    let page;
+    let continueToken;
     try {
-      if (element.label === 'Jobs') {
-        const jobs = await this.k8sClient.list(namespace, '/apis/kubeflow.org/v1/namespaces/{namespace}/pytorchjobs');
-        return (jobs.items || []).map((j) => {
-          const job = new vscode.TreeItem(j.metadata?.name || 'unnamed', vscode.TreeItemCollapsibleState.None);
-          job.description = j.status?.conditions?.[0]?.type || '';
-          return job;
-        });
-      }
-    } catch (_e) {
-      return [new vscode.TreeItem('Login required or API unavailable', vscode.TreeItemCollapsibleState.None)];
+      do {
+        page = await this.listPage(namespace, pathTemplate, { limit: LIST_PAGE_SIZE, continueToken, signal });
+        items.push(...(page.items || []));
+        continueToken = page.metadata?.continue;
+      } while (continueToken);
+    } catch (e) {
+      if (e.status === 410 && continueToken && !restarted) return this.list(namespace, pathTemplate, { signal, restarted: true });
+      throw e;
     }
-
-    return [new vscode.TreeItem('Not implemented yet', vscode.TreeItemCollapsibleState.None)];
+    return { ...page, items, metadata: { ...page.metadata, continue: undefined } };
   }
-}
 
-class JobRunService {
-  constructor(k8sClient, packager, manifestBuilder) {
-    this.k8sClient = k8sClient;
-    this.packager = packager;
-    this.manifestBuilder = manifestBuilder;
-    this.lastManifest = undefined;
+  // One page of a Kubernetes collection; pass the returned `metadata.continue` back
+  // as `continueToken` for the next one.
+  async listPage(namespace, pathTemplate, { limit, continueToken, signal } = {}) {
+    const qs = new URLSearchParams();
+    if (limit) qs.set('limit', String(limit));
+    if (continueToken) qs.set('continue', continueToken);
+    const path = pathTemplate.replace('{namespace}', namespace);
+    const query = qs.toString();
+    return this.request(query ? `${path}${path.includes('?') ? '&' : '?'}${query}` : path, { signal });
   }
 
-  getLastManifest() {
-    return this.lastManifest;
+  async listPipelines(namespace, { pageSize, pageToken } = {}) {
+    const qs = new URLSearchParams({ namespace, page_size: String(pageSize || 50), sort_by: 'created_at desc' });
+    if (pageToken) qs.set('page_token', pageToken);
+    return this.request(`${PIPELINES_API_PATH}/pipelines?${qs.toString()}`);
   }
 
-  async listJobs(namespace) {
-    const payload = await this.k8sClient.list(namespace, '/apis/kubeflow.org/v1/namespaces/{namespace}/pytorchjobs');
-    return payload.items || [];
+  async listPipelineRuns(namespace, { pageSize, pageToken } = {}) {
+    const qs = new URLSearchParams({ namespace, page_size: String(pageSize || 50), sort_by: 'created_at desc' });
+    if (pageToken) qs.set('page_token', pageToken);
+    return this.request(`${PIPELINES_API_PATH}/runs?${qs.toString()}`);
   }
 
-  async describeJob(namespace, name) {
-    return this.k8sClient.getCustomObject('kubeflow.org', 'v1', namespace, 'pytorchjobs', name);
+  // The Model Registry is often exposed on its own host; kflow.modelRegistry.url
+  // overrides the Kubeflow URL for these calls.
+  async listRegisteredModels({ pageSize, pageToken } = {}) {
+    return this.request(this.modelRegistryPath('/registered_models', { pageSize, pageToken }));
   }
 
-  async deleteJob(namespace, name) {
-    await this.k8sClient.deleteCustomObject('kubeflow.org', 'v1', namespace, 'pytorchjobs', name);
+  async listModelVersions(modelId, { pageSize, pageToken } = {}) {
+    return this.request(
+      this.modelRegistryPath(`/registered_models/${encodeURIComponent(modelId)}/versions`, { pageSize, pageToken })
+    );
   }
 
-  async restartLastRun() {
-    if (!this.lastManifest) {
-      throw new Error('No previous manifest available. Run a job first.');
-    }
-    const manifest = JSON.parse(JSON.stringify(this.lastManifest));
-    const namespace = manifest?.metadata?.namespace || getSettings().defaultNamespace;
-    const oldName = manifest?.metadata?.name || 'ptjob';
-    const newName = `${oldName}-restart-${Date.now().toString().slice(-4)}`;
-    manifest.metadata.name = newName;
-    delete manifest.metadata.resourceVersion;
-    delete manifest.metadata.uid;
-    delete manifest.metadata.creationTimestamp;
+  modelRegistryPath(path, { pageSize, pageToken }) {
+    const qs = new URLSearchParams({ pageSize: String(pageSize || 50), orderBy: 'CREATE_TIME', sortOrder: 'DESC' });
+    if (pageToken) qs.set('nextPageToken', pageToken);
+    const base = getSettings().modelRegistryUrl.replace(/\/$/, '');
+    return `${base}${MODEL_REGISTRY_API_PATH}${path}?${qs.toString()}`;
+  }
 
-    await this.k8sClient.createCustomObject('kubeflow.org', 'v1', namespace, 'pytorchjobs', manifest);
-    this.lastManifest = manifest;
-    return newName;
+  async patchCustomObject(group, version, namespace, plural, name, patch) {
+    return this.request(`/apis/${group}/${version}/namespaces/${namespace}/${plural}/${name}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/merge-patch+json' },
+      body: JSON.stringify(patch)
+    });
   }
 
-  async streamJobLogs(namespace, jobName, outputChannel) {
+  async getCustomObject(group, version, namespace, plural, name) {
+    return this.request(`/apis/${group}/${version}/namespaces/${namespace}/${plural}/${name}`);
+  }
+
+  async deleteCustomObject(group, version, namespace, plural, name, { propagationPolicy } = {}) {
+    return this.request(`/apis/${group}/${version}/namespaces/${namespace}/${plural}/${name}`, {
+      method: 'DELETE',
+      ...(propagationPolicy ? { body: JSON.stringify({ kind: 'DeleteOptions', apiVersion: 'v1', propagationPolicy }) } : {})
+    });
+  }
+
+  async getPodLogs(namespace, podName, containerName, { previous = false, tailLines = 200 } = {}) {
+    const qs = new URLSearchParams({ follow: 'false', tailLines: String(tailLines) });
+    if (containerName) qs.set('container', containerName);
+    if (previous) qs.set('previous', 'true');
+    return this.requestRaw(`/api/v1/namespaces/${namespace}/pods/${podName}/log?${qs.toString()}`);
+  }
+
+  // Opens a `follow=true` log stream with RFC3339 timestamps on every line, so the
+  // caller can resume with `sinceTime` after a reconnect.
+  async streamPodLogs(namespace, podName, { container, sinceTime, tailLines, signal } = {}) {
+    const qs = new URLSearchParams({ follow: 'true', timestamps: 'true' });
+    if (container) qs.set('container', container);
+    if (sinceTime) qs.set('sinceTime', sinceTime);
+    else if (tailLines !== undefined) qs.set('tailLines', String(tailLines));
+    return this.requestStream(`/api/v1/namespaces/${namespace}/pods/${podName}/log?${qs.toString()}`, { signal });
+  }
+
+  // Names and keys of the Secrets and ConfigMaps in a namespace. Token and Helm release
+  // Secrets and uploaded code ConfigMaps are excluded by the API server, and values are
+  // dropped page by page so they are never kept.
+  async listEnvSources(namespace) {
+    const secretTypes = ENV_SOURCE_HIDDEN_SECRET_TYPES.map((type) => `type!=${type}`).join(',');
+    const [secrets, configMaps] = await Promise.all([
+      this.listKeyNames(namespace, `/api/v1/namespaces/{namespace}/secrets?fieldSelector=${encodeURIComponent(secretTypes)}`),
+      this.listKeyNames(
+        namespace,
+        `/api/v1/namespaces/{namespace}/configmaps?labelSelector=${encodeURIComponent('app.kubernetes.io/component!=artifact')}`
+      )
+    ]);
+    return [
+      ...secrets.map((source) => ({ kind: 'secret', ...source })),
+      ...configMaps.map((source) => ({ kind: 'configmap', ...source }))
+    ];
+  }
+
+  async listKeyNames(namespace, pathTemplate) {
+    const sources = [];
+    let continueToken;
+    do {
+      const page = await this.listPage(namespace, pathTemplate, { limit: LIST_PAGE_SIZE, continueToken });
+      for (const item of page.items || []) {
+        sources.push({ name: item.metadata?.name, keys: Object.keys({ ...(item.data || {}), ...(item.binaryData || {}) }) });
+      }
+      continueToken = page.metadata?.continue;
+    } while (continueToken);
+    return sources;
+  }
+
+  // Namespaces the user may work in, with their role, from the central dashboard's
+  // workgroup API (which asks KFAM for the user's Profile bindings). Falls back to
+  // listing the Profiles, which usually only cluster admins may do.
+  async listKubeflowNamespaces() {
+    try {
+      const info = await this.request('/api/workgroup/env-info');
+      if (Array.isArray(info.namespaces)) {
+        return info.namespaces.filter((b) => b.namespace).map((b) => ({ namespace: b.namespace, role: b.role }));
+      }
+    } catch {
+      // no central dashboard behind kflow.url, or an older one
+    }
+    const profiles = await this.list('', '/apis/kubeflow.org/v1/profiles');
+    return (profiles.items || []).map((p) => ({
+      namespace: p.metadata.name,
+      role: p.spec?.owner?.name ? `owner ${p.spec.owner.name}` : undefined
+    }));
+  }
+
+  // SelfSubjectAccessReview: whether the current user may `verb` the resource.
+  async canI(namespace, verb, group, resource) {
+    const review = await this.request('/apis/authorization.k8s.io/v1/selfsubjectaccessreviews', {
+      method: 'POST',
+      body: JSON.stringify({
+        apiVersion: 'authorization.k8s.io/v1',
+        kind: 'SelfSubjectAccessReview',
+        spec: { resourceAttributes: { namespace, verb, group, resource } }
+      })
+    });
+    return review.status?.allowed;
+  }
+
+  async listEvents(namespace, involvedObjectName) {
+    const qs = new URLSearchParams({ fieldSelector: `involvedObject.name=${involvedObjectName}` });
+    return this.list(namespace, `/api/v1/namespaces/{namespace}/events?${qs.toString()}`);
+  }
+
+  // Follows the changes of a collection from `resourceVersion` until `signal` aborts.
+  // Every dropped or server-closed stream is resumed from the last resourceVersion
+  // seen, which bookmark events keep current without being passed to `onEvent`. When
+  // that version has been compacted away (410 Gone), `onExpired` must return a fresh
+  // one, normally by listing the collection again.
+  async watch(collectionPath, { resourceVersion, signal, onEvent, onExpired }) {
+    let expired = false;
+    while (!signal.aborted) {
+      const started = Date.now();
+      try {
+        if (expired) {
+          resourceVersion = await onExpired();
+          expired = false;
+        }
+        await this.watchStream(collectionPath, {
+          resourceVersion,
+          signal,
+          onEvent: (event) => {
+            resourceVersion = event.object?.metadata?.resourceVersion || resourceVersion;
+            if (event.type !== 'BOOKMARK') onEvent(event);
+          }
+        });
+        // A stream the server closes right away (e.g. a proxy) must not turn into a busy loop.
+        if (Date.now() - started < WATCH_RETRY_DELAY_MS) await delay(WATCH_RETRY_DELAY_MS, signal);
+      } catch (e) {
+        if (signal.aborted) return;
+        if (e.status === 410) expired = true;
+        if (!expired || Date.now() - started < WATCH_RETRY_DELAY_MS) await delay(WATCH_RETRY_DELAY_MS, signal).catch(() => undefined);
+      }
+    }
+  }
+
+  // One watch request (one JSON event per line). The server ends it after
+  // WATCH_TIMEOUT_SECONDS; a connection that stays silent past that has died
+  // unnoticed and is aborted. ERROR events are thrown as KubernetesApiErrors.
+  async watchStream(collectionPath, { resourceVersion, signal, onEvent }) {
+    const qs = new URLSearchParams({ watch: '1', allowWatchBookmarks: 'true', timeoutSeconds: String(WATCH_TIMEOUT_SECONDS) });
+    if (resourceVersion) qs.set('resourceVersion', resourceVersion);
+    const separator = collectionPath.includes('?') ? '&' : '?';
+    const res = await this.requestStream(`${collectionPath}${separator}${qs.toString()}`, {
+      signal: AbortSignal.any([signal, AbortSignal.timeout((WATCH_TIMEOUT_SECONDS + 30) * 1000)])
+    });
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of res.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        const event = JSON.parse(line);
+        if (event.type === 'ERROR') throw KubernetesApiError.from(event.object?.code || 500, JSON.stringify(event.object || {}));
+        onEvent(event);
+      }
+    }
+  }
+
+  // The shared informer of a collection (see Informer); the same path always gives
+  // the same instance while it has subscribers.
+  informer(namespace, pathTemplate) {
+    const collectionPath = pathTemplate.replace('{namespace}', namespace);
+    if (!this.informers.has(collectionPath)) this.informers.set(collectionPath, new Informer(this, namespace, pathTemplate));
+    return this.informers.get(collectionPath);
+  }
+
+  // After a connection profile switch the cached collections belong to another cluster.
+  stopInformers() {
+    for (const informer of [...this.informers.values()]) informer.stop();
+  }
+
+  async listPodsByJob(namespace, jobName) {
+    const qs = new URLSearchParams({ labelSelector: `training.kubeflow.org/job-name=${jobName}` });
+    return this.list(namespace, `/api/v1/namespaces/{namespace}/pods?${qs.toString()}`);
+  }
+
+  async requestRaw(pathSuffix, init = {}) {
+    const res = await this.send(pathSuffix, init, { timeout: true });
+    return res.text();
+  }
+
+  // Returns the successful response without consuming the body. Streams (logs,
+  // watches) have no idle timeout; end them through `init.signal`.
+  async requestStream(pathSuffix, init = {}) {
+    return this.send(pathSuffix, init, { timeout: false });
+  }
+
+  async request(pathSuffix, init = {}) {
+    const res = await this.send(
+      pathSuffix,
+      { ...init, headers: { 'Content-Type': 'application/json', ...(init.headers || {}) } },
+      { timeout: true }
+    );
+    const text = await res.text();
+    return res.status === 204 || !text ? {} : JSON.parse(text);
+  }
+
+  // Retries 5xx, 429, timeouts and network errors with exponential backoff (honouring
+  // Retry-After). POSTs are only retried when the server cannot have acted on them
+  // (429, 503, connection refused), so creates are never duplicated. A 401 refreshes
+  // the session once; other failures throw a KubernetesApiError subclass.
+  async send(pathSuffix, init, { timeout }) {
+    const settings = getSettings();
+    if (!settings.url) throw new Error('kflow.url is empty. Set it in settings.');
+    const url = resolveApiUrl(settings, pathSuffix);
+    const method = (init.method || 'GET').toUpperCase();
+    const idempotent = method !== 'POST';
+    const retries = Math.max(0, Number(settings.requestRetries) || 0);
+    let reauthenticated = false;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.authService.ensureValidSession();
+      let res;
+      try {
+        res = await httpRequest(url, {
+          ...init,
+          method,
+          headers: { ...this.authService.authHeaders(), ...(init.headers || {}) },
+          timeoutMs: timeout ? settings.requestTimeoutSeconds * 1000 : undefined
+        });
+      } catch (e) {
+        const retryable = idempotent ? RETRYABLE_NETWORK_CODES.includes(e.code) : e.code === 'ECONNREFUSED';
+        if (init.signal?.aborted || !retryable || attempt >= retries) throw e;
+        await delay(backoffDelay(attempt), init.signal);
+        continue;
+      }
+      if (res.ok) return res;
+
+      // oauth2-proxy answers an expired cookie session with a redirect to its login page.
+      const redirected = res.status >= 300 && res.status < 400;
+      const status = redirected ? 401 : res.status;
+      const text = await res.text();
+      const body = redirected ? `redirected to the login page ${res.headers.get('location') || ''}` : text;
+      if (status === 401 && !reauthenticated && (await this.authService.handleUnauthorized())) {
+        reauthenticated = true;
+        attempt--;
+        continue;
+      }
+      const retryable = status === 429 || status === 503 || (idempotent && status >= 500);
+      if (!retryable || attempt >= retries) throw KubernetesApiError.from(status, body);
+      const retryAfter = Number(res.headers.get('retry-after'));
+      await delay(retryAfter > 0 ? Math.min(retryAfter * 1000, REQUEST_BACKOFF_MAX_MS) : backoffDelay(attempt), init.signal);
+    }
+  }
+}
+
+function backoffDelay(attempt) {
+  return Math.min(REQUEST_BACKOFF_MAX_MS, REQUEST_BACKOFF_BASE_MS * 2 ** attempt) * (0.5 + Math.random() / 2);
+}
+
+// Local cache of one collection kept current by a list + watch, shared by everyone
+// interested in it (panel, log streams, job notifications) through
+// K8sApiClient.informer. It runs while it has subscribers. Subscribers get
+// { type: 'ADDED' | 'MODIFIED' | 'DELETED', object } for every change, including the
+// objects of the first list; after a re-list (410 Gone) only the differences to the
+// cache are reported. `synced` settles with the first list.
+class Informer {
+  constructor(k8sClient, namespace, pathTemplate) {
+    this.k8sClient = k8sClient;
+    this.namespace = namespace;
+    this.pathTemplate = pathTemplate;
+    this.collectionPath = pathTemplate.replace('{namespace}', namespace);
+    this.objects = new Map();
+    this.listeners = new Set();
+    this.abort = undefined;
+    this.synced = undefined;
+    this.hasSynced = false;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    if (!this.abort) this.start();
+    return new vscode.Disposable(() => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) this.stop();
+    });
+  }
+
+  list() {
+    return [...this.objects.values()];
+  }
+
+  get(name) {
+    return this.objects.get(name);
+  }
+
+  start() {
+    const abort = new AbortController();
+    this.abort = abort;
+    if (!this.k8sClient.informers.has(this.collectionPath)) this.k8sClient.informers.set(this.collectionPath, this);
+    this.synced = this.relist(abort.signal);
+    this.synced.then(
+      (resourceVersion) => this.run(resourceVersion, abort.signal),
+      () => this.run(undefined, abort.signal)
+    );
+  }
+
+  stop() {
+    this.abort?.abort();
+    this.abort = undefined;
+    this.objects.clear();
+    this.hasSynced = false;
+    if (this.k8sClient.informers.get(this.collectionPath) === this) this.k8sClient.informers.delete(this.collectionPath);
+  }
+
+  // Until the first list succeeds it is retried here; afterwards the watch takes over.
+  async run(resourceVersion, signal) {
+    while (resourceVersion === undefined && !signal.aborted) {
+      await delay(WATCH_RETRY_DELAY_MS, signal).catch(() => undefined);
+      if (!signal.aborted) resourceVersion = await this.relist(signal).catch(() => undefined);
+    }
+    if (signal.aborted) return;
+    await this.k8sClient.watch(this.collectionPath, {
+      resourceVersion,
+      signal,
+      onEvent: (event) => this.apply(event),
+      onExpired: () => this.relist(signal)
+    });
+  }
+
+  // Replaces the cache with a fresh list and returns its resourceVersion.
+  async relist(signal) {
+    const payload = await this.k8sClient.list(this.namespace, this.pathTemplate, { signal });
+    if (signal.aborted) return payload.metadata?.resourceVersion || '';
+    const listed = new Map((payload.items || []).map((item) => [item.metadata?.name, item]));
+    for (const [name, object] of this.objects) if (!listed.has(name)) this.apply({ type: 'DELETED', object });
+    for (const [name, object] of listed) {
+      const cached = this.objects.get(name);
+      if (cached?.metadata?.resourceVersion === object.metadata?.resourceVersion) continue;
+      this.apply({ type: cached ? 'MODIFIED' : 'ADDED', object });
+    }
+    this.hasSynced = true;
+    return payload.metadata?.resourceVersion || '';
+  }
+
+  apply(event) {
+    const name = event.object?.metadata?.name;
+    if (event.type === 'DELETED') this.objects.delete(name);
+    else this.objects.set(name, event.object);
+    for (const listener of [...this.listeners]) {
+      try {
+        listener(event);
+      } catch {
+        // One subscriber must not break the others or the watch.
+      }
+    }
+  }
+}
+
+class ManifestBuilder {
+  buildPVC(name, namespace, size, { accessMode = 'ReadWriteOnce', storageClassName } = {}) {
+    return {
+      apiVersion: 'v1',
+      kind: 'PersistentVolumeClaim',
+      metadata: { name, namespace },
+      spec: {
+        accessModes: [accessMode],
+        ...(storageClassName ? { storageClassName } : {}),
+        resources: { requests: { storage: size } }
+      }
+    };
+  }
+
+  // Same shape as the notebooks created by the Kubeflow Jupyter web app, so the
+  // dashboard shows and manages them too.
+  buildNotebook(options) {
+    const volumes = [{ name: 'dshm', emptyDir: { medium: 'Memory' } }];
+    const volumeMounts = [{ name: 'dshm', mountPath: '/dev/shm' }];
+    if (options.workspaceClaim) {
+      volumes.push({ name: 'workspace', persistentVolumeClaim: { claimName: options.workspaceClaim } });
+      volumeMounts.push({ name: 'workspace', mountPath: NOTEBOOK_HOME });
+    }
+    (options.dataClaims || []).forEach((claim, index) => {
+      // A DNS label like the job volumes: dots replaced, cut to 63 characters.
+      const name = `data-${index}-${claim.replace(/\./g, '-')}`.slice(0, 63).replace(/-+$/, '');
+      volumes.push({ name, persistentVolumeClaim: { claimName: claim } });
+      volumeMounts.push({ name, mountPath: `${NOTEBOOK_HOME}/${claim}` });
+    });
+
+    return {
+      apiVersion: `kubeflow.org/${NOTEBOOK_API_VERSION}`,
+      kind: 'Notebook',
+      metadata: {
+        name: options.name,
+        namespace: options.namespace,
+        labels: { app: options.name, 'app.kubernetes.io/managed-by': 'kubeflow-vscode' },
+        annotations: { 'notebooks.kubeflow.org/server-type': options.image.includes('codeserver') ? 'group-one' : 'jupyter' }
+      },
+      spec: {
+        template: {
+          spec: {
+            serviceAccountName: 'default-editor',
+            containers: [
+              {
+                name: options.name,
+                image: options.image,
+                imagePullPolicy: 'IfNotPresent',
+                resources: {
+                  limits: {
+                    ...(options.gpu ? { [options.gpuResource || DEFAULT_GPU_RESOURCE]: options.gpu } : {}),
+                    cpu: options.cpu,
+                    memory: options.memory
+                  },
+                  requests: { cpu: options.cpu, memory: options.memory }
+                },
+                volumeMounts
+              }
+            ],
+            volumes
+          }
+        }
+      }
+    };
+  }
+
+  buildArtifactConfigMap(namespace, name, encodedTarGz, contentHash) {
+    return {
+      apiVersion: 'v1',
+      kind: 'ConfigMap',
+      metadata: {
+        name,
+        namespace,
+        labels: { 'app.kubernetes.io/managed-by': 'kubeflow-vscode', 'app.kubernetes.io/component': 'artifact' },
+        annotations: { 'kubeflow-vscode/content-hash': contentHash }
+      },
+      data: { [ARTIFACT_DATA_KEY]: encodedTarGz }
+    };
+  }
+
+  buildTrainingJob(options, artifact) {
+    const jobKind = getJobKind(options.kind);
+    const delivery = this.buildCodeDelivery(artifact);
+    const bootstrap = this.buildBootstrapCommand(options);
+    const script = [this.resolveArchiveScriptPath(options), ...(options.args || [])].map(shellQuote).join(' ');
+
+    const workers = Math.max(0, Number(options.workers) || 0);
+    const nprocPerNode = options.nprocPerNode ? String(options.nprocPerNode) : undefined;
+    const elastic = options.elasticPolicy;
+    if (elastic && jobKind.kind !== 'PyTorchJob') {
+      throw new Error(`Elastic training is only supported for PyTorchJob, not ${jobKind.kind}.`);
+    }
+    const replica = (role, replicas, cmd) =>
+      this.buildReplicaSpec(withReplicaResources(options, role), jobKind, delivery, replicas, cmd);
+
+    const spec = {};
+    const replicaSpecs = {};
+    if (jobKind.kind === 'MPIJob') {
+      // The launcher only drives mpirun; the workers hold the code and run the ranks.
+      const mpiWorkers = Math.max(1, workers);
+      const slots = Number(nprocPerNode) || 1;
+      spec.slotsPerWorker = slots;
+      const run = `mpirun --allow-run-as-root -np ${mpiWorkers * slots} -bind-to none -map-by slot -wdir ${CODE_MOUNT_PATH} -x PYTHONPATH python ${script}`;
+      replicaSpecs[jobKind.primaryRole] = this.buildReplicaSpec(
+        { ...withReplicaResources(options, jobKind.primaryRole), gpu: 0 },
+        jobKind,
+        delivery,
+        1,
+        bootstrap ? `${this.buildMpiWorkersReadyWait(mpiWorkers)}${run}` : run
+      );
+      const workerSpec = replica(
+        jobKind.workerRole,
+        mpiWorkers,
+        bootstrap ? `${bootstrap}touch ${MPI_WORKER_READY_FILE} && sleep infinity` : 'sleep infinity'
+      );
+      if (bootstrap) {
+        workerSpec.template.spec.containers[0].readinessProbe = {
+          exec: { command: ['test', '-f', MPI_WORKER_READY_FILE] },
+          periodSeconds: 5
+        };
+      }
+      replicaSpecs[jobKind.workerRole] = workerSpec;
+    } else if (jobKind.kind === 'PyTorchJob' && (elastic || workers > 0 || Number(nprocPerNode) > 1)) {
+      if (nprocPerNode) spec.nprocPerNode = nprocPerNode;
+      const launch = `${bootstrap}${this.buildTorchrunCommand(nprocPerNode, Boolean(elastic))} ${script}`;
+      if (elastic) {
+        // Elastic jobs are Worker-only; torchrun gets the rendezvous settings from PET_* variables.
+        spec.elasticPolicy = {
+          rdzvBackend: elastic.rdzvBackend || 'c10d',
+          minReplicas: elastic.minReplicas,
+          maxReplicas: elastic.maxReplicas,
+          ...(elastic.maxRestarts !== undefined ? { maxRestarts: elastic.maxRestarts } : {})
+        };
+        // Starts with the requested workers, kept within the elastic range.
+        const elasticWorkers = Math.max(1, workers, elastic.minReplicas || 0);
+        replicaSpecs[jobKind.workerRole] = replica(jobKind.workerRole, Math.min(elasticWorkers, elastic.maxReplicas || elasticWorkers), launch);
+      } else {
+        replicaSpecs[jobKind.primaryRole] = replica(jobKind.primaryRole, 1, launch);
+        if (workers > 0) replicaSpecs[jobKind.workerRole] = replica(jobKind.workerRole, workers, launch);
+      }
+    } else {
+      const launch =
+        jobKind.kind === 'PaddleJob' && workers > 0
+          ? `${bootstrap}python -m paddle.distributed.launch ${script}`
+          : `${bootstrap}python ${script}`;
+      replicaSpecs[jobKind.primaryRole] = replica(jobKind.primaryRole, 1, launch);
+      if (workers > 0) replicaSpecs[jobKind.workerRole] = replica(jobKind.workerRole, workers, launch);
+    }
+
+    // The operator deletes the job ttlSecondsAfterFinished after it ends; the artifact
+    // ConfigMap it owns goes with it.
+    const runPolicy = {};
+    if (options.cleanPodPolicy) runPolicy.cleanPodPolicy = options.cleanPodPolicy;
+    if (Number.isInteger(options.ttlSecondsAfterFinished)) runPolicy.ttlSecondsAfterFinished = options.ttlSecondsAfterFinished;
+    if (Object.keys(runPolicy).length) spec.runPolicy = runPolicy;
+
+    return {
+      apiVersion: `${JOB_API_GROUP}/${JOB_API_VERSION}`,
+      kind: jobKind.kind,
+      metadata: {
+        name: options.name,
+        namespace: options.namespace,
+        labels: {
+          'app.kubernetes.io/managed-by': 'kubeflow-vscode',
+          ...(options.queue ? { [KUEUE_QUEUE_LABEL]: options.queue } : {})
+        }
+      },
+      spec: {
+        ...spec,
+        [jobKind.replicaSpecsKey]: replicaSpecs
+      }
+    };
+  }
+
+  // Non-elastic jobs pass the topology explicitly: newer operators export PET_* variables,
+  // older ones only WORLD_SIZE/RANK (one rank per replica) and MASTER_ADDR/MASTER_PORT.
+  buildTorchrunCommand(nprocPerNode, elastic) {
+    const nproc = nprocPerNode ? ` --nproc-per-node=${nprocPerNode}` : '';
+    if (elastic) return `torchrun${nproc}`;
+    return [
+      `torchrun${nproc}`,
+      '--nnodes=${PET_NNODES:-${WORLD_SIZE:-1}}',
+      '--node-rank=${PET_NODE_RANK:-${RANK:-0}}',
+      '--master-addr=${PET_MASTER_ADDR:-${MASTER_ADDR:-localhost}}',
+      '--master-port=${PET_MASTER_PORT:-${MASTER_PORT:-29500}}'
+    ].join(' ');
+  }
+
+  // The launcher starts as soon as the worker pods run, while their pip/apt install may
+  // still be going on: poll every worker (one process per node) for the marker file the
+  // install leaves before starting the ranks.
+  buildMpiWorkersReadyWait(workers) {
+    const probe = `mpirun --allow-run-as-root -np ${workers} -npernode 1 test -f ${MPI_WORKER_READY_FILE} >/dev/null 2>&1`;
+    return (
+      `n=0; until ${probe}; do n=$((n+1)); ` +
+      `if [ $n -ge ${MPI_WORKER_READY_ATTEMPTS} ]; then echo 'MPI workers did not finish installing dependencies.' >&2; exit 1; fi; ` +
+      `sleep ${MPI_WORKER_READY_INTERVAL_SECONDS}; done; `
+    );
+  }
+
+  buildBootstrapCommand(options) {
+    const aptInstall = options.apt.length ? `apt-get update && apt-get install -y ${options.apt.map(shellQuote).join(' ')} && ` : '';
+    const pipInstall = options.pip.length ? `pip install ${options.pip.map(shellQuote).join(' ')} && ` : '';
+    return `${aptInstall}${pipInstall}`;
+  }
+
+  buildReplicaSpec(options, jobKind, delivery, replicas, cmd) {
+    const claims = [...new Set((options.volumes || []).map((v) => v.claim))];
+    // Volume names are DNS labels: the index keeps `a.b` and `a-b` apart after dots are
+    // replaced, and a dash left at the cut is dropped.
+    const claimVolume = (claim) =>
+      `data-${claims.indexOf(claim)}-${claim.replace(/\./g, '-')}`.slice(0, 63).replace(/-+$/, '');
+    return {
+      replicas,
+      restartPolicy: 'OnFailure',
+      template: {
+        spec: {
+          ...(options.priorityClassName ? { priorityClassName: options.priorityClassName } : {}),
+          ...(options.nodeSelector && Object.keys(options.nodeSelector).length ? { nodeSelector: options.nodeSelector } : {}),
+          ...(options.affinity ? { affinity: options.affinity } : {}),
+          ...(options.tolerations?.length ? { tolerations: options.tolerations } : {}),
+          initContainers: [this.buildUnpackContainer(options.image, delivery)],
+          containers: [
+            {
+              name: jobKind.containerName,
+              image: options.image,
+              command: ['/bin/sh', '-c', cmd],
+              workingDir: CODE_MOUNT_PATH,
+              env: [{ name: 'PYTHONPATH', value: CODE_MOUNT_PATH }, ...(options.env || [])],
+              ...(options.envFrom?.length ? { envFrom: options.envFrom } : {}),
+              resources: {
+                limits: {
+                  ...(options.gpu ? { [options.gpuResource || DEFAULT_GPU_RESOURCE]: options.gpu } : {}),
+                  cpu: options.cpu,
+                  memory: options.memory
+                },
+                requests: {
+                  cpu: options.cpu,
+                  memory: options.memory
+                }
+              },
+              volumeMounts: [
+                { name: 'job-code', mountPath: CODE_MOUNT_PATH },
+                ...(options.autoPVCforPip ? [{ name: 'pip-cache', mountPath: '/root/.cache/pip' }] : []),
+                ...(options.shmSize ? [{ name: 'dshm', mountPath: '/dev/shm' }] : []),
+                ...(options.volumes || []).map((v) => ({
+                  name: claimVolume(v.claim),
+                  mountPath: v.mountPath,
+                  ...(v.subPath ? { subPath: v.subPath } : {}),
+                  ...(v.readOnly ? { readOnly: true } : {})
+                }))
+              ]
+            }
+          ],
+          volumes: [
+            ...delivery.volumes,
+            { name: 'job-code', emptyDir: {} },
+            ...(options.autoPVCforPip
+              ? [{ name: 'pip-cache', persistentVolumeClaim: { claimName: 'pip-cache-pvc' } }]
+              : []),
+            // Memory-backed, so it counts against the container's memory limit.
+            ...(options.shmSize ? [{ name: 'dshm', emptyDir: { medium: 'Memory', sizeLimit: options.shmSize } }] : []),
+            ...claims.map((claim) => ({ name: claimVolume(claim), persistentVolumeClaim: { claimName: claim } }))
+          ]
+        }
+      }
+    };
+  }
+
+  // Each artifact store exposes the archive differently; this renders the volumes it
+  // needs and the shell pipeline that extracts it into CODE_MOUNT_PATH.
+  buildCodeDelivery(artifact) {
+    const extract = `tar -xzf - -C ${CODE_MOUNT_PATH}`;
+    switch (artifact.store) {
+      case 'configmap':
+        return {
+          volumes: [{ name: 'job-artifact', configMap: { name: artifact.configMapName } }],
+          unpackCommand: `base64 -d ${ARTIFACT_MOUNT_PATH}/${ARTIFACT_DATA_KEY} | ${extract}`
+        };
+      case 's3':
+        return {
+          volumes: [],
+          unpackCommand:
+            `python -c "import shutil, sys, urllib.request; shutil.copyfileobj(urllib.request.urlopen(sys.argv[1]), sys.stdout.buffer)" ` +
+            `${shellQuote(artifact.url)} | ${extract}`
+        };
+      case 'pvc':
+        return {
+          volumes: [{ name: 'job-artifact', persistentVolumeClaim: { claimName: artifact.claimName, readOnly: true } }],
+          unpackCommand: `${extract} < ${ARTIFACT_MOUNT_PATH}/${shellQuote(artifact.key)}`
+        };
+      default:
+        throw new Error(`Unknown artifact store "${artifact.store}".`);
+    }
+  }
+
+  // Extracts the archive into the writable emptyDir shared with the training
+  // container. Uses the job image so no extra pull is needed.
+  buildUnpackContainer(image, delivery) {
+    const mountsArtifact = delivery.volumes.some((v) => v.name === 'job-artifact');
+    return {
+      name: 'unpack-code',
+      image,
+      command: ['/bin/sh', '-c', `mkdir -p ${CODE_MOUNT_PATH} && ${delivery.unpackCommand}`],
+      volumeMounts: [
+        ...(mountsArtifact ? [{ name: 'job-artifact', mountPath: ARTIFACT_MOUNT_PATH, readOnly: true }] : []),
+        { name: 'job-code', mountPath: CODE_MOUNT_PATH }
+      ]
+    };
+  }
+
+  // Short-lived pod that receives the archive over the API server pod proxy and
+  // writes it onto the code PVC.
+  buildArtifactUploaderPod(name, namespace, claimName, image) {
+    const server = [
+      'import http.server, os',
+      'class H(http.server.BaseHTTPRequestHandler):',
+      '    def do_HEAD(self):',
+      `        exists = os.path.exists(os.path.join('${ARTIFACT_MOUNT_PATH}', os.path.basename(self.path)))`,
+      '        self.send_response(200 if exists else 404)',
+      '        self.end_headers()',
+      '    def do_PUT(self):',
+      `        target = os.path.join('${ARTIFACT_MOUNT_PATH}', os.path.basename(self.path))`,
+      "        remaining = int(self.headers.get('Content-Length', 0))",
+      "        with open(target + '.part', 'wb') as f:",
+      '            while remaining > 0:',
+      '                chunk = self.rfile.read(min(remaining, 1 << 20))',
+      '                if not chunk: break',
+      '                f.write(chunk)',
+      '                remaining -= len(chunk)',
+      "        os.replace(target + '.part', target)",
+      '        self.send_response(201)',
+      '        self.end_headers()',
+      `http.server.HTTPServer(('', ${ARTIFACT_UPLOADER_PORT}), H).serve_forever()`
+    ].join('\n');
+
+    return {
+      apiVersion: 'v1',
+      kind: 'Pod',
+      metadata: {
+        name,
+        namespace,
+        labels: { 'app.kubernetes.io/managed-by': 'kubeflow-vscode', 'app.kubernetes.io/component': 'artifact-uploader' },
+        annotations: { 'sidecar.istio.io/inject': 'false' }
+      },
+      spec: {
+        restartPolicy: 'Never',
+        activeDeadlineSeconds: 600,
+        containers: [
+          {
+            name: 'uploader',
+            image,
+            command: ['python', '-c', server],
+            ports: [{ containerPort: ARTIFACT_UPLOADER_PORT }],
+            readinessProbe: { tcpSocket: { port: ARTIFACT_UPLOADER_PORT }, periodSeconds: 1 },
+            volumeMounts: [{ name: 'code', mountPath: ARTIFACT_MOUNT_PATH }]
+          }
+        ],
+        volumes: [{ name: 'code', persistentVolumeClaim: { claimName } }]
+      }
+    };
+  }
+
+  resolveArchiveScriptPath(options) {
+    const root = options.sourceRoot || path.dirname(options.scriptPath);
+    const relative = path.relative(root, options.scriptPath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Script ${options.scriptPath} is outside of the packaged directory ${root}.`);
+    }
+    return relative.split(path.sep).join('/');
+  }
+}
+
+class ArtifactPackager {
+  constructor(storageDir) {
+    this.storageDir = path.join(storageDir || os.tmpdir(), 'artifacts');
+  }
+
+  // Walks the source tree honouring .gitignore/.kflowignore (including nested ones)
+  // and hashes the selected files, so an unchanged tree maps to the same artifact.
+  // Symlinks are followed; broken ones and links back into their own parent folders
+  // are listed in `skipped`.
+  async scan(sourceDir) {
+    const rootDir = path.resolve(sourceDir);
+    const files = [];
+    const skipped = [];
+    const rules = DEFAULT_IGNORE_PATTERNS.map((p) => compileIgnorePattern(p, '')).filter(Boolean);
+    await this.collectFiles(rootDir, '', rules, files, { skipped, ancestors: [await fs.realpath(rootDir)] });
+    files.sort((a, b) => (a.relPath < b.relPath ? -1 : a.relPath > b.relPath ? 1 : 0));
+
+    const hash = crypto.createHash('sha256');
+    for (const file of files) {
+      hash.update(`${file.relPath}\0${file.size}\0`);
+      hash.update(await fs.readFile(path.join(rootDir, file.relPath)));
+    }
+
+    return {
+      sourceDir: rootDir,
+      files,
+      fileCount: files.length,
+      totalBytes: files.reduce((sum, f) => sum + f.size, 0),
+      contentHash: hash.digest('hex'),
+      skipped
+    };
+  }
+
+  async collectFiles(rootDir, relDir, inheritedRules, out, { skipped, ancestors }) {
+    const absDir = path.join(rootDir, relDir);
+    const rules = [...inheritedRules];
+    for (const ignoreFile of IGNORE_FILES) {
+      let content;
+      try {
+        content = await fs.readFile(path.join(absDir, ignoreFile), 'utf-8');
+      } catch {
+        continue;
+      }
+      for (const line of content.split(/\r?\n/)) {
+        const rule = compileIgnorePattern(line, relDir);
+        if (rule) rules.push(rule);
+      }
+    }
+
+    const entries = await fs.readdir(absDir, { withFileTypes: true });
+    for (const entry of entries) {
+      const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+      let isDir = entry.isDirectory();
+      let isFile = entry.isFile();
+      if (entry.isSymbolicLink()) {
+        const target = await fs.stat(path.join(rootDir, relPath)).catch(() => undefined);
+        if (!target) {
+          if (!isIgnoredPath(rules, relPath, false)) skipped.push(`${relPath} (broken symlink)`);
+          continue;
+        }
+        isDir = target.isDirectory();
+        isFile = target.isFile();
+      }
+      if (!isDir && !isFile) continue;
+      if (isIgnoredPath(rules, relPath, isDir)) continue;
+      if (isDir) {
+        const realDir = await fs.realpath(path.join(rootDir, relPath));
+        if (ancestors.includes(realDir)) {
+          skipped.push(`${relPath} (symlink to a parent folder)`);
+          continue;
+        }
+        await this.collectFiles(rootDir, relPath, rules, out, { skipped, ancestors: [...ancestors, realDir] });
+      } else {
+        const stat = await fs.stat(path.join(rootDir, relPath));
+        out.push({ relPath, size: stat.size });
+      }
+    }
+  }
+
+  async packageToTarGz(scanResult) {
+    await fs.mkdir(this.storageDir, { recursive: true });
+    const archivePath = path.join(this.storageDir, `${ARTIFACT_FILE_PREFIX}${scanResult.contentHash.slice(0, 12)}-${Date.now()}.tar.gz`);
+    const listPath = `${archivePath}.files`;
+    await fs.writeFile(listPath, scanResult.files.map((f) => `${f.relPath}\0`).join(''));
+    try {
+      // -h archives what symlinks point to, as scan() hashed it.
+      await execFileAsync('tar', ['-czhf', archivePath, '-C', scanResult.sourceDir, '--null', '-T', listPath]);
+    } finally {
+      await fs.rm(listPath, { force: true });
+    }
+    const stat = await fs.stat(archivePath);
+    return { archivePath, archiveBytes: stat.size };
+  }
+
+  async readBase64(archivePath) {
+    const bytes = await fs.readFile(archivePath);
+    return bytes.toString('base64');
+  }
+
+  async removeArchive(archivePath) {
+    await fs.rm(archivePath, { force: true });
+  }
+
+  // Keeps the archive of a submitted run so a restart can re-upload it after the
+  // artifact was deleted from the store.
+  async retainArchive(archivePath, contentHash) {
+    const target = this.retainedArchivePath(contentHash);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.rename(archivePath, target);
+  }
+
+  retainedArchivePath(contentHash) {
+    return path.join(this.storageDir, 'history', `${contentHash}.tar.gz`);
+  }
+
+  async hasRetainedArchive(contentHash) {
+    return fs
+      .stat(this.retainedArchivePath(contentHash))
+      .then(() => true)
+      .catch(() => false);
+  }
+
+  async pruneRetainedArchives(keepHashes) {
+    const dir = path.join(this.storageDir, 'history');
+    const names = await fs.readdir(dir).catch(() => []);
+    for (const name of names) {
+      if (!keepHashes.has(name.replace(/\.tar\.gz$/, ''))) await fs.rm(path.join(dir, name), { force: true });
+    }
+  }
+
+  // Removes archives left behind by runs that were interrupted before cleanup.
+  async pruneArchives(maxAgeMs = 24 * 60 * 60 * 1000) {
+    for (const { file } of await this.leftoverArchives(maxAgeMs)) await fs.rm(file, { force: true });
+  }
+
+  // Archives (and their file lists) older than `maxAgeMs`: a finished upload removes
+  // its archive or moves it to the history, so these belong to interrupted runs.
+  async leftoverArchives(maxAgeMs) {
+    let names;
+    try {
+      names = await fs.readdir(this.storageDir);
+    } catch {
+      return [];
+    }
+    const leftovers = [];
+    for (const name of names) {
+      if (!name.startsWith(ARTIFACT_FILE_PREFIX)) continue;
+      const file = path.join(this.storageDir, name);
+      const stat = await fs.stat(file).catch(() => undefined);
+      if (stat?.isFile() && Date.now() - stat.mtimeMs > maxAgeMs) leftovers.push({ file, bytes: stat.size });
+    }
+    return leftovers;
+  }
+}
+
+// Submitted runs, newest first, kept in global state so they survive window reloads.
+// Each entry holds what is needed to submit the run again: the resolved options, the
+// manifest and the artifact reference (whose archive the packager retains).
+class RunHistoryStore {
+  constructor(memento) {
+    this.memento = memento;
+  }
+
+  list() {
+    return this.memento.get(RUN_HISTORY_KEY, []);
+  }
+
+  get(id) {
+    return this.list().find((entry) => entry.id === id);
+  }
+
+  // Returns the content hashes still referenced, so unreferenced archives can be pruned.
+  async add(entry) {
+    const max = Math.max(1, Number(getSettings().runHistorySize) || 50);
+    const entries = [{ id: crypto.randomUUID(), submittedAt: new Date().toISOString(), status: 'Submitted', ...entry }, ...this.list()];
+    await this.memento.update(RUN_HISTORY_KEY, entries.slice(0, max));
+    return this.referencedHashes();
+  }
+
+  async update(id, patch) {
+    await this.memento.update(
+      RUN_HISTORY_KEY,
+      this.list().map((entry) => (entry.id === id ? { ...entry, ...patch } : entry))
+    );
+  }
+
+  async remove(id) {
+    await this.memento.update(
+      RUN_HISTORY_KEY,
+      this.list().filter((entry) => entry.id !== id)
+    );
+    return this.referencedHashes();
+  }
+
+  // Status updates come from the panel's job watch and from history listings.
+  async recordStatus(namespace, kind, name, status) {
+    const { profile } = getSettings();
+    const entry = this.list().find(
+      (e) => e.profile === profile && e.namespace === namespace && e.kind === kind && e.name === name
+    );
+    if (entry && entry.status !== status) await this.update(entry.id, { status });
+  }
+
+  referencedHashes() {
+    return new Set(this.list().map((entry) => entry.artifact?.contentHash).filter(Boolean));
+  }
+}
+
+class ConfigMapArtifactStore {
+  constructor(k8sClient, packager, manifestBuilder) {
+    this.k8sClient = k8sClient;
+    this.packager = packager;
+    this.manifestBuilder = manifestBuilder;
+    this.maxArchiveBytes = CONFIGMAP_MAX_ARCHIVE_BYTES;
+  }
+
+  configMapName(contentHash) {
+    return `kflow-${contentHash.slice(0, 12)}-artifact`;
+  }
+
+  // A ConfigMap that is being deleted, or whose owners are all gone, is about to be
+  // removed by the garbage collector and counts as missing.
+  async find(contentHash, options, signal) {
+    const configMapName = this.configMapName(contentHash);
+    let configMap;
+    try {
+      configMap = await this.k8sClient.getCoreObject(options.namespace, 'configmaps', configMapName, { signal });
+    } catch (e) {
+      if (isNotFoundError(e)) return undefined;
+      throw e;
+    }
+    if (await this.isCollectable(configMap)) return undefined;
+    return { store: 'configmap', configMapName, contentHash };
+  }
+
+  async isCollectable(configMap) {
+    if (configMap.metadata?.deletionTimestamp) return true;
+    const owners = configMap.metadata?.ownerReferences || [];
+    if (!owners.length) return false;
+    const alive = await Promise.all(
+      owners.map(async (owner) => {
+        if (!JOB_KINDS[owner.kind]) return true;
+        try {
+          const job = await this.k8sClient.getCustomObject(
+            JOB_API_GROUP,
+            JOB_API_VERSION,
+            configMap.metadata.namespace,
+            getJobKind(owner.kind).plural,
+            owner.name
+          );
+          return job.metadata?.uid === owner.uid && !job.metadata?.deletionTimestamp;
+        } catch (e) {
+          // Only a missing job is known to be dead.
+          return !isNotFoundError(e);
+        }
+      })
+    );
+    return !alive.some(Boolean);
+  }
+
+  // The name is derived from the content, so a ConfigMap that is still there when
+  // find() called it collectable holds the same archive: it is taken over by dropping
+  // its dead owners, or re-created once the garbage collector has removed it.
+  async upload(archivePath, options, contentHash, signal) {
+    const encoded = await this.packager.readBase64(archivePath);
+    const { namespace } = options;
+    const configMapName = this.configMapName(contentHash);
+    const configMap = this.manifestBuilder.buildArtifactConfigMap(namespace, configMapName, encoded, contentHash);
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.k8sClient.createCoreObject(namespace, 'configmaps', configMap, { signal });
+        break;
+      } catch (e) {
+        if (!isAlreadyExistsError(e) || attempt >= ARTIFACT_RECLAIM_ATTEMPTS) throw e;
+      }
+      if (await this.reclaim(namespace, configMapName, signal)) break;
+    }
+    return { store: 'configmap', configMapName, contentHash };
+  }
+
+  // Returns true when the existing ConfigMap was kept, false when it must be created again.
+  async reclaim(namespace, configMapName, signal) {
+    let existing;
+    try {
+      existing = await this.k8sClient.getCoreObject(namespace, 'configmaps', configMapName, { signal });
+    } catch (e) {
+      if (isNotFoundError(e)) return false;
+      throw e;
+    }
+    if (existing.metadata?.deletionTimestamp) {
+      await delay(ARTIFACT_RECLAIM_DELAY_MS, signal);
+      return false;
+    }
+    try {
+      // A null ownerReferences removes the field; the resourceVersion fails the patch if
+      // the garbage collector deleted the object in the meantime.
+      await this.k8sClient.patchCoreObject(namespace, 'configmaps', configMapName, {
+        metadata: { resourceVersion: existing.metadata.resourceVersion, ownerReferences: null }
+      });
+      return true;
+    } catch (e) {
+      if (isNotFoundError(e) || e instanceof ConflictError) return false;
+      throw e;
+    }
+  }
+
+  // Adds the job to the ConfigMap's ownerReferences. Unchanged code shares one ConfigMap
+  // between runs, so the garbage collector deletes it with the last job that owns it.
+  async addOwner(namespace, configMapName, job) {
+    const owner = {
+      apiVersion: job.apiVersion,
+      kind: job.kind,
+      name: job.metadata.name,
+      uid: job.metadata.uid,
+      blockOwnerDeletion: false
+    };
+    for (let attempt = 1; ; attempt++) {
+      const configMap = await this.k8sClient.getCoreObject(namespace, 'configmaps', configMapName);
+      const owners = configMap.metadata?.ownerReferences || [];
+      if (owners.some((o) => o.uid === owner.uid)) return;
+      try {
+        // The resourceVersion makes a concurrent owner update fail with 409 instead of being overwritten.
+        await this.k8sClient.patchCoreObject(namespace, 'configmaps', configMapName, {
+          metadata: { resourceVersion: configMap.metadata.resourceVersion, ownerReferences: [...owners, owner] }
+        });
+        return;
+      } catch (e) {
+        if (!(e instanceof ConflictError) || attempt >= 3) throw e;
+      }
+    }
+  }
+}
+
+class S3ArtifactStore {
+  constructor(secrets) {
+    this.secrets = secrets;
+  }
+
+  async find(contentHash, _options, signal) {
+    const target = await this.resolveTarget(contentHash);
+    // Through httpRequest, like cluster calls, so kflow.verifySSL and kflow.caFile apply.
+    const res = await httpRequest(presignS3Url({ ...target, method: 'HEAD', expiresIn: 900 }), { method: 'HEAD', signal });
+    if (res.status === 404) return undefined;
+    if (!res.ok) throw new Error(`Artifact lookup at ${target.endpoint} failed (${res.status}).`);
+    return this.toArtifact(target, contentHash);
+  }
+
+  async upload(archivePath, options, contentHash, signal) {
+    const target = await this.resolveTarget(contentHash);
+    const res = await httpRequest(presignS3Url({ ...target, method: 'PUT', expiresIn: 900 }), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/gzip' },
+      body: await fs.readFile(archivePath),
+      signal
+    });
+    const text = await res.text();
+    if (!res.ok) throw new Error(`Artifact upload to ${target.endpoint} failed (${res.status}): ${text}`);
+    return this.toArtifact(target, contentHash);
+  }
+
+  async resolveTarget(contentHash) {
+    const settings = getSettings();
+    if (!settings.s3Endpoint || !settings.s3Bucket || !settings.s3AccessKeyId) {
+      throw new Error(
+        'S3 artifact store needs kflow.artifactStore.s3.endpoint, kflow.artifactStore.s3.bucket and kflow.artifactStore.s3.accessKeyId.'
+      );
+    }
+    const secretAccessKey = await this.getSecretAccessKey();
+    if (!secretAccessKey) throw new Error('S3 secret access key is required for the S3 artifact store.');
+
+    return {
+      endpoint: settings.s3Endpoint,
+      region: settings.s3Region,
+      bucket: settings.s3Bucket,
+      key: `${settings.s3Prefix}${contentHash}.tar.gz`,
+      accessKeyId: settings.s3AccessKeyId,
+      secretAccessKey
+    };
+  }
+
+  // Signs the download URL of an archive in the configured bucket again, e.g. in a job
+  // resubmitted from the cluster. URLs of other buckets or endpoints are returned as they are.
+  async presignDownloadUrl(url) {
+    const settings = getSettings();
+    if (!settings.s3Endpoint || !settings.s3Bucket) return url;
+    const endpoint = new URL(settings.s3Endpoint.replace(/\/$/, ''));
+    const parsed = new URL(url);
+    const prefix = `${endpoint.pathname.replace(/\/$/, '')}/${encodeURIComponent(settings.s3Bucket)}/`;
+    if (parsed.origin !== endpoint.origin || !parsed.pathname.startsWith(prefix)) return url;
+    const key = parsed.pathname.slice(prefix.length).split('/').map(decodeURIComponent).join('/');
+    const target = await this.resolveTarget('');
+    return presignS3Url({ ...target, key, method: 'GET', expiresIn: S3_DOWNLOAD_URL_TTL_SECONDS });
+  }
+
+  toArtifact(target, contentHash) {
+    return {
+      store: 's3',
+      bucket: target.bucket,
+      key: target.key,
+      contentHash,
+      url: presignS3Url({ ...target, method: 'GET', expiresIn: S3_DOWNLOAD_URL_TTL_SECONDS })
+    };
+  }
+
+  async getSecretAccessKey() {
+    const stored = await this.secrets.get(S3_SECRET_ACCESS_KEY);
+    if (stored) return stored;
+    return this.promptSecretAccessKey();
+  }
+
+  async promptSecretAccessKey() {
+    const value = await vscode.window.showInputBox({
+      prompt: `S3 secret access key for ${getSettings().s3AccessKeyId || 'the artifact store'}`,
+      password: true,
+      ignoreFocusOut: true
+    });
+    if (value) await this.secrets.store(S3_SECRET_ACCESS_KEY, value);
+    return value;
+  }
+}
+
+class CodePVCArtifactStore {
+  constructor(k8sClient, manifestBuilder) {
+    this.k8sClient = k8sClient;
+    this.manifestBuilder = manifestBuilder;
+  }
+
+  // Every stored archive is recorded as an annotation on the PVC, so the lookup needs
+  // no uploader pod. Archives uploaded before the annotation existed are still found
+  // by upload(), which then only records them.
+  async find(contentHash, options, signal) {
+    const claimName = getSettings().codePVCname;
+    let pvc;
+    try {
+      pvc = await this.k8sClient.getCoreObject(options.namespace, 'persistentvolumeclaims', claimName, { signal });
+    } catch (e) {
+      if (isNotFoundError(e)) return undefined;
+      throw e;
+    }
+    if (pvc.metadata?.deletionTimestamp || !pvc.metadata?.annotations?.[pvcArtifactAnnotation(contentHash)]) return undefined;
+    return { store: 'pvc', claimName, key: `${contentHash}.tar.gz`, contentHash };
+  }
+
+  async upload(archivePath, options, contentHash, signal) {
+    const settings = getSettings();
+    const claimName = settings.codePVCname;
+    const key = `${contentHash}.tar.gz`;
+
+    try {
+      await this.k8sClient.createCoreObject(
+        options.namespace,
+        'persistentvolumeclaims',
+        // Every replica of a multi-node job mounts it, usually on different nodes.
+        this.manifestBuilder.buildPVC(claimName, options.namespace, settings.defaultPVCsize, {
+          accessMode: settings.codePVCaccessMode,
+          storageClassName: settings.codePVCstorageClass || undefined
+        }),
+        { signal }
+      );
+    } catch (e) {
+      if (!isAlreadyExistsError(e)) throw new Error(`Cannot create the code PVC ${claimName}: ${e.message}`);
+    }
+
+    const podName = `${options.name}-uploader`.slice(0, 63);
+    await this.k8sClient.createCoreObject(
+      options.namespace,
+      'pods',
+      this.manifestBuilder.buildArtifactUploaderPod(podName, options.namespace, claimName, settings.uploaderImage),
+      { signal }
+    );
+
+    try {
+      await this.waitForPodReady(options.namespace, podName, signal);
+      const proxyPath = `/api/v1/namespaces/${options.namespace}/pods/${podName}:${ARTIFACT_UPLOADER_PORT}/proxy/${key}`;
+      const stored = await this.k8sClient
+        .requestRaw(proxyPath, { method: 'HEAD', signal })
+        .then(() => true)
+        .catch((e) => (isNotFoundError(e) ? false : Promise.reject(e)));
+      if (!stored) {
+        await this.k8sClient.requestRaw(proxyPath, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/octet-stream' },
+          body: await fs.readFile(archivePath),
+          signal
+        });
+      }
+    } finally {
+      await this.k8sClient.deleteCoreObject(options.namespace, 'pods', podName).catch(() => undefined);
+    }
+
+    // Without the annotation the next run of the same code only starts an uploader pod again.
+    await this.k8sClient
+      .patchCoreObject(
+        options.namespace,
+        'persistentvolumeclaims',
+        claimName,
+        { metadata: { annotations: { [pvcArtifactAnnotation(contentHash)]: new Date().toISOString() } } }
+      )
+      .catch(() => undefined);
+    return { store: 'pvc', claimName, key, contentHash };
+  }
+
+  async waitForPodReady(namespace, podName, signal, timeoutMs = 180000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const pod = await this.k8sClient.getCoreObject(namespace, 'pods', podName, { signal });
+      if (pod.status?.phase === 'Failed') throw new Error(`Artifact uploader pod ${podName} failed.`);
+      if ((pod.status?.conditions || []).some((c) => c.type === 'Ready' && c.status === 'True')) return;
+      await delay(2000, signal);
+    }
+    throw new Error(`Artifact uploader pod ${podName} did not become ready in time.`);
+  }
+}
+
+// Annotation names are at most 63 characters, so the key holds a 63-character hash prefix.
+function pvcArtifactAnnotation(contentHash) {
+  return `${PVC_ARTIFACT_ANNOTATION_PREFIX}${contentHash.slice(0, 63)}`;
+}
+
+// Jobs come from the shared job informers (a list + watch per job kind), so the
+// panel updates on its own; the other sections are listed when expanded.
+class KubeflowTreeProvider {
+  constructor(k8sClient, runHistory) {
+    this.k8sClient = k8sClient;
+    this.runHistory = runHistory;
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    this.jobSubscriptions = undefined;
+    this.jobsNamespace = undefined;
+    this.jobsNode = undefined;
+    this.categoryNodes = new Map();
+    this.pages = new Map();
+    this.renderTimer = undefined;
+    this.ticker = setInterval(() => this.tick(), JOB_DURATION_TICK_MS);
+  }
+
+  refresh() {
+    this.stopWatching();
+    this.pages.clear();
+    this._onDidChangeTreeData.fire(undefined);
+  }
+
+  // Re-lists one section after a change made from VS Code.
+  refreshCategory(label) {
+    for (const id of [...this.pages.keys()]) if (id.startsWith(`category/${label}`)) this.pages.delete(id);
+    this._onDidChangeTreeData.fire(this.categoryNodes.get(label));
+  }
+
+  dispose() {
+    this.stopWatching();
+    clearInterval(this.ticker);
+    this._onDidChangeTreeData.dispose();
+  }
+
+  getTreeItem(element) {
+    return element;
+  }
+
+  async getChildren(element) {
+    if (!element) {
+      return ['Jobs', 'Run History', 'Notebooks', 'PVC', 'ConfigMaps', 'Pipelines', 'Model Registry'].map((label) => {
+        const item = new vscode.TreeItem(label, vscode.TreeItemCollapsibleState.Collapsed);
+        item.id = `category/${label}`;
+        item.contextValue = 'kubeflowCategory';
+        item.description = '';
+        if (label === 'Jobs') this.jobsNode = item;
+        this.categoryNodes.set(label, item);
+        return item;
+      });
+    }
+
+    const namespace = getSettings().defaultNamespace;
+
+    try {
+      if (element.contextValue === 'kubeflowCategory') {
+        switch (element.label) {
+          case 'Jobs':
+            await this.watchJobs(namespace);
+            return this.renderJobs();
+          case 'Run History':
+            return this.pagedChildren(element, (offset) => this.loadRunHistory(offset));
+          case 'Notebooks':
+            return this.pagedChildren(element, (token) => this.loadNotebooks(namespace, token));
+          case 'PVC':
+            return this.pagedChildren(element, (token) => this.loadPVCs(namespace, token));
+          case 'ConfigMaps':
+            return this.pagedChildren(element, (token) => this.loadConfigMaps(namespace, token));
+          case 'Pipelines':
+            return [
+              this.groupItem(element, 'Pipelines', (group) => this.pagedChildren(group, (token) => this.loadPipelines(namespace, token))),
+              this.groupItem(element, 'Runs', (group) => this.pagedChildren(group, (token) => this.loadPipelineRuns(namespace, token)))
+            ];
+          case 'Model Registry':
+            return this.pagedChildren(element, (token) => this.loadRegisteredModels(token));
+          default:
+            return [];
+        }
+      }
+      if (element.contextValue === 'kubeflowJob') return this.renderJobDetails(element.job);
+      if (element.detailGroup) return await element.detailGroup(element);
+    } catch (e) {
+      if (element.label === 'Jobs') this.stopWatching();
+      const message = isNotFoundError(e)
+        ? 'Not available on this cluster'
+        : e instanceof ForbiddenError
+          ? 'No access in this namespace'
+          : 'Login required or API unavailable';
+      const item = new vscode.TreeItem(message, vscode.TreeItemCollapsibleState.None);
+      item.tooltip = String(e);
+      return [item];
+    }
+
+    return [];
+  }
+
+  groupItem(parent, label, load) {
+    const item = new vscode.TreeItem(label, vscode.TreeItemCollapsibleState.Collapsed);
+    item.id = `${parent.id}/${label}`;
+    item.contextValue = 'kubeflowGroup';
+    item.detailGroup = load;
+    return item;
+  }
+
+  // Lists the first page of a section once and keeps it until refresh; further
+  // pages are appended by the "Load more…" item. `loadPage(token)` resolves to
+  // { items, next } where `next` is the token of the following page.
+  async pagedChildren(parent, loadPage) {
+    let state = this.pages.get(parent.id);
+    if (!state) {
+      const first = await loadPage(undefined);
+      state = { parent, loadPage, items: first.items, next: first.next };
+      this.pages.set(parent.id, state);
+    }
+    state.parent = parent;
+
+    if (state.items.length === 0) return [new vscode.TreeItem('No items', vscode.TreeItemCollapsibleState.None)];
+    if (!state.next) return state.items;
+    const more = new vscode.TreeItem('Load more…', vscode.TreeItemCollapsibleState.None);
+    more.iconPath = new vscode.ThemeIcon('ellipsis');
+    more.command = { command: 'kubeflow.loadMore', title: 'Load more', arguments: [parent.id] };
+    return [...state.items, more];
+  }
+
+  async loadMore(parentId) {
+    const state = this.pages.get(parentId);
+    if (!state?.next) return;
+    const page = await state.loadPage(state.next);
+    state.items.push(...page.items);
+    state.next = page.next;
+    this._onDidChangeTreeData.fire(state.parent);
+  }
+
+  pageSize() {
+    return Math.max(1, Number(getSettings().panelPageSize) || 50);
+  }
+
+  // History is local, so "pages" are offsets; statuses of unfinished runs of the
+  // active connection profile are looked up.
+  async loadRunHistory(offset = 0) {
+    const { profile } = getSettings();
+    const entries = this.runHistory.list();
+    const page = entries.slice(offset, offset + this.pageSize());
+    await Promise.all(
+      page
+        .filter((entry) => entry.profile === profile && !isTerminalJobState(entry.status) && entry.status !== 'Deleted')
+        .map(async (entry) => {
+          try {
+            const job = await this.k8sClient.getCustomObject(
+              JOB_API_GROUP,
+              JOB_API_VERSION,
+              entry.namespace,
+              getJobKind(entry.kind).plural,
+              entry.name
+            );
+            entry.status = getJobState(job);
+          } catch (e) {
+            if (!isNotFoundError(e)) return;
+            entry.status = 'Deleted';
+          }
+          await this.runHistory.update(entry.id, { status: entry.status });
+        })
+    );
+
+    const items = page.map((entry) => {
+      const item = new vscode.TreeItem(entry.name, vscode.TreeItemCollapsibleState.None);
+      item.id = `run/${entry.id}`;
+      item.description = [entry.kind, entry.status, new Date(entry.submittedAt).toLocaleString()].join(' · ');
+      item.tooltip = [
+        entry.profile ? `Profile: ${entry.profile}` : '',
+        `Namespace: ${entry.namespace}`,
+        entry.options?.scriptPath ? `Script: ${entry.options.scriptPath}` : '',
+        entry.artifact ? `Code: ${entry.artifact.store} ${String(entry.artifact.contentHash).slice(0, 12)}` : ''
+      ]
+        .filter(Boolean)
+        .join('\n');
+      item.iconPath = entry.status === 'Deleted' ? new vscode.ThemeIcon('history') : jobStateIcon(entry.status);
+      item.contextValue = 'kubeflowRun';
+      item.run = entry;
+      return item;
+    });
+    const next = offset + page.length;
+    return { items, next: next < entries.length ? next : undefined };
+  }
+
+  async loadNotebooks(namespace, continueToken) {
+    const payload = await this.k8sClient.listPage(
+      namespace,
+      `/apis/kubeflow.org/${NOTEBOOK_API_VERSION}/namespaces/{namespace}/notebooks`,
+      { limit: this.pageSize(), continueToken }
+    );
+    const items = (payload.items || []).map((nb) => {
+      const state = getNotebookState(nb);
+      const container = nb.spec?.template?.spec?.containers?.[0];
+      const item = new vscode.TreeItem(nb.metadata?.name || 'unnamed', vscode.TreeItemCollapsibleState.None);
+      item.id = `notebook/${namespace}/${nb.metadata?.name}`;
+      item.description = [state, container?.image?.split('/').pop()].filter(Boolean).join(' · ');
+      item.tooltip = [container?.image, nb.status?.containerState?.waiting?.message].filter(Boolean).join('\n');
+      item.iconPath = jobStateIcon(state === 'Stopped' ? 'Suspended' : state);
+      item.contextValue = state === 'Stopped' ? 'kubeflowNotebookStopped' : 'kubeflowNotebook';
+      item.notebook = nb;
+      return item;
+    });
+    return { items, next: payload.metadata?.continue || undefined };
+  }
+
+  // The pods mounting a claim are looked up when it is expanded, so a page of PVCs
+  // costs one request however many pods the namespace has.
+  async loadPVCs(namespace, continueToken) {
+    const payload = await this.k8sClient.listPage(namespace, '/api/v1/namespaces/{namespace}/persistentvolumeclaims', {
+      limit: this.pageSize(),
+      continueToken
+    });
+    const items = (payload.items || []).map((pvc) => {
+      const name = pvc.metadata?.name || 'unnamed';
+      const capacity = pvc.status?.capacity?.storage || pvc.spec?.resources?.requests?.storage;
+      const item = new vscode.TreeItem(name, vscode.TreeItemCollapsibleState.Collapsed);
+      item.id = `pvc/${namespace}/${name}`;
+      item.description = [capacity, pvc.status?.phase].filter(Boolean).join(' · ');
+      item.tooltip = [
+        `Access modes: ${(pvc.spec?.accessModes || []).join(', ') || '-'}`,
+        `Storage class: ${pvc.spec?.storageClassName || '-'}`
+      ].join('\n');
+      item.iconPath = new vscode.ThemeIcon('database');
+      item.contextValue = 'kubeflowPVC';
+      item.detailGroup = () => this.loadPVCPods(namespace, name);
+      return item;
+    });
+    return { items, next: payload.metadata?.continue || undefined };
+  }
+
+  async loadPVCPods(namespace, claimName) {
+    const pods = await this.k8sClient.list(namespace, '/api/v1/namespaces/{namespace}/pods');
+    const items = (pods.items || [])
+      .filter((pod) => (pod.spec?.volumes || []).some((volume) => volume.persistentVolumeClaim?.claimName === claimName))
+      .map((pod) => {
+        const item = new vscode.TreeItem(pod.metadata?.name || 'unnamed-pod', vscode.TreeItemCollapsibleState.None);
+        item.description = [pod.status?.phase, pod.spec?.nodeName].filter(Boolean).join(' · ');
+        item.iconPath = jobStateIcon(pod.status?.phase);
+        return item;
+      });
+    return items.length ? items : [new vscode.TreeItem('Not mounted by any pod', vscode.TreeItemCollapsibleState.None)];
+  }
+
+  async loadConfigMaps(namespace, continueToken) {
+    const payload = await this.k8sClient.listPage(namespace, '/api/v1/namespaces/{namespace}/configmaps', {
+      limit: this.pageSize(),
+      continueToken
+    });
+    const items = (payload.items || []).map((cm) => {
+      const labels = cm.metadata?.labels || {};
+      const isArtifact =
+        labels['app.kubernetes.io/managed-by'] === 'kubeflow-vscode' && labels['app.kubernetes.io/component'] === 'artifact';
+      const item = new vscode.TreeItem(cm.metadata?.name || 'unnamed', vscode.TreeItemCollapsibleState.None);
+      item.id = `configmap/${namespace}/${cm.metadata?.name}`;
+      const keys = Object.keys({ ...(cm.data || {}), ...(cm.binaryData || {}) });
+      item.description = isArtifact
+        ? `code artifact · ${String(cm.metadata?.annotations?.['kubeflow-vscode/content-hash'] || '').slice(0, 12)}`
+        : `${keys.length} keys`;
+      item.tooltip = keys.join('\n');
+      item.iconPath = new vscode.ThemeIcon(isArtifact ? 'package' : 'symbol-key');
+      item.contextValue = isArtifact ? 'kubeflowArtifactConfigMap' : 'kubeflowConfigMap';
+      return item;
+    });
+    return { items, next: payload.metadata?.continue || undefined };
+  }
+
+  async loadPipelines(namespace, pageToken) {
+    const payload = await this.k8sClient.listPipelines(namespace, { pageSize: this.pageSize(), pageToken });
+    const items = (payload.pipelines || []).map((p) => {
+      const item = new vscode.TreeItem(p.display_name || p.pipeline_id, vscode.TreeItemCollapsibleState.None);
+      item.id = `pipeline/${p.pipeline_id}`;
+      item.description = p.namespace ? p.created_at : `shared · ${p.created_at || ''}`;
+      item.tooltip = p.description || undefined;
+      item.iconPath = new vscode.ThemeIcon('type-hierarchy');
+      item.contextValue = 'kubeflowPipeline';
+      return item;
+    });
+    return { items, next: payload.next_page_token || undefined };
+  }
+
+  async loadPipelineRuns(namespace, pageToken) {
+    const payload = await this.k8sClient.listPipelineRuns(namespace, { pageSize: this.pageSize(), pageToken });
+    const items = (payload.runs || []).map((r) => {
+      const state = PIPELINE_RUN_STATES[r.state] || 'Pending';
+      const finished = Date.parse(r.finished_at || '');
+      const duration = Number.isFinite(finished) && finished > 0 ? finished - Date.parse(r.created_at) : undefined;
+      const item = new vscode.TreeItem(r.display_name || r.run_id, vscode.TreeItemCollapsibleState.None);
+      item.id = `pipeline-run/${r.run_id}`;
+      item.description = [r.state, formatDuration(duration)].filter(Boolean).join(' · ');
+      item.tooltip = [r.created_at, r.error?.message].filter(Boolean).join('\n');
+      item.iconPath = jobStateIcon(state);
+      item.contextValue = 'kubeflowPipelineRun';
+      return item;
+    });
+    return { items, next: payload.next_page_token || undefined };
+  }
+
+  async loadRegisteredModels(pageToken) {
+    const payload = await this.k8sClient.listRegisteredModels({ pageSize: this.pageSize(), pageToken });
+    const items = (payload.items || []).map((m) => {
+      const item = new vscode.TreeItem(m.name, vscode.TreeItemCollapsibleState.Collapsed);
+      item.id = `model/${m.id}`;
+      item.description = m.state === 'ARCHIVED' ? 'archived' : m.owner || '';
+      item.tooltip = m.description || undefined;
+      item.iconPath = new vscode.ThemeIcon('symbol-class');
+      item.contextValue = 'kubeflowRegisteredModel';
+      item.detailGroup = (parent) => this.pagedChildren(parent, (token) => this.loadModelVersions(m.id, token));
+      return item;
+    });
+    return { items, next: payload.nextPageToken || undefined };
+  }
+
+  async loadModelVersions(modelId, pageToken) {
+    const payload = await this.k8sClient.listModelVersions(modelId, { pageSize: this.pageSize(), pageToken });
+    const items = (payload.items || []).map((v) => {
+      const item = new vscode.TreeItem(v.name, vscode.TreeItemCollapsibleState.None);
+      item.id = `model/${modelId}/version/${v.id}`;
+      item.description = [v.state === 'ARCHIVED' ? 'archived' : '', v.author].filter(Boolean).join(' · ');
+      item.tooltip = v.description || undefined;
+      item.iconPath = new vscode.ThemeIcon('versions');
+      item.contextValue = 'kubeflowModelVersion';
+      return item;
+    });
+    return { items, next: payload.nextPageToken || undefined };
+  }
+
+  renderJobs() {
+    const jobs = this.jobList().sort((a, b) =>
+      String(b.metadata?.creationTimestamp || '').localeCompare(String(a.metadata?.creationTimestamp || ''))
+    );
+    if (jobs.length === 0) return [new vscode.TreeItem('No training jobs', vscode.TreeItemCollapsibleState.None)];
+    return jobs.map((j) => {
+      const state = getJobState(j);
+      const item = new vscode.TreeItem(j.metadata?.name || 'unnamed', vscode.TreeItemCollapsibleState.Collapsed);
+      item.id = `job/${j.metadata?.namespace}/${j.kind}/${j.metadata?.name}`;
+      item.description = [j.kind, state, formatDuration(getJobDurationMs(j))].filter(Boolean).join(' · ');
+      item.iconPath = jobStateIcon(state);
+      item.tooltip = (j.status?.conditions || [])
+        .map((c) => `${c.type}=${c.status} ${c.lastTransitionTime || ''}${c.message ? `: ${c.message}` : ''}`)
+        .join('\n');
+      item.contextValue = 'kubeflowJob';
+      item.job = j;
+      return item;
+    });
+  }
+
+  renderJobDetails(job) {
+    const namespace = job.metadata?.namespace;
+    const name = job.metadata?.name;
+    const group = (label, load) => {
+      const item = new vscode.TreeItem(label, vscode.TreeItemCollapsibleState.Collapsed);
+      item.contextValue = 'kubeflowJobDetails';
+      item.detailGroup = load;
+      return item;
+    };
+
+    return [
+      group('Replicas', async () =>
+        Object.entries(job.status?.replicaStatuses || {}).map(([role, st]) => {
+          const counts = ['active', 'succeeded', 'failed'].filter((k) => st[k]).map((k) => `${st[k]} ${k}`);
+          const item = new vscode.TreeItem(role, vscode.TreeItemCollapsibleState.None);
+          item.description = counts.join(', ') || 'pending';
+          item.iconPath = new vscode.ThemeIcon(st.failed ? 'error' : st.active ? 'play' : st.succeeded ? 'pass' : 'clock');
+          return item;
+        })
+      ),
+      group('Pods', async () => {
+        const pods = await this.k8sClient.listPodsByJob(namespace, name);
+        return (pods.items || []).map((p) => {
+          const restarts = (p.status?.containerStatuses || []).reduce((sum, c) => sum + (c.restartCount || 0), 0);
+          const waiting = (p.status?.containerStatuses || []).find((c) => c.state?.waiting)?.state.waiting.reason;
+          const item = new vscode.TreeItem(p.metadata?.name || 'unnamed-pod', vscode.TreeItemCollapsibleState.None);
+          item.description = [waiting || p.status?.phase, restarts ? `${restarts} restarts` : '', p.spec?.nodeName]
+            .filter(Boolean)
+            .join(' · ');
+          item.iconPath = jobStateIcon(waiting ? 'Restarting' : p.status?.phase === 'Running' ? 'Running' : p.status?.phase);
+          item.contextValue = 'kubeflowPod';
+          return item;
+        });
+      }),
+      group('Events', async () => {
+        const events = await this.k8sClient.listEvents(namespace, name);
+        return (events.items || [])
+          .sort((a, b) => String(eventTime(b)).localeCompare(String(eventTime(a))))
+          .map((e) => {
+            const item = new vscode.TreeItem(`${e.reason}: ${e.message || ''}`, vscode.TreeItemCollapsibleState.None);
+            item.description = eventTime(e) || '';
+            item.tooltip = e.message;
+            item.iconPath = new vscode.ThemeIcon(e.type === 'Warning' ? 'warning' : 'info');
+            return item;
+          });
+      })
+    ];
+  }
+
+  // Subscribes to the shared job informer of every kind; kinds whose CRD is not
+  // installed are dropped.
+  async watchJobs(namespace) {
+    if (this.jobSubscriptions && this.jobsNamespace === namespace) return;
+    this.stopWatching();
+    const subscriptions = new Map();
+    this.jobSubscriptions = subscriptions;
+    this.jobsNamespace = namespace;
+
+    const kinds = Object.keys(JOB_KINDS);
+    const informers = kinds.map((kind) => {
+      const informer = this.k8sClient.informer(namespace, jobCollectionPath(kind));
+      subscriptions.set(kind, { informer, subscription: informer.subscribe((event) => this.onJobEvent(namespace, kind, event)) });
+      return informer;
+    });
+    const results = await Promise.allSettled(informers.map((informer) => informer.synced));
+    results.forEach((result, i) => {
+      if (result.status === 'rejected' && isNotFoundError(result.reason)) {
+        subscriptions.get(kinds[i]).subscription.dispose();
+        subscriptions.delete(kinds[i]);
+      }
+    });
+    const failed = results.find((result) => result.status === 'rejected' && !isNotFoundError(result.reason));
+    if (failed) throw failed.reason;
+  }
+
+  stopWatching() {
+    for (const { subscription } of this.jobSubscriptions?.values() || []) subscription.dispose();
+    this.jobSubscriptions = undefined;
+  }
+
+  jobList() {
+    return [...(this.jobSubscriptions || new Map())].flatMap(([kind, { informer }]) =>
+      informer.list().map((job) => ({ ...job, kind }))
+    );
+  }
+
+  onJobEvent(namespace, kind, event) {
+    if (event.type !== 'DELETED') {
+      this.runHistory.recordStatus(namespace, kind, event.object?.metadata?.name, getJobState(event.object)).catch(() => undefined);
+    }
+    this.scheduleRender();
+  }
+
+  scheduleRender() {
+    if (this.renderTimer) return;
+    this.renderTimer = setTimeout(() => {
+      this.renderTimer = undefined;
+      this._onDidChangeTreeData.fire(this.jobsNode);
+    }, 250);
+  }
+
+  // Keeps the durations of running jobs current.
+  tick() {
+    if (!this.jobSubscriptions) return;
+    const running = this.jobList().some((j) => !isTerminalJobState(getJobState(j)));
+    if (running) this.scheduleRender();
+  }
+}
+
+// Follows the jobs submitted from this window until they finish: a status bar item
+// shows the active ones with their state and elapsed time, and completion or failure
+// is announced with "Show Logs" / "Restart". The tracked runs are kept in workspace
+// state, so tracking resumes after a window reload; states come from the shared job
+// informers.
+class JobStatusTracker {
+  constructor(k8sClient, runHistory, memento) {
+    this.k8sClient = k8sClient;
+    this.runHistory = runHistory;
+    this.memento = memento;
+    this.subscriptions = new Map();
+    this.jobs = new Map();
+    this.statusBar = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 9);
+    this.statusBar.command = 'kubeflow.showTrackedRuns';
+    this.ticker = setInterval(() => this.render(), JOB_DURATION_TICK_MS);
+    this.resume({ restored: true });
+  }
+
+  list() {
+    return this.memento.get(TRACKED_RUNS_KEY, []);
+  }
+
+  // Runs of other connection profiles wait until their profile is active again.
+  activeRuns() {
+    const { profile } = getSettings();
+    return this.list().filter((run) => run.profile === profile);
+  }
+
+  async track(entry) {
+    const run = {
+      id: entry.id,
+      profile: entry.profile,
+      namespace: entry.namespace,
+      kind: entry.kind,
+      name: entry.name,
+      submittedAt: entry.submittedAt
+    };
+    await this.memento.update(TRACKED_RUNS_KEY, [...this.list().filter((r) => trackedRunKey(r) !== trackedRunKey(run)), run]);
+    this.resume();
+  }
+
+  async untrack(run) {
+    this.jobs.delete(trackedRunKey(run));
+    await this.memento.update(
+      TRACKED_RUNS_KEY,
+      this.list().filter((r) => trackedRunKey(r) !== trackedRunKey(run))
+    );
+    this.resume();
+  }
+
+  // Subscribes to the job informer of every namespace and kind with tracked runs, and
+  // seeds runs not seen yet from its cache: the job's events may have arrived before
+  // the run was tracked. Runs restored after a reload whose job is gone were deleted
+  // in the meantime.
+  resume({ restored = false } = {}) {
+    const runs = this.activeRuns();
+    const wanted = new Set(runs.map((run) => `${run.namespace}/${run.kind}`));
+    for (const [key, { subscription }] of this.subscriptions) {
+      if (wanted.has(key)) continue;
+      subscription.dispose();
+      this.subscriptions.delete(key);
+    }
+    for (const key of wanted) {
+      const [namespace, kind] = key.split('/');
+      if (!this.subscriptions.has(key)) {
+        const informer = this.k8sClient.informer(namespace, jobCollectionPath(kind));
+        this.subscriptions.set(key, { informer, subscription: informer.subscribe((event) => this.onJobEvent(namespace, kind, event)) });
+      }
+      const { informer } = this.subscriptions.get(key);
+      const unseen = runs.filter((r) => r.namespace === namespace && r.kind === kind && !this.jobs.has(trackedRunKey(r)));
+      informer.synced.then(
+        () => {
+          const tracked = new Set(this.list().map(trackedRunKey));
+          for (const run of unseen) {
+            if (this.jobs.has(trackedRunKey(run)) || !tracked.has(trackedRunKey(run))) continue;
+            const job = informer.get(run.name);
+            if (job) this.update(run, job);
+            else if (restored) this.untrack(run).catch(() => undefined);
+          }
+        },
+        () => undefined
+      );
+    }
+    this.render();
+  }
+
+  // After a connection profile switch the informers of the old cluster are gone.
+  restart() {
+    for (const { subscription } of this.subscriptions.values()) subscription.dispose();
+    this.subscriptions.clear();
+    this.jobs.clear();
+    this.resume({ restored: true });
+  }
+
+  onJobEvent(namespace, kind, event) {
+    const name = event.object?.metadata?.name;
+    const run = this.activeRuns().find((r) => r.namespace === namespace && r.kind === kind && r.name === name);
+    if (!run) return;
+    if (event.type === 'DELETED') this.untrack(run).catch(() => undefined);
+    else this.update(run, event.object);
+  }
+
+  update(run, job) {
+    this.jobs.set(trackedRunKey(run), job);
+    const state = getJobState(job);
+    if (isTerminalJobState(state)) {
+      this.untrack(run).catch(() => undefined);
+      this.notify(run, job, state).catch((e) => vscode.window.showErrorMessage(String(e.message || e)));
+    } else {
+      this.render();
+    }
+  }
+
+  async notify(run, job, state) {
+    const duration = formatDuration(getJobDurationMs(job));
+    const after = duration ? ` after ${duration}` : '';
+    let choice;
+    if (state === 'Succeeded') {
+      choice = await vscode.window.showInformationMessage(`Job ${run.name} succeeded${after}.`, 'Show Logs', 'Restart');
+    } else {
+      const reason = (job.status?.conditions || []).find((c) => c.type === 'Failed' && c.status === 'True')?.message;
+      choice = await vscode.window.showErrorMessage(
+        `Job ${run.name} failed${after}${reason ? `: ${reason}` : '.'}`,
+        'Diagnose',
+        'Show Logs',
+        'Restart'
+      );
+    }
+    const item = { job: { ...job, kind: run.kind } };
+    if (choice === 'Diagnose') await vscode.commands.executeCommand('kubeflow.describeJob', item);
+    if (choice === 'Show Logs') await vscode.commands.executeCommand('kubeflow.openLogsPanel', item);
+    // A run from the history is restarted with its original options and code.
+    const entry = this.runHistory.get(run.id);
+    if (choice === 'Restart') await vscode.commands.executeCommand('kubeflow.restartJob', entry ? { run: entry } : item);
+  }
+
+  describe(run) {
+    const job = this.jobs.get(trackedRunKey(run));
+    return {
+      state: job ? getJobState(job) : 'Submitted',
+      elapsed: formatDuration(job ? getJobDurationMs(job) : Date.now() - Date.parse(run.submittedAt))
+    };
+  }
+
+  render() {
+    const runs = this.activeRuns();
+    if (runs.length === 0) {
+      this.statusBar.hide();
+      return;
+    }
+    const described = runs.map((run) => ({ run, ...this.describe(run) }));
+    if (runs.length === 1) {
+      const [{ run, state, elapsed }] = described;
+      this.statusBar.text = `$(pulse) ${run.name} · ${state} · ${elapsed}`;
+    } else {
+      const running = described.filter((d) => d.state === 'Running').length;
+      this.statusBar.text = `$(pulse) ${runs.length} runs · ${running} running`;
+    }
+    this.statusBar.tooltip = described.map((d) => `${d.run.name} (${d.run.kind}): ${d.state}, ${d.elapsed}`).join('\n');
+    this.statusBar.show();
+  }
+
+  async showRuns() {
+    const picked = await vscode.window.showQuickPick(
+      this.activeRuns().map((run) => {
+        const { state, elapsed } = this.describe(run);
+        return { label: run.name, description: [run.kind, state, elapsed].join(' · '), detail: run.namespace, run };
+      }),
+      { placeHolder: 'Runs followed until they finish' }
+    );
+    if (!picked) return;
+    const action = await vscode.window.showQuickPick(['Show Logs', 'Stop Tracking'], { placeHolder: picked.run.name });
+    if (action === 'Stop Tracking') await this.untrack(picked.run);
+    if (action === 'Show Logs') {
+      const { run } = picked;
+      await vscode.commands.executeCommand('kubeflow.openLogsPanel', {
+        job: { metadata: { namespace: run.namespace, name: run.name }, kind: run.kind }
+      });
+    }
+  }
+
+  dispose() {
+    clearInterval(this.ticker);
+    for (const { subscription } of this.subscriptions.values()) subscription.dispose();
+    this.statusBar.dispose();
+  }
+}
+
+function trackedRunKey(run) {
+  return `${run.profile || ''}/${run.namespace}/${run.kind}/${run.name}`;
+}
+
+// Follows the logs of every replica of a job (or a chosen subset of pods), like
+// `kubectl logs -f` across pods. The job's pods and the job itself come from shared
+// informers, so new replicas and restarted containers are picked up as they appear;
+// streams reconnect with `sinceTime` after drops or token refreshes and the
+// streamer stops once the job has finished.
+class JobLogStreamer {
+  constructor(k8sClient, { namespace, jobName, kind, podNames, allContainers = false, sink }) {
+    this.k8sClient = k8sClient;
+    this.namespace = namespace;
+    this.jobName = jobName;
+    this.kind = kind;
+    this.podNames = podNames;
+    this.allContainers = allContainers;
+    this.sink = sink;
+    this.abort = new AbortController();
+    this.followers = new Map();
+    this.stopped = false;
+  }
+
+  async run() {
+    this.sink.info(`Streaming logs for ${this.kind || 'job'} ${this.jobName} in ${this.namespace}`);
+    const podSelector = new URLSearchParams({ labelSelector: `training.kubeflow.org/job-name=${this.jobName}` });
+    this.pods = this.k8sClient.informer(this.namespace, `/api/v1/namespaces/{namespace}/pods?${podSelector.toString()}`);
+    this.jobs = this.kind ? this.k8sClient.informer(this.namespace, jobCollectionPath(this.kind)) : undefined;
+    let finish;
+    const finished = new Promise((resolve) => (finish = resolve));
+    const update = () => {
+      if (this.stopped) return;
+      for (const pod of this.pods.list()) {
+        if (!this.podNames || this.podNames.includes(pod.metadata?.name)) this.followPod(pod);
+      }
+      if (this.isJobFinished()) finish(true);
+    };
+    const subscriptions = [this.pods.subscribe(update), this.jobs?.subscribe(update)].filter(Boolean);
+    this.abort.signal.addEventListener('abort', () => finish(false));
+
+    try {
+      this.pods.synced.catch((e) => {
+        if (!this.stopped) this.sink.info(`Cannot list pods of ${this.jobName} (${String(e.message || e)}), retrying`);
+      });
+      update();
+      if (await finished) {
+        await Promise.all([...this.followers.values()].map((f) => f.done));
+        if (!this.stopped) this.sink.info(`Job ${this.jobName} finished; log streaming stopped.`);
+      }
+    } finally {
+      for (const subscription of subscriptions) subscription.dispose();
+      this.stop();
+    }
+  }
+
+  stop() {
+    if (this.stopped) return;
+    this.stopped = true;
+    this.abort.abort();
+  }
+
+  // A job that is gone from the synced cache counts as finished.
+  isJobFinished() {
+    if (!this.jobs?.hasSynced) return false;
+    const job = this.jobs.get(this.jobName);
+    return !job || isTerminalJobState(getJobState(job));
+  }
+
+  followPod(pod) {
+    const containers = this.allContainers ? (pod.spec?.containers || []).map((c) => c.name) : [pickJobContainer(pod)];
+    for (const container of containers) this.followContainer(pod, container);
+  }
+
+  followContainer(pod, container) {
+    const podName = pod.metadata?.name;
+    if (!podName || !container) return;
+    const status = (pod.status?.containerStatuses || []).find((c) => c.name === container);
+    const restartCount = status?.restartCount || 0;
+    const key = `${podName}/${container}`;
+    const follower = this.followers.get(key);
+
+    if (follower) {
+      if (restartCount > follower.restartCount) {
+        follower.restartCount = restartCount;
+        this.sink.info(`${follower.prefix}: container restarted (restart #${restartCount})`);
+      }
+      if (!follower.active && status?.state?.running) follower.done = this.follow(follower);
+      return;
+    }
+    if (!status?.state?.running && !status?.state?.terminated) return;
+
+    const created = { podName, container, restartCount, lastTimestamp: undefined, active: false };
+    created.prefix = shortPodName(podName, this.jobName) + (this.allContainers ? `/${container}` : '');
+    this.followers.set(key, created);
+    created.done = this.startFollower(created, restartCount > 0);
+  }
+
+  async startFollower(follower, crashed) {
+    if (crashed) await this.printPreviousLogs(follower);
+    return this.follow(follower);
+  }
+
+  // Logs of the previous container instance, i.e. of the run that crashed.
+  async printPreviousLogs(follower) {
+    try {
+      const logs = await this.k8sClient.getPodLogs(this.namespace, follower.podName, follower.container, {
+        previous: true
+      });
+      this.sink.info(`${follower.prefix}: logs of the previous (crashed) container`);
+      for (const line of logs.split('\n')) if (line) this.sink.appendLine(follower.prefix, line);
+      this.sink.info(`${follower.prefix}: end of previous container logs`);
+    } catch {
+      // No previous container is available.
+    }
+  }
+
+  async follow(follower) {
+    follower.active = true;
+    try {
+      while (!this.stopped) {
+        try {
+          const res = await this.k8sClient.streamPodLogs(this.namespace, follower.podName, {
+            container: follower.container,
+            sinceTime: follower.lastTimestamp,
+            tailLines: LOG_TAIL_LINES,
+            signal: this.abort.signal
+          });
+          await this.readStream(res, follower);
+        } catch (e) {
+          if (this.stopped) return;
+          if (isNotFoundError(e)) return;
+          this.sink.info(`${follower.prefix}: log stream interrupted (${String(e.message || e)}), reconnecting`);
+        }
+        if (this.stopped) return;
+
+        // The stream ends when the container exits; keep following only while it may restart.
+        const pod = this.pods.get(follower.podName);
+        const phase = pod?.status?.phase;
+        if (!pod || phase === 'Succeeded' || phase === 'Failed') return;
+        const status = (pod.status?.containerStatuses || []).find((c) => c.name === follower.container);
+        if (!status?.state?.running) return;
+        // Stopping aborts the wait; the loop then sees `stopped` and returns.
+        await delay(LOG_RECONNECT_DELAY_MS, this.abort.signal).catch(() => undefined);
+      }
+    } finally {
+      follower.active = false;
+    }
+  }
+
+  async readStream(res, follower) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const emit = (raw) => {
+      const match = /^(\d{4}-\d{2}-\d{2}T\S+Z) ?(.*)$/.exec(raw);
+      if (!match) {
+        this.sink.appendLine(follower.prefix, raw);
+        return;
+      }
+      const ts = normalizeLogTimestamp(match[1]);
+      // sinceTime has second precision, so a reconnect replays part of the last second.
+      if (follower.lastTimestamp && ts <= normalizeLogTimestamp(follower.lastTimestamp)) return;
+      follower.lastTimestamp = match[1];
+      this.sink.appendLine(follower.prefix, match[2]);
+    };
+
+    for await (const chunk of res.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) emit(line);
+    }
+    buffer += decoder.decode();
+    if (buffer) emit(buffer);
+  }
+}
+
+// Webview alternative to the output channel: colour-coded, filterable log view of
+// all replicas and containers of a job, with clickable Python traceback frames.
+class LogViewerPanel {
+  static show(extensionUri, k8sClient, { namespace, jobName, kind }) {
+    const panel = vscode.window.createWebviewPanel(
+      'kubeflowLogs',
+      `Logs: ${jobName}`,
+      vscode.ViewColumn.Active,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+        localResourceRoots: [vscode.Uri.joinPath(extensionUri, 'media')]
+      }
+    );
+    return new LogViewerPanel(panel, extensionUri, k8sClient, { namespace, jobName, kind });
+  }
+
+  constructor(panel, extensionUri, k8sClient, { namespace, jobName, kind }) {
+    this.panel = panel;
+    this.pending = [];
+    this.ready = false;
+    this.disposed = false;
+    this.flushTimer = undefined;
+    this.streamer = new JobLogStreamer(k8sClient, {
+      namespace,
+      jobName,
+      kind,
+      allContainers: true,
+      sink: {
+        appendLine: (source, text) => this.post({ type: 'line', source, text }),
+        info: (text) => this.post({ type: 'info', text })
+      }
+    });
+
+    panel.webview.html = renderWebviewHtml(panel.webview, extensionUri, 'logViewer', `Logs: ${jobName}`);
+    panel.webview.onDidReceiveMessage((message) => this.onMessage(message));
+    panel.onDidDispose(() => {
+      this.disposed = true;
+      this.streamer.stop();
+      if (this.flushTimer) clearTimeout(this.flushTimer);
+    });
+
+    this.streamer.run().catch((e) => this.post({ type: 'info', text: `Log streaming failed: ${String(e.message || e)}` }));
+  }
+
+  // Lines are batched so busy jobs do not flood the webview with messages. Lines still
+  // in flight when the panel closes are dropped.
+  post(entry) {
+    if (this.disposed) return;
+    this.pending.push(entry);
+    if (!this.ready || this.flushTimer) return;
+    this.flushTimer = setTimeout(() => this.flush(), 100);
+  }
+
+  flush() {
+    this.flushTimer = undefined;
+    if (this.disposed || !this.pending.length) return;
+    const entries = this.pending;
+    this.pending = [];
+    this.panel.webview.postMessage({ type: 'append', entries });
+  }
+
+  async onMessage(message) {
+    if (message.type === 'ready') {
+      this.ready = true;
+      this.flush();
+    } else if (message.type === 'openSource') {
+      await openPodSourceLocation(message.file, Number(message.line));
+    }
+  }
+}
+
+// Describe view of a training job: the diagnosis of what went wrong on top, then the
+// conditions, replicas, pods with their container states, and events.
+class JobDescribePanel {
+  static show(extensionUri, jobRunService, { namespace, name, kind }) {
+    const panel = vscode.window.createWebviewPanel('kubeflowDescribeJob', `Describe: ${name}`, vscode.ViewColumn.Active, {
+      enableScripts: true,
+      retainContextWhenHidden: true,
+      localResourceRoots: [vscode.Uri.joinPath(extensionUri, 'media')]
+    });
+    return new JobDescribePanel(panel, extensionUri, jobRunService, { namespace, name, kind });
+  }
+
+  constructor(panel, extensionUri, jobRunService, target) {
+    this.panel = panel;
+    this.extensionUri = extensionUri;
+    this.jobRunService = jobRunService;
+    this.target = target;
+    this.job = undefined;
+    this.disposed = false;
+
+    panel.webview.html = renderWebviewHtml(panel.webview, extensionUri, 'jobDescribe', `Describe: ${target.name}`);
+    panel.onDidDispose(() => (this.disposed = true));
+    panel.webview.onDidReceiveMessage((message) =>
+      this.onMessage(message).catch((e) => this.post({ type: 'error', message: String(e.message || e) }))
+    );
+  }
+
+  // A refresh can still be inspecting the job when the panel is closed.
+  post(message) {
+    if (!this.disposed) this.panel.webview.postMessage(message);
+  }
+
+  async onMessage(message) {
+    switch (message.type) {
+      case 'ready':
+      case 'refresh':
+        await this.refresh();
+        break;
+      case 'openLogs':
+        LogViewerPanel.show(this.extensionUri, this.jobRunService.k8sClient, {
+          namespace: this.target.namespace,
+          jobName: this.target.name,
+          kind: this.target.kind
+        });
+        break;
+      case 'showJson': {
+        if (!this.job) return;
+        const doc = await vscode.workspace.openTextDocument({ language: 'json', content: JSON.stringify(this.job, null, 2) });
+        await vscode.window.showTextDocument(doc, { preview: false });
+        break;
+      }
+    }
+  }
+
+  async refresh() {
+    this.post({ type: 'loading' });
+    const { namespace, name, kind } = this.target;
+    const snapshot = await this.jobRunService.inspectJob(namespace, name, kind);
+    this.job = snapshot.job;
+    this.post({ type: 'describe', job: describeJobDiagnostics(snapshot) });
+  }
+}
+
+// Single-form replacement for the input box chain: the webview sends the raw form on
+// every change, the extension validates it and answers with errors and a manifest preview.
+class RunWizardPanel {
+  static show(extensionUri, jobRunService, { scriptPath, initial, manifestEditor, onSubmitted }) {
+    const panel = vscode.window.createWebviewPanel('kubeflowRunWizard', 'Run Training Job', vscode.ViewColumn.Active, {
+      enableScripts: true,
+      retainContextWhenHidden: true,
+      localResourceRoots: [vscode.Uri.joinPath(extensionUri, 'media')]
+    });
+    return new RunWizardPanel(panel, extensionUri, jobRunService, { scriptPath, initial, manifestEditor, onSubmitted });
+  }
+
+  constructor(panel, extensionUri, jobRunService, { scriptPath, initial, manifestEditor, onSubmitted }) {
+    this.panel = panel;
+    this.jobRunService = jobRunService;
+    this.manifestEditor = manifestEditor;
+    this.onSubmitted = onSubmitted;
+    this.disposed = false;
+    this.form = runOptionsToForm({ ...initial, ...(scriptPath ? { scriptPath } : {}) }, getSettings());
+
+    panel.webview.html = renderWebviewHtml(panel.webview, extensionUri, 'runWizard', 'Run Training Job');
+    panel.webview.onDidReceiveMessage((message) =>
+      this.onMessage(message).catch((e) => this.post({ type: 'error', message: String(e.message || e) }))
+    );
+    panel.onDidDispose(() => (this.disposed = true));
+  }
+
+  // Submitting closes the panel while the handler is still running; later posts are dropped.
+  post(message) {
+    if (!this.disposed) this.panel.webview.postMessage(message);
+  }
+
+  async onMessage(message) {
+    switch (message.type) {
+      case 'ready': {
+        this.post({
+          type: 'init',
+          form: this.form,
+          kinds: Object.values(JOB_KINDS).map((k) => ({
+            kind: k.kind,
+            namePrefix: k.namePrefix,
+            primaryRole: k.primaryRole,
+            workerRole: k.workerRole
+          })),
+          suggestions: { images: [this.form.image], namespaces: [this.form.namespace] }
+        });
+        this.postPreview();
+        const suggestions = await this.jobRunService.getWizardSuggestions(this.form.namespace);
+        this.post({ type: 'suggestions', suggestions });
+        break;
+      }
+      case 'change':
+        this.form = message.form;
+        this.postPreview();
+        break;
+      case 'browseScript': {
+        const picked = await vscode.window.showOpenDialog({
+          canSelectMany: false,
+          filters: { Python: ['py'] },
+          defaultUri: this.form.scriptPath ? vscode.Uri.file(this.form.scriptPath) : undefined
+        });
+        if (!picked?.[0]) return;
+        this.form = { ...this.form, scriptPath: picked[0].fsPath };
+        this.post({ type: 'script', scriptPath: this.form.scriptPath });
+        this.postPreview();
+        break;
+      }
+      case 'pickNamespace': {
+        const namespace = await pickNamespace(this.jobRunService.k8sClient, {
+          placeHolder: 'Namespace to run the job in',
+          current: this.form.namespace
+        });
+        if (!namespace) return;
+        this.form = { ...this.form, namespace };
+        this.post({ type: 'namespace', namespace });
+        this.postPreview();
+        break;
+      }
+      case 'pickSecretKey':
+        await this.pickSecretKey();
+        break;
+      case 'pickEnvFrom':
+        await this.pickEnvFrom();
+        break;
+      case 'saveTemplate':
+        await this.saveTemplate(message.form);
+        break;
+      case 'submit':
+        await this.submit(message.form);
+        break;
+      case 'dryRun':
+        await this.dryRun(message.form);
+        break;
+      case 'editManifest':
+        await this.editManifest(message.form);
+        break;
+    }
+  }
+
+  postPreview() {
+    const settings = getSettings();
+    const { options, errors } = parseRunForm(this.form, settings);
+    let manifest = '';
+    if (options.scriptPath) {
+      try {
+        const preview = this.jobRunService.manifestBuilder.buildTrainingJob(
+          { ...options, sourceRoot: resolveSourceRoot(options.scriptPath) },
+          previewArtifactReference(settings)
+        );
+        manifest = toYaml(preview);
+      } catch (e) {
+        errors.scriptPath = errors.scriptPath || String(e.message || e);
+      }
+    }
+    this.post({ type: 'preview', manifest, errors });
+  }
+
+  // Checks shared by submit, dry run and manifest editing; problems go back to the form.
+  async checkForm(form) {
+    this.form = form;
+    const settings = getSettings();
+    const { options, errors } = parseRunForm(form, settings);
+    if (!errors.scriptPath) {
+      const stat = await fs.stat(options.scriptPath).catch(() => undefined);
+      if (!stat?.isFile()) errors.scriptPath = 'Script file does not exist.';
+    }
+    if (!errors.env && !errors.envFrom && !errors.namespace) {
+      Object.assign(errors, await this.jobRunService.checkEnvReferences(options));
+    }
+    if (Object.keys(errors).length) {
+      this.post({ type: 'preview', manifest: '', errors });
+      return undefined;
+    }
+    return { options, settings };
+  }
+
+  async submit(form) {
+    const checked = await this.checkForm(form);
+    if (!checked) return;
+    const { options, settings } = checked;
+
+    this.post({ type: 'busy', busy: true, label: 'Submitting…' });
+    try {
+      const manifest = await this.jobRunService.submitRun(options, settings);
+      if (!manifest) return;
+      vscode.window.showInformationMessage(`Kubeflow job ${options.name} submitted.`);
+      if (this.onSubmitted) this.onSubmitted(options);
+      this.panel.dispose();
+    } finally {
+      this.post({ type: 'busy', busy: false });
+    }
+  }
+
+  // Nothing is uploaded: the placeholder artifact is enough for admission checks.
+  async dryRun(form) {
+    const checked = await this.checkForm(form);
+    if (!checked) return;
+    const { options, settings } = checked;
+    const manifest = this.jobRunService.manifestBuilder.buildTrainingJob(
+      { ...options, sourceRoot: resolveSourceRoot(options.scriptPath) },
+      previewArtifactReference(settings)
+    );
+
+    this.post({ type: 'busy', busy: true, label: 'Running dry run…' });
+    try {
+      await this.jobRunService.dryRun(manifest);
+      // The job object passes admission even when its pods will not fit the quota later.
+      const warnings = settings.preflight ? await this.jobRunService.preflight(manifest) : [];
+      const passed = `Dry run passed: ${options.namespace} accepts this ${options.kind}.`;
+      this.post({ type: 'status', message: [passed, ...warnings].join(' ') });
+    } finally {
+      this.post({ type: 'busy', busy: false });
+    }
+  }
+
+  async editManifest(form) {
+    const checked = await this.checkForm(form);
+    if (!checked) return;
+
+    this.post({ type: 'busy', busy: true, label: 'Uploading code…' });
+    try {
+      if (await this.manifestEditor.open(checked.options, checked.settings)) this.panel.dispose();
+    } finally {
+      this.post({ type: 'busy', busy: false });
+    }
+  }
+
+  // Adds `NAME=secret:<name>/<key>` for a key picked from an existing Secret or ConfigMap.
+  async pickSecretKey() {
+    const sources = await this.jobRunService.k8sClient.listEnvSources(this.form.namespace);
+    const source = await vscode.window.showQuickPick(
+      sources.filter((s) => s.keys.length).map((s) => envSourceQuickPickItem(s)),
+      { placeHolder: `Secret or ConfigMap in ${this.form.namespace}` }
+    );
+    if (!source) return;
+    const key = await vscode.window.showQuickPick(source.source.keys, { placeHolder: `Key of ${source.source.name}` });
+    if (!key) return;
+    const name = await vscode.window.showInputBox({
+      prompt: 'Environment variable name',
+      value: key.toUpperCase().replace(/[^A-Z0-9_]/g, '_'),
+      validateInput: (v) => (ENV_NAME_RE.test(v) ? undefined : 'Not a valid environment variable name.')
+    });
+    if (!name) return;
+    const line = formatEnvLine(parseEnvLineValue(name, `${source.source.kind}:${source.source.name}/${key}`));
+    this.post({ type: 'envLine', line });
+  }
+
+  async pickEnvFrom() {
+    const sources = await this.jobRunService.k8sClient.listEnvSources(this.form.namespace);
+    const picked = await vscode.window.showQuickPick(
+      sources.map((s) => envSourceQuickPickItem(s)),
+      { placeHolder: 'Import every key as an environment variable', canPickMany: true }
+    );
+    if (!picked?.length) return;
+    this.post({ type: 'envFrom', refs: picked.map((p) => `${p.source.kind}:${p.source.name}`) });
+  }
+
+  async saveTemplate(form) {
+    const { options, errors } = parseRunForm(form, getSettings());
+    const blocking = Object.keys(errors).filter((field) => field !== 'name' && field !== 'scriptPath');
+    if (blocking.length) {
+      this.post({ type: 'preview', manifest: '', errors });
+      return;
+    }
+    const name = await vscode.window.showInputBox({ prompt: 'Template name', value: `${options.kind} ${options.image}` });
+    if (!name) return;
+    const templatesPath = await this.jobRunService.saveTemplate(runOptionsToTemplate(name, options));
+    vscode.window.showInformationMessage(`Saved template "${name}" to ${templatesPath}.`);
+  }
+}
+
+// Editable manifests before submit. The manifest, already pointing at the uploaded
+// code, is written to <storage>/manifests/; each save is parsed, checked and then
+// submitted or dry-run with the edits. Closing the file without submitting drops it.
+class ManifestEditor {
+  constructor(jobRunService, storageDir) {
+    this.jobRunService = jobRunService;
+    this.dir = path.join(storageDir, 'manifests');
+    this.sessions = new Map();
+  }
+
+  async open(options, settings) {
+    const artifact = await this.jobRunService.prepareRun(options, settings);
+    if (!artifact) return false;
+    const manifest = this.jobRunService.manifestBuilder.buildTrainingJob(options, artifact);
+    const filePath = path.join(this.dir, `${options.namespace}.${options.name}.yaml`);
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(filePath, `${MANIFEST_EDIT_HEADER}${toYaml(manifest)}`);
+    this.sessions.set(filePath, { options, artifact });
+    await vscode.window.showTextDocument(vscode.Uri.file(filePath), { preview: false });
+    return true;
+  }
+
+  // Returns the submitted job name, if the save ended in a submit.
+  async onDidSave(document) {
+    const filePath = document.uri.fsPath;
+    const session = this.sessions.get(filePath);
+    if (!session || session.busy) return undefined;
+
+    session.busy = true;
+    try {
+      let manifest;
+      try {
+        manifest = parseYaml(document.getText()).value;
+      } catch (e) {
+        vscode.window.showErrorMessage(`Manifest is not valid YAML: ${e.message}`);
+        return undefined;
+      }
+      const problems = validateJobManifest(manifest);
+      if (problems.length) {
+        vscode.window.showErrorMessage(`Manifest not submitted: ${problems.join('; ')}`);
+        return undefined;
+      }
+
+      const { kind, metadata } = manifest;
+      const target = `${kind} ${metadata.name} in ${metadata.namespace}`;
+      const choice = await vscode.window.showInformationMessage(`Submit ${target} with your edits?`, { modal: true }, 'Submit', 'Dry Run');
+      if (choice === 'Dry Run') {
+        await this.jobRunService.dryRun(manifest);
+        vscode.window.showInformationMessage(`Dry run passed: the cluster accepts ${target}.`);
+        return undefined;
+      }
+      if (choice !== 'Submit' || !(await this.jobRunService.confirmPreflight(manifest))) return undefined;
+
+      await this.jobRunService.createRun({
+        options: { ...session.options, kind, name: metadata.name, namespace: metadata.namespace },
+        manifest,
+        artifact: session.artifact,
+        edited: true
+      });
+      this.sessions.delete(filePath);
+      if (vscode.window.activeTextEditor?.document === document) {
+        await vscode.commands.executeCommand('workbench.action.closeActiveEditor');
+      }
+      await fs.rm(filePath, { force: true });
+      vscode.window.showInformationMessage(`Kubeflow job ${metadata.name} submitted.`);
+      return metadata.name;
+    } finally {
+      session.busy = false;
+    }
+  }
+
+  async onDidClose(document) {
+    if (!this.sessions.delete(document.uri.fsPath)) return;
+    await fs.rm(document.uri.fsPath, { force: true });
+  }
+}
+
+class JobRunService {
+  constructor(k8sClient, packager, manifestBuilder, artifactStores, runHistory) {
+    this.k8sClient = k8sClient;
+    this.packager = packager;
+    this.manifestBuilder = manifestBuilder;
+    this.artifactStores = artifactStores;
+    this.runHistory = runHistory;
+    this._onDidRecordRun = new vscode.EventEmitter();
+    // Fires with the history entry of every run submitted from this window.
+    this.onDidRecordRun = this._onDidRecordRun.event;
+  }
+
+  getArtifactStore() {
+    const kind = getSettings().artifactStore;
+    const store = this.artifactStores[kind];
+    if (!store) throw new Error(`Unknown kflow.artifactStore "${kind}". Use configmap, s3 or pvc.`);
+    return store;
+  }
+
+  getLastManifest() {
+    return this.runHistory.list()[0]?.manifest;
+  }
+
+  async listJobs(namespace) {
+    return listTrainingJobs(this.k8sClient, namespace);
+  }
+
+  async describeJob(namespace, name, kind) {
+    return this.k8sClient.getCustomObject(JOB_API_GROUP, JOB_API_VERSION, namespace, getJobKind(kind).plural, name);
+  }
+
+  // The job with its pods, the events of both and the last log lines of failed
+  // containers, plus what diagnoseJob makes of them. Pods, events and logs are
+  // best-effort: a job whose pods are gone is still described.
+  async inspectJob(namespace, name, kind) {
+    const job = { kind: getJobKind(kind).kind, ...(await this.describeJob(namespace, name, kind)) };
+    const pods = await this.k8sClient.listPodsByJob(namespace, name).then(
+      (list) => (list.items || []).sort((a, b) => a.metadata.name.localeCompare(b.metadata.name)),
+      () => []
+    );
+    // Events expire after an hour, so listing the namespace's once is cheaper than a list per pod.
+    const involved = new Set([`${job.kind}/${name}`, ...pods.map((pod) => `Pod/${pod.metadata.name}`)]);
+    const namespaceEvents = await this.k8sClient.list(namespace, '/api/v1/namespaces/{namespace}/events').then(
+      (list) => list.items || [],
+      () => []
+    );
+    const events = namespaceEvents
+      .filter((event) => involved.has(`${event.involvedObject?.kind}/${event.involvedObject?.name}`))
+      .sort((a, b) => String(eventTime(a) || '').localeCompare(String(eventTime(b) || '')));
+    const logs = {};
+    await Promise.all(
+      pods.flatMap((pod) =>
+        podContainers(pod)
+          .filter((container) => failedRun(container))
+          .map(async (container) => {
+            try {
+              logs[`${pod.metadata.name}/${container.name}`] = await this.k8sClient.getPodLogs(namespace, pod.metadata.name, container.name, {
+                previous: Boolean(!container.state?.terminated && container.lastState?.terminated),
+                tailLines: DIAGNOSIS_LOG_LINES
+              });
+            } catch {
+              // Logs of a container that never started, or of a node that is gone.
+            }
+          })
+      )
+    );
+    const snapshot = { job, pods, events, logs };
+    return { ...snapshot, findings: diagnoseJob(snapshot) };
+  }
+
+  // Background propagation lets the garbage collector remove the pods and the artifact
+  // ConfigMap the job owns.
+  async deleteJob(namespace, name, kind) {
+    await this.k8sClient.deleteCustomObject(JOB_API_GROUP, JOB_API_VERSION, namespace, getJobKind(kind).plural, name, {
+      propagationPolicy: 'Background'
+    });
+  }
+
+  async restartLastRun() {
+    const last = this.runHistory.list()[0];
+    if (!last) {
+      throw new Error('No previous run in the history. Run a job first.');
+    }
+    return this.restartRun(last);
+  }
+
+  // Re-creates a job that exists in the cluster under a new name.
+  async restartJob(namespace, name, kind) {
+    return this.resubmit(await this.describeJob(namespace, name, kind));
+  }
+
+  // Submits a past run again with the same code: the artifact is re-uploaded from the
+  // retained archive when the store no longer has it, and the manifest is rebuilt so
+  // store references such as presigned URLs are fresh.
+  async restartRun(entry) {
+    const { profile } = getSettings();
+    if (entry.profile !== profile) {
+      const connection = entry.profile ? `connection profile "${entry.profile}"` : 'the default connection (kflow.url)';
+      throw new Error(`${entry.name} was submitted to ${connection}; switch to it to restart the run.`);
+    }
+    if (!entry.options) return this.resubmit(entry.manifest, { restartOf: entry.id });
+
+    const artifact = await this.ensureArtifact(entry);
+    // Hand-edited manifests are resubmitted as they were; only the artifact is restored
+    // (with a fresh download URL for S3, whose presigned URLs expire).
+    if (entry.edited) {
+      const encode = (url) => JSON.stringify(url).slice(1, -1);
+      const manifest =
+        entry.artifact.url && artifact.url !== entry.artifact.url
+          ? JSON.parse(JSON.stringify(entry.manifest).replaceAll(encode(entry.artifact.url), encode(artifact.url)))
+          : entry.manifest;
+      return this.resubmit(manifest, { restartOf: entry.id, options: entry.options, artifact, edited: true });
+    }
+    const options = { ...entry.options, name: restartJobName(entry.options.name) };
+    const manifest = this.manifestBuilder.buildTrainingJob(options, artifact);
+    await this.createJob(manifest, artifact);
+    await this.recordRun({ options, manifest, artifact, restartOf: entry.id });
+    return options.name;
+  }
+
+  async resubmit(source, historyFields = {}) {
+    const manifest = await this.refreshPresignedUrls(toResubmittableManifest(source));
+    const namespace = manifest?.metadata?.namespace || getSettings().defaultNamespace;
+    const jobKind = getJobKind(manifest.kind);
+    const newName = restartJobName(manifest?.metadata?.name || jobKind.namePrefix);
+    manifest.metadata.name = newName;
+
+    manifest.metadata.namespace = namespace;
+    await this.createJob(manifest, historyFields.artifact);
+    await this.recordRun({ ...historyFields, manifest });
+    return newName;
+  }
+
+  // Presigned S3 download URLs expire after S3_DOWNLOAD_URL_TTL_SECONDS, so a manifest
+  // taken from the cluster or an old run gets freshly signed ones.
+  async refreshPresignedUrls(manifest) {
+    const text = JSON.stringify(manifest);
+    const urls = [...new Set(text.match(PRESIGNED_URL_RE) || [])];
+    let refreshed = text;
+    for (const url of urls) refreshed = refreshed.replaceAll(url, await this.artifactStores.s3.presignDownloadUrl(url));
+    return JSON.parse(refreshed);
+  }
+
+  async ensureArtifact(entry) {
+    const { artifact, options } = entry;
+    const store = this.artifactStores[artifact.store];
+    if (!store) throw new Error(`Unknown artifact store "${artifact.store}" in run history.`);
+
+    const existing = await store.find(artifact.contentHash, options);
+    if (existing) return existing;
+    if (!(await this.packager.hasRetainedArchive(artifact.contentHash))) {
+      throw new Error(
+        `The code archive of ${entry.name} is no longer available. Use "Clone Run" to submit it with the current sources.`
+      );
+    }
+    return store.upload(this.packager.retainedArchivePath(artifact.contentHash), options, artifact.contentHash);
+  }
+
+  // Choices offered by the run wizard: images and namespaces from recent runs, the
+  // settings and (best effort) the cluster.
+  async getWizardSuggestions(namespace) {
+    const settings = getSettings();
+    const history = this.runHistory.list();
+    const images = new Set([settings.defaultImage, ...history.map((entry) => entry.options?.image).filter(Boolean)]);
+    const namespaces = new Set([settings.defaultNamespace, ...history.map((entry) => entry.namespace).filter(Boolean)]);
+
+    const [pods, kubeflowNamespaces] = await Promise.all([
+      this.k8sClient.list(namespace, '/api/v1/namespaces/{namespace}/pods').catch(() => ({ items: [] })),
+      this.k8sClient.listKubeflowNamespaces().catch(() => [])
+    ]);
+    for (const pod of pods.items || []) {
+      for (const container of pod.spec?.containers || []) if (container.image) images.add(container.image);
+    }
+    for (const entry of kubeflowNamespaces) namespaces.add(entry.namespace);
+    return { images: [...images], namespaces: [...namespaces] };
+  }
+
+  // Catches typos in Secret/ConfigMap references before the pods fail with
+  // CreateContainerConfigError. Skipped when the user may not list them.
+  async checkEnvReferences(options) {
+    const refs = [
+      ...(options.env || []).map((e) => ({
+        field: 'env',
+        kind: e.valueFrom?.secretKeyRef ? 'secret' : 'configmap',
+        ref: e.valueFrom?.secretKeyRef || e.valueFrom?.configMapKeyRef
+      })),
+      ...(options.envFrom || []).map((r) => ({
+        field: 'envFrom',
+        kind: r.secretRef ? 'secret' : 'configmap',
+        ref: r.secretRef || r.configMapRef
+      }))
+    ].filter((r) => r.ref);
+    if (!refs.length) return {};
+
+    let sources;
+    try {
+      sources = await this.k8sClient.listEnvSources(options.namespace);
+    } catch {
+      return {};
+    }
+    const errors = {};
+    for (const { field, ref, kind } of refs) {
+      const source = sources.find((s) => s.kind === kind && s.name === ref.name);
+      const label = kind === 'secret' ? 'Secret' : 'ConfigMap';
+      if (!source) errors[field] = `${label} ${ref.name} does not exist in ${options.namespace}.`;
+      else if (ref.key && !source.keys.includes(ref.key)) errors[field] = `${label} ${ref.name} has no key ${ref.key}.`;
+    }
+    return errors;
+  }
+
+  // Adds the template to kflow.templatesFile, replacing one with the same name.
+  async saveTemplate(template) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) throw new Error('Open a workspace folder to save templates.');
+    const templatesPath = path.join(workspaceFolder.uri.fsPath, getSettings().templatesFile);
+
+    let payload = { templates: [] };
+    try {
+      payload = JSON.parse(await fs.readFile(templatesPath, 'utf-8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw new Error(`Cannot read templates file: ${templatesPath}`);
+    }
+    const templates = Array.isArray(payload) ? payload : (payload.templates = payload.templates || []);
+    const index = templates.findIndex((t) => t.name === template.name);
+    if (index >= 0) templates[index] = template;
+    else templates.push(template);
+
+    await fs.mkdir(path.dirname(templatesPath), { recursive: true });
+    await fs.writeFile(templatesPath, `${JSON.stringify(payload, null, 2)}\n`);
+    return templatesPath;
+  }
+
+  async recordRun(fields) {
+    const { manifest } = fields;
+    const keep = await this.runHistory.add({
+      name: manifest.metadata.name,
+      namespace: manifest.metadata.namespace,
+      kind: manifest.kind,
+      profile: getSettings().profile,
+      ...fields
+    });
+    this._onDidRecordRun.fire(this.runHistory.list()[0]);
+    await this.packager.pruneRetainedArchives(keep);
+  }
+
+  async streamJobLogs(namespace, jobName, outputChannel, kind) {
     const pods = await this.k8sClient.listPodsByJob(namespace, jobName);
     const items = pods.items || [];
     if (items.length === 0) {
       throw new Error(`No pods found for job ${jobName}.`);
     }
 
-    const pickedPod =
-      (await vscode.window.showQuickPick(
-        items.map((p) => ({
-          label: p.metadata?.name || 'unnamed-pod',
-          description: p.status?.phase || ''
-        })),
-        { placeHolder: 'Select pod for log streaming' }
-      )) || items[0];
+    const picked = await vscode.window.showQuickPick(
+      [
+        { label: '$(layers) All replicas', description: `${items.length} pods` },
+        ...items.map((p) => ({
+          label: p.metadata?.name || 'unnamed-pod',
+          description: p.status?.phase || '',
+          podName: p.metadata?.name
+        }))
+      ],
+      { placeHolder: 'Select pod for log streaming' }
+    );
+    if (!picked) return;
+
+    this.stopLogStreaming();
+    outputChannel.clear();
+    outputChannel.show(true);
+
+    const streamer = new JobLogStreamer(this.k8sClient, {
+      namespace,
+      jobName,
+      kind,
+      podNames: picked.podName ? [picked.podName] : undefined,
+      sink: {
+        appendLine: (source, line) => outputChannel.appendLine(colorizeLogLine(`[${source}] ${line}`)),
+        info: (message) => outputChannel.appendLine(`[Kubeflow] ${message}`)
+      }
+    });
+    this.logStreamer = streamer;
+
+    await vscode.window.withProgress(
+      { location: vscode.ProgressLocation.Notification, title: `Streaming logs of ${jobName}`, cancellable: true },
+      async (_progress, token) => {
+        token.onCancellationRequested(() => streamer.stop());
+        try {
+          await streamer.run();
+        } finally {
+          if (this.logStreamer === streamer) this.logStreamer = undefined;
+        }
+      }
+    );
+  }
+
+  stopLogStreaming() {
+    if (this.logStreamer) this.logStreamer.stop();
+    this.logStreamer = undefined;
+  }
+
+  async runFromTemplate() {
+    const template = await pickTemplate();
+    if (!template) return undefined;
+
+    const editor = vscode.window.activeTextEditor;
+    if (!editor || editor.document.languageId !== 'python') {
+      throw new Error('Open a Python file first to run template-based job.');
+    }
+
+    const filled = await promptTemplateVariables(template);
+    if (!filled) return undefined;
+    const problems = validateTemplate(filled);
+    if (problems.length) {
+      throw new Error(`Template "${template.name}" is invalid: ${problems.join('; ')}`);
+    }
+
+    const settings = getSettings();
+    const options = templateToRunOptions(filled, editor.document.uri.fsPath, settings);
+    const manifest = await this.submitRun(options, settings);
+    return manifest ? options.name : undefined;
+  }
+
+  async submitRun(options, settings) {
+    if (!options.sourceRoot) options.sourceRoot = resolveSourceRoot(options.scriptPath);
+    const planned = this.manifestBuilder.buildTrainingJob(options, previewArtifactReference(settings));
+    if (!(await this.confirmPreflight(planned))) return undefined;
+    const artifact = await this.prepareRun(options, settings);
+    if (!artifact) return undefined;
+    const manifest = this.manifestBuilder.buildTrainingJob(options, artifact);
+    await this.createRun({ options, manifest, artifact });
+    return manifest;
+  }
+
+  // Uploads the code and creates the pip cache PVC: everything a run needs before the
+  // job itself is created.
+  async prepareRun(options, settings) {
+    if (!options.sourceRoot) options.sourceRoot = resolveSourceRoot(options.scriptPath);
+    const artifact = await this.prepareArtifact(options);
+    if (!artifact) return undefined;
+
+    if (options.autoPVCforPip) {
+      try {
+        await this.k8sClient.createCoreObject(
+          options.namespace,
+          'persistentvolumeclaims',
+          this.manifestBuilder.buildPVC('pip-cache-pvc', options.namespace, settings.defaultPVCsize)
+        );
+      } catch (e) {
+        if (!isAlreadyExistsError(e)) throw new Error(`Cannot create the pip cache PVC: ${e.message}`);
+      }
+    }
+    return artifact;
+  }
+
+  async createRun(fields) {
+    await this.createJob(fields.manifest, fields.artifact);
+    await this.recordRun(fields);
+  }
+
+  // Creates the job and makes it an owner of the artifact ConfigMap it mounts. S3 objects
+  // and files on the code PVC live outside the cluster's garbage collection and stay.
+  async createJob(manifest, artifact) {
+    const { namespace } = manifest.metadata;
+    const { plural } = getJobKind(manifest.kind);
+    let job;
+    try {
+      job = await this.k8sClient.createCustomObject(JOB_API_GROUP, JOB_API_VERSION, namespace, plural, manifest);
+    } catch (e) {
+      if (!(e instanceof ForbiddenError)) throw e;
+      throw new Error(
+        `You may not create ${plural} in ${namespace} (${e.apiMessage}). Pick a namespace with "Kubeflow: Select Namespace".`
+      );
+    }
+    const configMapName = artifactConfigMapName(manifest);
+    if (!configMapName || !job.metadata?.uid) return job;
+    const store = this.artifactStores.configmap;
+    try {
+      try {
+        await store.addOwner(namespace, configMapName, job);
+      } catch (e) {
+        // The previous owners' deletion took the shared ConfigMap with it after it was
+        // found; upload it again from the retained archive for the new job.
+        const restorable =
+          isNotFoundError(e) && artifact?.configMapName === configMapName && (await this.packager.hasRetainedArchive(artifact.contentHash));
+        if (!restorable) throw e;
+        await store.upload(this.packager.retainedArchivePath(artifact.contentHash), { namespace }, artifact.contentHash);
+        await store.addOwner(namespace, configMapName, job);
+      }
+    } catch (e) {
+      vscode.window.showWarningMessage(
+        `${manifest.metadata.name} was created, but its code ConfigMap ${configMapName} is not linked to it and stays ` +
+          `when the job is deleted (${String(e.message || e)}). "Kubeflow: Clean Up Orphaned Artifacts" removes it later.`
+      );
+    }
+    return job;
+  }
+
+  // Leftovers of earlier runs: artifact ConfigMaps no job mounts (e.g. from before jobs
+  // owned them, or a submission that failed after the upload), uploader pods of
+  // interrupted PVC uploads and local archives of interrupted packaging.
+  async findOrphanedArtifacts() {
+    const settings = getSettings();
+    const namespaces = new Set([
+      settings.defaultNamespace,
+      ...this.runHistory
+        .list()
+        .filter((entry) => entry.profile === settings.profile)
+        .map((entry) => entry.namespace)
+        .filter(Boolean)
+    ]);
+    const isOld = (item) => Date.now() - Date.parse(item.metadata?.creationTimestamp || 0) > ORPHAN_MIN_AGE_MS;
+    const selector = (component) =>
+      `labelSelector=${encodeURIComponent(`${MANAGED_BY_LABEL_SELECTOR},app.kubernetes.io/component=${component}`)}`;
+
+    const orphans = [];
+    for (const namespace of namespaces) {
+      const [jobs, configMaps, pods] = await Promise.all([
+        listTrainingJobs(this.k8sClient, namespace),
+        this.k8sClient.list(namespace, `/api/v1/namespaces/{namespace}/configmaps?${selector('artifact')}`),
+        this.k8sClient.list(namespace, `/api/v1/namespaces/{namespace}/pods?${selector('artifact-uploader')}`)
+      ]);
+      const mounted = new Set(jobs.map(artifactConfigMapName).filter(Boolean));
+      for (const configMap of configMaps.items || []) {
+        if (mounted.has(configMap.metadata.name) || !isOld(configMap)) continue;
+        orphans.push({ kind: 'configmap', namespace, name: configMap.metadata.name, createdAt: configMap.metadata.creationTimestamp });
+      }
+      for (const pod of pods.items || []) {
+        if (!isOld(pod)) continue;
+        orphans.push({ kind: 'pod', namespace, name: pod.metadata.name, createdAt: pod.metadata.creationTimestamp });
+      }
+    }
+    for (const { file, bytes } of await this.packager.leftoverArchives(ORPHAN_MIN_AGE_MS)) {
+      orphans.push({ kind: 'archive', name: path.basename(file), file, bytes });
+    }
+    return orphans;
+  }
+
+  async deleteOrphanedArtifact(orphan) {
+    if (orphan.kind === 'archive') return this.packager.removeArchive(orphan.file);
+    const plural = orphan.kind === 'pod' ? 'pods' : 'configmaps';
+    try {
+      await this.k8sClient.deleteCoreObject(orphan.namespace, plural, orphan.name);
+    } catch (e) {
+      if (!isNotFoundError(e)) throw e;
+    }
+  }
+
+  // Sends the manifest with ?dryRun=All so schema, quota and webhook errors show up
+  // without creating the job.
+  async dryRun(manifest) {
+    try {
+      await this.k8sClient.createCustomObject(
+        JOB_API_GROUP,
+        JOB_API_VERSION,
+        manifest.metadata.namespace,
+        getJobKind(manifest.kind).plural,
+        manifest,
+        { dryRun: true }
+      );
+    } catch (e) {
+      throw e instanceof KubernetesApiError ? new Error(`Dry run rejected: ${e.apiMessage}`) : e;
+    }
+  }
+
+  // Checks a job against what the cluster would allow before anything is created:
+  // RBAC, the namespace's ResourceQuotas and LimitRanges, and the GPUs (any extended
+  // resource) nodes can allocate. Returns warnings; checks the user may not read are skipped.
+  async preflight(manifest) {
+    const { namespace } = manifest.metadata;
+    const { plural } = getJobKind(manifest.kind);
+    const pods = jobReplicaPods(manifest);
+    const [allowed, kubeflowNamespaces, quotas, limitRanges, nodes] = await Promise.all([
+      this.k8sClient.canI(namespace, 'create', JOB_API_GROUP, plural).catch(() => undefined),
+      this.k8sClient.listKubeflowNamespaces().catch(() => []),
+      ...['/api/v1/namespaces/{namespace}/resourcequotas', '/api/v1/namespaces/{namespace}/limitranges', '/api/v1/nodes'].map(
+        (collectionPath) =>
+          this.k8sClient
+            .list(namespace, collectionPath)
+            .then((list) => list.items || [])
+            .catch(() => [])
+      )
+    ]);
+
+    const warnings = [];
+    if (allowed === false) {
+      const known = kubeflowNamespaces.map((entry) => entry.namespace);
+      warnings.push(
+        `You may not create ${plural} in ${namespace}.` +
+          (known.length && !known.includes(namespace) ? ` Your Kubeflow namespaces: ${known.join(', ')}.` : '')
+      );
+    }
+    warnings.push(
+      ...checkResourceQuotas(pods, quotas, `count/${plural}.${JOB_API_GROUP}`),
+      ...checkLimitRanges(pods, limitRanges),
+      ...checkNodeCapacity(pods, nodes)
+    );
+    return [...new Set(warnings)];
+  }
+
+  // Resolves false when the user cancels after preflight warnings.
+  async confirmPreflight(manifest) {
+    if (!getSettings().preflight) return true;
+    const warnings = await vscode.window.withProgress(
+      { location: vscode.ProgressLocation.Window, title: 'Kubeflow: checking quota and capacity' },
+      () => this.preflight(manifest)
+    );
+    if (!warnings.length) return true;
+    const choice = await vscode.window.showWarningMessage(
+      `${manifest.metadata.name} may not run in ${manifest.metadata.namespace}`,
+      { modal: true, detail: warnings.join('\n') },
+      'Submit Anyway'
+    );
+    return choice === 'Submit Anyway';
+  }
+
+  // Scans the source tree, reuses an already uploaded artifact with the same content
+  // hash, and otherwise packages, size-checks and uploads a new archive. Cancelling
+  // the notification aborts the upload and returns undefined.
+  async prepareArtifact(options) {
+    const store = this.getArtifactStore();
+    return vscode.window.withProgress(
+      { location: vscode.ProgressLocation.Notification, title: 'Kubeflow: packaging code', cancellable: true },
+      async (progress, token) => {
+        const signal = abortSignalFromToken(token);
+        try {
+          return await this.packageAndUpload(store, options, progress, signal);
+        } catch (e) {
+          if (signal.aborted) return undefined;
+          throw e;
+        }
+      }
+    );
+  }
+
+  async packageAndUpload(store, options, progress, signal) {
+    const scan = await this.packager.scan(options.sourceRoot);
+    const summary = `${scan.fileCount} files, ${formatBytes(scan.totalBytes)}`;
+    progress.report({ message: summary });
+    if (scan.skipped.length) {
+      vscode.window.showWarningMessage(`Not packaged: ${scan.skipped.slice(0, 5).join(', ')}${scan.skipped.length > 5 ? ', …' : ''}`);
+    }
+
+    const existing = await store.find(scan.contentHash, options, signal);
+    if (existing) {
+      progress.report({ message: `${summary} (unchanged, reusing uploaded artifact)` });
+      return existing;
+    }
+
+    const { archivePath, archiveBytes } = await this.packager.packageToTarGz(scan);
+    try {
+      if (store.maxArchiveBytes && archiveBytes > store.maxArchiveBytes) {
+        throw new Error(
+          `Code archive is ${formatBytes(archiveBytes)} (${summary}), above the ${formatBytes(store.maxArchiveBytes)} ConfigMap limit. ` +
+            `Exclude files via .kflowignore or switch kflow.artifactStore to s3 or pvc. Largest files: ${describeLargestFiles(scan.files)}.`
+        );
+      }
+      if (scan.totalBytes > getSettings().artifactSizeWarningMB * 1024 * 1024) {
+        const choice = await vscode.window.showWarningMessage(
+          `Code to upload is ${summary} (${formatBytes(archiveBytes)} compressed). Largest files: ${describeLargestFiles(scan.files)}.`,
+          { modal: true },
+          'Upload anyway'
+        );
+        if (choice !== 'Upload anyway') return undefined;
+      }
+      progress.report({ message: `${summary}, uploading ${formatBytes(archiveBytes)}` });
+      const artifact = await store.upload(archivePath, options, scan.contentHash, signal);
+      await this.packager.retainArchive(archivePath, scan.contentHash);
+      return artifact;
+    } finally {
+      await this.packager.removeArchive(archivePath);
+    }
+  }
+}
+
+class NotebookService {
+  constructor(k8sClient, manifestBuilder, authService) {
+    this.k8sClient = k8sClient;
+    this.manifestBuilder = manifestBuilder;
+    this.authService = authService;
+    this.kernelNamespaces = new Set();
+    this.onDidChangeServersEmitter = new vscode.EventEmitter();
+    this.serverCollection = undefined;
+  }
+
+  dispose() {
+    this.serverCollection?.dispose();
+    this.onDidChangeServersEmitter.dispose();
+  }
+
+  async listNotebooks(namespace) {
+    const payload = await this.k8sClient.list(
+      namespace,
+      `/apis/kubeflow.org/${NOTEBOOK_API_VERSION}/namespaces/{namespace}/notebooks`
+    );
+    return payload.items || [];
+  }
+
+  async getNotebook(namespace, name) {
+    return this.k8sClient.getCustomObject('kubeflow.org', NOTEBOOK_API_VERSION, namespace, 'notebooks', name);
+  }
+
+  async createFromWizard() {
+    const settings = getSettings();
+    const namespace = await pickNamespace(this.k8sClient, {
+      placeHolder: 'Namespace of the notebook',
+      current: settings.defaultNamespace
+    });
+    if (!namespace) return undefined;
+    const name = await vscode.window.showInputBox({
+      prompt: 'Notebook name',
+      value: `notebook-${Date.now().toString().slice(-6)}`,
+      validateInput: (v) =>
+        /^[a-z0-9]([-a-z0-9]{0,50}[a-z0-9])?$/.test(v) ? undefined : 'Lowercase letters, digits and dashes only.'
+    });
+    if (!name) return undefined;
+
+    const pickedImage = await vscode.window.showQuickPick(
+      [...settings.notebookImages.map((image) => ({ label: image })), { label: 'Custom image…', custom: true }],
+      { placeHolder: 'Notebook image' }
+    );
+    if (!pickedImage) return undefined;
+    const image = pickedImage.custom ? await vscode.window.showInputBox({ prompt: 'Container image' }) : pickedImage.label;
+    if (!image) return undefined;
+
+    const cpu = await vscode.window.showInputBox({
+      prompt: 'CPU',
+      value: '1',
+      validateInput: (v) => (CPU_QUANTITY_RE.test(v.trim()) ? undefined : 'A CPU quantity such as 2 or 500m.')
+    });
+    if (!cpu) return undefined;
+    const memory = await vscode.window.showInputBox({
+      prompt: 'RAM',
+      value: '4Gi',
+      validateInput: (v) => (MEMORY_QUANTITY_RE.test(v.trim()) ? undefined : 'A memory quantity with a unit, e.g. 4Gi.')
+    });
+    if (!memory) return undefined;
+    const gpuCount = await vscode.window.showInputBox({
+      prompt: 'GPU count',
+      value: '0',
+      validateInput: (v) => (/^\d+$/.test(v.trim()) ? undefined : 'A whole number of GPUs.')
+    });
+    if (!gpuCount) return undefined;
+
+    const claims = await this.listClaimNames(namespace);
+    const workspace = await vscode.window.showQuickPick(
+      [
+        { label: `New volume ${name}-workspace`, description: settings.defaultPVCsize, create: true },
+        ...claims.map((c) => ({ label: c, description: 'existing PVC', claim: c })),
+        { label: 'No workspace volume', description: 'home directory is lost on restart' }
+      ],
+      { placeHolder: `Workspace volume (mounted at ${NOTEBOOK_HOME})` }
+    );
+    if (!workspace) return undefined;
+    const workspaceClaim = workspace.create ? `${name}-workspace` : workspace.claim;
+
+    let dataClaims = [];
+    const dataChoices = claims.filter((c) => c !== workspaceClaim);
+    if (dataChoices.length) {
+      const picked = await vscode.window.showQuickPick(
+        dataChoices.map((c) => ({ label: c })),
+        { placeHolder: `Data volumes (mounted at ${NOTEBOOK_HOME}/<name>)`, canPickMany: true }
+      );
+      if (!picked) return undefined;
+      dataClaims = picked.map((p) => p.label);
+    }
+
+    if (workspace.create) {
+      await this.k8sClient.createCoreObject(
+        namespace,
+        'persistentvolumeclaims',
+        this.manifestBuilder.buildPVC(workspaceClaim, namespace, settings.defaultPVCsize)
+      );
+    }
+    const manifest = this.manifestBuilder.buildNotebook({
+      name,
+      namespace,
+      image,
+      cpu: cpu.trim(),
+      memory: memory.trim(),
+      gpu: Number(gpuCount),
+      gpuResource: settings.gpuResourceName,
+      workspaceClaim,
+      dataClaims
+    });
+    try {
+      await this.k8sClient.createCustomObject('kubeflow.org', NOTEBOOK_API_VERSION, namespace, 'notebooks', manifest);
+    } catch (error) {
+      // The workspace volume was created only for this notebook; don't leave it behind.
+      if (workspace.create) {
+        await this.k8sClient.deleteCoreObject(namespace, 'persistentvolumeclaims', workspaceClaim).catch((cleanupError) =>
+          vscode.window.showWarningMessage(`Could not delete volume ${workspaceClaim}: ${cleanupError.message}`)
+        );
+      }
+      throw error;
+    }
+    return name;
+  }
+
+  async listClaimNames(namespace) {
+    const payload = await this.k8sClient.list(namespace, '/api/v1/namespaces/{namespace}/persistentvolumeclaims');
+    return (payload.items || []).map((pvc) => pvc.metadata?.name).filter(Boolean);
+  }
+
+  // The notebook controller scales the StatefulSet to zero while the annotation is set.
+  async stop(namespace, name) {
+    const stoppedAt = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+    return this.setStoppedAnnotation(namespace, name, stoppedAt);
+  }
+
+  async start(namespace, name) {
+    return this.setStoppedAnnotation(namespace, name, null);
+  }
+
+  async setStoppedAnnotation(namespace, name, value) {
+    return this.k8sClient.patchCustomObject('kubeflow.org', NOTEBOOK_API_VERSION, namespace, 'notebooks', name, {
+      metadata: { annotations: { [NOTEBOOK_STOPPED_ANNOTATION]: value } }
+    });
+  }
+
+  async delete(namespace, name) {
+    return this.k8sClient.deleteCustomObject('kubeflow.org', NOTEBOOK_API_VERSION, namespace, 'notebooks', name);
+  }
+
+  // Notebooks are served by the Kubeflow gateway under /notebook/<namespace>/<name>/.
+  getServerUrl(namespace, name) {
+    return `${getSettings().url.replace(/\/$/, '')}/notebook/${namespace}/${name}/`;
+  }
+
+  // Offers to start a stopped notebook; resolves false if it is not (going to be) running.
+  async ensureRunning(namespace, name) {
+    const notebook = await this.getNotebook(namespace, name);
+    if (getNotebookState(notebook) !== 'Stopped') return true;
+    const answer = await vscode.window.showWarningMessage(`Notebook ${name} is stopped.`, 'Start');
+    if (answer !== 'Start') return false;
+    await this.start(namespace, name);
+    vscode.window.showInformationMessage(`Starting notebook ${name}; it opens once the server is up.`);
+    return true;
+  }
+
+  async open(namespace, name) {
+    if (!(await this.ensureRunning(namespace, name))) return;
+    await vscode.env.openExternal(vscode.Uri.parse(this.getServerUrl(namespace, name)));
+  }
+
+  // Offers the notebook in the Jupyter extension's kernel picker under "Kubeflow
+  // Notebooks"; the connection goes through the gateway with the login's headers.
+  async connectKernel(namespace, name) {
+    await this.authService.ensureValidSession();
+    if (!(await this.ensureRunning(namespace, name))) return;
+    await this.registerJupyterServers();
+    this.kernelNamespaces.add(namespace);
+    this.onDidChangeServersEmitter.fire();
+    const hint = `Select "${JUPYTER_SERVER_COLLECTION_LABEL}" and then ${name} in the kernel picker of a notebook.`;
+    if (vscode.window.activeNotebookEditor) {
+      vscode.window.showInformationMessage(hint);
+      await vscode.commands.executeCommand('notebook.selectKernel');
+    } else {
+      vscode.window.showInformationMessage(`Notebook server ${name} is available as a kernel. Open a notebook and ${hint[0].toLowerCase()}${hint.slice(1)}`);
+    }
+  }
+
+  // Jupyter extension API (createJupyterServerCollection): servers are listed from the
+  // cluster every time the picker opens and resolved with fresh auth headers on connect,
+  // so refreshed tokens and cookie sessions are used.
+  async registerJupyterServers() {
+    if (this.serverCollection) return;
+    const extension = vscode.extensions.getExtension(JUPYTER_EXTENSION_ID);
+    if (!extension) {
+      throw new Error(`Connecting a notebook server as a kernel needs the Jupyter extension (${JUPYTER_EXTENSION_ID}).`);
+    }
+    const api = extension.isActive ? extension.exports : await extension.activate();
+    if (typeof api?.createJupyterServerCollection !== 'function') {
+      throw new Error('The installed Jupyter extension is too old to add servers; update it.');
+    }
+    this.serverCollection = api.createJupyterServerCollection(JUPYTER_SERVER_COLLECTION_ID, JUPYTER_SERVER_COLLECTION_LABEL, {
+      onDidChangeServers: this.onDidChangeServersEmitter.event,
+      provideJupyterServers: () => this.provideJupyterServers(),
+      resolveJupyterServer: (server) => this.resolveJupyterServer(server)
+    });
+  }
+
+  async provideJupyterServers() {
+    const namespaces = new Set([getSettings().defaultNamespace, ...this.kernelNamespaces]);
+    const servers = [];
+    for (const namespace of namespaces) {
+      const notebooks = await this.listNotebooks(namespace).catch(() => []);
+      for (const notebook of notebooks) {
+        if (getNotebookState(notebook) !== 'Running') continue;
+        const { name } = notebook.metadata;
+        servers.push({ id: `${namespace}/${name}`, label: name, namespace, name });
+      }
+    }
+    return servers;
+  }
+
+  async resolveJupyterServer(server) {
+    const [namespace, name] = server.id.split('/');
+    await this.authService.ensureValidSession();
+    return {
+      ...server,
+      connectionInformation: {
+        baseUrl: vscode.Uri.parse(this.getServerUrl(namespace, name)),
+        // Kubeflow notebook servers run without a Jupyter token; the gateway authenticates.
+        headers: this.authService.authHeaders()
+      }
+    };
+  }
+}
+
+function getJobKind(kind = DEFAULT_JOB_KIND) {
+  const definition = JOB_KINDS[kind];
+  if (!definition) {
+    throw new Error(`Unsupported job kind "${kind}". Supported kinds: ${Object.keys(JOB_KINDS).join(', ')}.`);
+  }
+  return { kind, ...definition };
+}
+
+// Lists jobs of every supported kind; kinds whose CRD is not installed are skipped.
+async function listTrainingJobs(k8sClient, namespace) {
+  const perKind = await Promise.all(
+    Object.keys(JOB_KINDS).map(async (kind) => {
+      try {
+        const payload = await k8sClient.list(namespace, jobCollectionPath(kind));
+        return (payload.items || []).map((item) => ({ ...item, kind: item.kind || kind }));
+      } catch (e) {
+        if (isNotFoundError(e)) return [];
+        throw e;
+      }
+    })
+  );
+  return perKind.flat();
+}
+
+// The artifact ConfigMap mounted by a job built with the configmap store, if any.
+function artifactConfigMapName(manifest) {
+  const replicaSpecs = manifest.spec?.[JOB_KINDS[manifest.kind]?.replicaSpecsKey] || {};
+  for (const replica of Object.values(replicaSpecs)) {
+    const volume = (replica?.template?.spec?.volumes || []).find((v) => v.name === 'job-artifact' && v.configMap);
+    if (volume) return volume.configMap.name;
+  }
+  return undefined;
+}
+
+// One entry per replica role: its pod spec and how many pods it creates.
+function jobReplicaPods(manifest) {
+  const replicaSpecs = manifest.spec?.[JOB_KINDS[manifest.kind]?.replicaSpecsKey] || {};
+  return Object.entries(replicaSpecs).map(([role, replica]) => ({
+    role,
+    replicas: Number(replica?.replicas ?? 1),
+    podSpec: replica?.template?.spec || {}
+  }));
+}
+
+// What the scheduler and quotas count for a pod: requests default to the limits (as the
+// API server defaults them) and init containers, which run one at a time before the
+// others, count with their largest value.
+function podResources(podSpec) {
+  const totals = { requests: {}, limits: {} };
+  const add = (containers, combine) => {
+    for (const container of containers || []) {
+      const limits = container.resources?.limits || {};
+      const values = { requests: { ...limits, ...container.resources?.requests }, limits };
+      for (const [kind, entries] of Object.entries(values)) {
+        for (const [resource, quantity] of Object.entries(entries)) {
+          totals[kind][resource] = combine(totals[kind][resource] || 0, parseQuantity(quantity));
+        }
+      }
+    }
+  };
+  add(podSpec.containers, (a, b) => a + b);
+  add(podSpec.initContainers, Math.max);
+  return totals;
+}
+
+// Compares `requests.<resource>`, `limits.<resource>`, bare `cpu`/`memory` (requests),
+// `pods` and the job's object count with what the quotas have left.
+function checkResourceQuotas(pods, quotas, countResource) {
+  const totals = { requests: {}, limits: {} };
+  let podCount = 0;
+  for (const { replicas, podSpec } of pods) {
+    podCount += replicas;
+    const resources = podResources(podSpec);
+    for (const kind of ['requests', 'limits']) {
+      for (const [resource, amount] of Object.entries(resources[kind])) {
+        totals[kind][resource] = (totals[kind][resource] || 0) + amount * replicas;
+      }
+    }
+  }
+
+  const warnings = [];
+  for (const quota of quotas) {
+    const used = quota.status?.used || {};
+    for (const [key, hard] of Object.entries(quota.status?.hard || quota.spec?.hard || {})) {
+      const scoped = /^(requests|limits)\.(.+)$/.exec(key);
+      const resource = scoped ? scoped[2] : key;
+      const demand =
+        key === 'pods' ? podCount : key === countResource ? 1 : totals[scoped ? scoped[1] : 'requests'][resource];
+      if (!demand) continue;
+      const remaining = Math.max(0, parseQuantity(hard) - parseQuantity(used[key] || 0));
+      if (demand > remaining) {
+        warnings.push(
+          `This job requests ${describeResourceAmount(resource, demand)} but ResourceQuota ${quota.metadata?.name} has ` +
+            `${describeResourceAmount(resource, remaining)} remaining (${key}).`
+        );
+      }
+    }
+  }
+  return warnings;
+}
+
+// LimitRange maxima per container and per pod.
+function checkLimitRanges(pods, limitRanges) {
+  const warnings = [];
+  for (const range of limitRanges) {
+    for (const limit of range.spec?.limits || []) {
+      const check = (subject, resources) => {
+        for (const [resource, max] of Object.entries(limit.max || {})) {
+          const amount = Math.max(resources.requests[resource] || 0, resources.limits[resource] || 0);
+          if (amount <= parseQuantity(max)) continue;
+          warnings.push(
+            `${subject} asks for ${describeResourceAmount(resource, amount)} but LimitRange ${range.metadata?.name} ` +
+              `allows at most ${describeResourceAmount(resource, parseQuantity(max))} per ${String(limit.type).toLowerCase()}.`
+          );
+        }
+      };
+      for (const { role, podSpec } of pods) {
+        if (limit.type === 'Pod') check(`Each ${role} pod`, podResources(podSpec));
+        if (limit.type !== 'Container') continue;
+        for (const container of [...(podSpec.initContainers || []), ...(podSpec.containers || [])]) {
+          check(`Container ${container.name} of ${role}`, podResources({ containers: [container] }));
+        }
+      }
+    }
+  }
+  return warnings;
+}
+
+// Extended resources (GPUs) against the nodes' allocatable amounts. Allocatable is what
+// a node offers to pods, not what is free now, so a job that fits may still wait.
+function checkNodeCapacity(pods, nodes) {
+  const schedulable = nodes.filter((node) => !node.spec?.unschedulable);
+  if (!schedulable.length) return [];
+  const warnings = [];
+  const totals = new Map();
+  for (const { role, replicas, podSpec } of pods) {
+    for (const [resource, amount] of Object.entries(podResources(podSpec).requests)) {
+      if (!resource.includes('/') || !amount) continue;
+      const largest = Math.max(...schedulable.map((node) => parseQuantity(node.status?.allocatable?.[resource] || 0)));
+      if (!largest) warnings.push(`This job requests ${resource} but no node offers it.`);
+      else if (amount > largest) {
+        warnings.push(
+          `Each ${role} pod requests ${describeResourceAmount(resource, amount)} but the largest node has ` +
+            `${describeResourceAmount(resource, largest)} allocatable.`
+        );
+      }
+      totals.set(resource, (totals.get(resource) || 0) + amount * replicas);
+    }
+  }
+  for (const [resource, total] of totals) {
+    const allocatable = schedulable.reduce((sum, node) => sum + parseQuantity(node.status?.allocatable?.[resource] || 0), 0);
+    if (allocatable && total > allocatable) {
+      warnings.push(
+        `This job requests ${describeResourceAmount(resource, total)} in total but the nodes have ` +
+          `${describeResourceAmount(resource, allocatable)} allocatable.`
+      );
+    }
+  }
+  return warnings;
+}
+
+// Init and main container statuses of a pod, each with the container's spec.
+function podContainers(pod) {
+  const entries = (statuses, specs, init) =>
+    (statuses || []).map((status) => ({ ...status, init, spec: (specs || []).find((c) => c.name === status.name) || {} }));
+  return [
+    ...entries(pod.status?.initContainerStatuses, pod.spec?.initContainers, true),
+    ...entries(pod.status?.containerStatuses, pod.spec?.containers, false)
+  ];
+}
+
+// The last run of a container that did not end well, current or before its restart.
+function failedRun(container) {
+  const terminated = [container.state?.terminated, container.lastState?.terminated].find((t) => t && t.exitCode !== 0);
+  if (terminated) return terminated;
+  return container.state?.waiting?.reason === 'CrashLoopBackOff' ? container.lastState?.terminated || {} : undefined;
+}
+
+// Exact Python exception line after the last traceback, e.g. "ModuleNotFoundError: No module named 'timm'".
+function lastPythonException(log) {
+  const lines = String(log || '').split('\n');
+  const start = lines.map((line) => /^Traceback \(most recent call last\)/.test(line)).lastIndexOf(true);
+  if (start < 0) return undefined;
+  return lines.slice(start + 1).find((line) => /^[A-Za-z_][\w.]*(Error|Exception|Interrupt|Exit)\b/.test(line));
+}
+
+function lastLogLines(log, count = DIAGNOSIS_EXCERPT_LINES) {
+  return String(log || '').trimEnd().split('\n').slice(-count).join('\n');
+}
+
+const EXIT_CODE_MEANINGS = {
+  1: 'a general error',
+  2: 'a usage error, often bad command line arguments',
+  126: 'a command that is not executable',
+  127: 'a command that was not found',
+  137: 'SIGKILL, e.g. the memory limit or an eviction',
+  139: 'a segmentation fault',
+  143: 'SIGTERM, e.g. the pod was deleted or preempted'
+};
+
+// pip and apt messages of the dependency install that runs before the script.
+const DEPENDENCY_INSTALL_FAILURES = [
+  {
+    re: /ERROR: (?:Could not find a version that satisfies the requirement|No matching distribution found for) .*/,
+    title: 'pip cannot find a package',
+    fix: 'Check the package names and version pins in `pip`. Packages from a private index need `PIP_INDEX_URL` or `PIP_EXTRA_INDEX_URL` in the environment.'
+  },
+  {
+    re: /ERROR: (?:Cannot install .*|ResolutionImpossible.*)/,
+    title: 'pip cannot resolve the package versions',
+    fix: 'Relax the version pins in `pip` so they agree with each other and with the packages already in the image.'
+  },
+  {
+    re: /(?:ERROR: Failed building wheel for \S+|error: subprocess-exited-with-error|ERROR: Failed to build .*)/,
+    title: 'pip cannot build a package',
+    fix: 'The package compiles from source. Add its build tools to `apt` (e.g. `build-essential` or the `-dev` libraries), pin a version with a prebuilt wheel, or use an image that has it.'
+  },
+  {
+    re: /(?:Failed to establish a new connection|Max retries exceeded with url|Could not fetch URL|Temporary failure in name resolution).*/,
+    title: 'pip cannot reach the package index',
+    fix: 'The pods have no access to PyPI. Set `PIP_INDEX_URL` to a mirror the cluster can reach, or an `HTTPS_PROXY` in the environment.'
+  },
+  {
+    re: /(?:pip|apt-get): (?:command )?not found/,
+    title: 'The image has no package manager',
+    fix: 'Use an image with pip (and apt-get for `apt` packages), or install the packages into the image and leave `pip`/`apt` empty.'
+  },
+  {
+    re: /E: (?:Unable to locate package \S+|Package '[^']+' has no installation candidate)/,
+    title: 'apt cannot find a package',
+    fix: 'Check the names in `apt` against the distribution of the image.'
+  }
+];
+
+// Rules run in order; each may mark containers as explained so that the generic
+// crash rule at the end does not repeat them.
+const DIAGNOSIS_RULES = [
+  diagnoseQueueAdmission,
+  diagnoseUnschedulable,
+  diagnoseImagePull,
+  diagnoseContainerConfig,
+  diagnoseEviction,
+  diagnoseOutOfMemory,
+  diagnoseDependencyInstall,
+  diagnoseCrash,
+  diagnoseJobEvents,
+  diagnoseJobCondition
+];
+
+// Plain explanations with suggested fixes for what went wrong with a job, from a
+// snapshot of the job, its pods, their events and failed containers' last log lines
+// (`logs` keyed by "<pod>/<container>"). Findings that repeat across pods are merged.
+function diagnoseJob(snapshot) {
+  const context = { ...snapshot, explained: new Set(), findings: [] };
+  for (const rule of DIAGNOSIS_RULES) {
+    for (const finding of rule(context)) {
+      const same = context.findings.find((f) => f.key === finding.key);
+      if (same) same.pods = [...new Set([...same.pods, ...finding.pods])];
+      else context.findings.push(finding);
+    }
+  }
+  const rank = { error: 0, warning: 1 };
+  return context.findings
+    .sort((a, b) => rank[a.severity] - rank[b.severity])
+    .map(({ key, ...finding }) => finding);
+}
+
+function diagnosisFinding(context, pod, fields) {
+  const name = pod ? shortPodName(pod.metadata?.name || '', context.job.metadata?.name || '') : undefined;
+  return { severity: 'error', pods: name ? [name] : [], fix: '', ...fields, key: fields.key || fields.title };
+}
+
+function podEvents(context, pod, reason) {
+  return context.events.filter(
+    (e) => e.involvedObject?.kind === 'Pod' && e.involvedObject?.name === pod.metadata?.name && (!reason || e.reason === reason)
+  );
+}
+
+function diagnoseQueueAdmission(context) {
+  const queue = context.job.metadata?.labels?.[KUEUE_QUEUE_LABEL];
+  if (!queue || context.pods.length || getJobState(context.job) !== 'Suspended') return [];
+  return [
+    diagnosisFinding(context, undefined, {
+      severity: 'warning',
+      title: `Waiting for Kueue to admit the job from queue ${queue}`,
+      detail: 'The job stays suspended, without pods, until its ClusterQueue has quota for it.',
+      fix: `Check the queue with \`kubectl get localqueue ${queue} -n ${context.job.metadata.namespace}\` and the workloads ahead of it.`
+    })
+  ];
+}
+
+function diagnoseUnschedulable(context) {
+  const findings = [];
+  for (const pod of context.pods) {
+    if (pod.status?.phase !== 'Pending') continue;
+    const condition = (pod.status?.conditions || []).find((c) => c.type === 'PodScheduled' && c.status === 'False');
+    const event = podEvents(context, pod, 'FailedScheduling').at(-1);
+    const message = event?.message || (condition?.reason === 'Unschedulable' ? condition.message : undefined);
+    if (!message) continue;
+    const scalingUp = podEvents(context, pod, 'TriggeredScaleUp').length > 0;
+    const requests = podResources(pod.spec || {}).requests;
+    const fixes = [];
+    const causes = [];
+    for (const [, resource] of message.matchAll(/Insufficient ([\w./-]+)/g)) {
+      if (causes.some((c) => c.includes(resource))) continue;
+      const amount = requests[resource];
+      causes.push(`No node has ${amount ? describeResourceAmount(resource, amount) : resource} free for it (${resource}).`);
+      fixes.push(
+        /gpu$|\/mig-/i.test(resource)
+          ? 'Request fewer GPUs per replica (`gpu`, `replicaResources`), check that `gpuResource` names what the nodes offer, or wait for other jobs to finish.'
+          : `Lower the ${resource} request or wait for other workloads to finish.`
+      );
+    }
+    const taint = /untolerated taint\(?s?\)? \{([^}]*)\}/.exec(message);
+    if (taint) {
+      const key = taint[1].split(':')[0].trim();
+      causes.push(`Nodes carry the taint {${taint[1]}} which the pod does not tolerate.`);
+      fixes.push(`Add \`"tolerations": ["${key}"]\` to tolerate it, if the job is meant to run on those nodes.`);
+    }
+    if (/didn't match Pod's node affinity\/selector|node\(s\) didn't match node selector/.test(message)) {
+      causes.push('No node matches its node selector or affinity.');
+      fixes.push('Check `nodeSelector` and `affinity` against the labels of the nodes.');
+    }
+    const claim = /persistentvolumeclaim "([^"]+)" not found/.exec(message)?.[1];
+    if (claim) {
+      causes.push(`The PersistentVolumeClaim ${claim} does not exist.`);
+      fixes.push(`Create ${claim} in the namespace or remove it from \`volumes\`.`);
+    } else if (/unbound immediate PersistentVolumeClaims|volume node affinity conflict/.test(message)) {
+      causes.push('One of its PersistentVolumeClaims is not bound or lives in another zone.');
+      fixes.push('Check the claims with `kubectl get pvc`.');
+    }
+    findings.push(
+      diagnosisFinding(context, pod, {
+        severity: scalingUp ? 'warning' : 'error',
+        key: `unschedulable:${message.replace(/^\d+\/\d+ nodes/, '')}`,
+        title: scalingUp ? 'Pods wait for the cluster autoscaler to add a node' : 'Pods cannot be scheduled',
+        detail: [...causes, `Scheduler: ${message}`].join('\n'),
+        fix: fixes.join(' ') || 'Compare the pod requests with what the nodes have free.'
+      })
+    );
+  }
+  return findings;
+}
+
+function diagnoseImagePull(context) {
+  const findings = [];
+  for (const pod of context.pods) {
+    for (const container of podContainers(pod)) {
+      const waiting = container.state?.waiting;
+      if (!['ErrImagePull', 'ImagePullBackOff', 'InvalidImageName', 'ErrImageNeverPull'].includes(waiting?.reason)) continue;
+      context.explained.add(`${pod.metadata.name}/${container.name}`);
+      const image = container.image || container.spec.image;
+      const failure = podEvents(context, pod, 'Failed').filter((e) => String(e.message).includes(image)).at(-1)?.message || waiting.message || '';
+      let cause = 'The image cannot be pulled.';
+      let fix = 'Check the image name and tag in the template or the wizard.';
+      if (/not found|manifest unknown|does not exist/i.test(failure)) cause = 'The image or its tag does not exist in the registry.';
+      else if (/unauthorized|denied|authentication required|forbidden/i.test(failure)) {
+        cause = 'The registry refused access to the image.';
+        fix = 'For a private registry, add an image pull secret to the namespace\'s service account (`default-editor` in Kubeflow namespaces).';
+      } else if (/timeout|no such host|connection refused|i\/o timeout/i.test(failure)) {
+        cause = 'The nodes cannot reach the registry.';
+        fix = 'Check the registry address, or mirror the image to a registry the cluster can reach.';
+      }
+      findings.push(
+        diagnosisFinding(context, pod, {
+          key: `image:${image}`,
+          title: `Image ${image} cannot be pulled`,
+          detail: [cause, failure].filter(Boolean).join('\n'),
+          fix
+        })
+      );
+    }
+  }
+  return findings;
+}
+
+function diagnoseContainerConfig(context) {
+  const findings = [];
+  for (const pod of context.pods) {
+    for (const container of podContainers(pod)) {
+      const waiting = container.state?.waiting;
+      if (!['CreateContainerConfigError', 'CreateContainerError', 'RunContainerError'].includes(waiting?.reason)) continue;
+      context.explained.add(`${pod.metadata.name}/${container.name}`);
+      const reference = /(secret|configmap) "([^"]+)" not found|couldn't find key (\S+) in (Secret|ConfigMap) [^/\s]+\/(\S+)/i.exec(waiting.message || '');
+      findings.push(
+        diagnosisFinding(context, pod, {
+          key: `config:${container.name}:${waiting.message}`,
+          title: `Container ${container.name} cannot be created`,
+          detail: waiting.message || waiting.reason,
+          fix: reference
+            ? `Create the ${reference[1] || reference[4]} ${reference[2] || reference[5]}${reference[3] ? ` with the key ${reference[3]}` : ''} in the namespace, or fix the reference in \`env\`/\`envFrom\`.`
+            : 'Check the container settings of the job (`Edit Manifest…`) against the message.'
+        })
+      );
+    }
+  }
+  return findings;
+}
+
+function diagnoseEviction(context) {
+  return context.pods
+    .filter((pod) => pod.status?.reason === 'Evicted')
+    .map((pod) =>
+      diagnosisFinding(context, pod, {
+        key: `evicted:${pod.status.message}`,
+        title: 'Pods were evicted from their node',
+        detail: pod.status.message || 'The node ran out of resources.',
+        fix: /ephemeral-storage/.test(pod.status.message || '')
+          ? 'The pods wrote more to their local disk than the node had. Write large outputs to a PVC from `volumes`.'
+          : 'Raise the requests of the job so the scheduler reserves what it uses.'
+      })
+    );
+}
+
+function diagnoseOutOfMemory(context) {
+  const findings = [];
+  for (const pod of context.pods) {
+    for (const container of podContainers(pod)) {
+      if (failedRun(container)?.reason !== 'OOMKilled') continue;
+      context.explained.add(`${pod.metadata.name}/${container.name}`);
+      const limit = container.spec.resources?.limits?.memory;
+      const shm = (pod.spec?.volumes || []).some((v) => v.emptyDir?.medium === 'Memory');
+      findings.push(
+        diagnosisFinding(context, pod, {
+          key: `oom:${container.name}:${limit}`,
+          title: `Container ${container.name} ran out of memory`,
+          detail: `It was killed at its memory limit${limit ? ` of ${limit}` : ''}${container.restartCount ? ` (${container.restartCount} restarts)` : ''}.`,
+          fix:
+            'Raise `mem` (or `replicaResources.<role>.mem`), or lower the batch size or the number of DataLoader workers.' +
+            (shm ? ' The memory-backed /dev/shm (`shmSize`) counts against the same limit.' : '')
+        })
+      );
+    }
+  }
+  return findings;
+}
+
+function diagnoseDependencyInstall(context) {
+  const findings = [];
+  for (const pod of context.pods) {
+    for (const container of podContainers(pod)) {
+      const command = [...(container.spec.command || []), ...(container.spec.args || [])].join(' ');
+      const log = context.logs[`${pod.metadata.name}/${container.name}`];
+      if (!log || !/pip install|apt-get install/.test(command)) continue;
+      const failure = DEPENDENCY_INSTALL_FAILURES.map((f) => ({ ...f, match: f.re.exec(log) })).find((f) => f.match);
+      if (!failure) continue;
+      context.explained.add(`${pod.metadata.name}/${container.name}`);
+      findings.push(
+        diagnosisFinding(context, pod, {
+          key: `deps:${failure.match[0]}`,
+          title: `${failure.title} before the script starts`,
+          detail: failure.match[0].trim(),
+          fix: failure.fix,
+          log: lastLogLines(log)
+        })
+      );
+    }
+  }
+  return findings;
+}
+
+function diagnoseCrash(context) {
+  const findings = [];
+  for (const pod of context.pods) {
+    for (const container of podContainers(pod)) {
+      const run = failedRun(container);
+      const id = `${pod.metadata.name}/${container.name}`;
+      if (!run || context.explained.has(id)) continue;
+      context.explained.add(id);
+      const looping = container.state?.waiting?.reason === 'CrashLoopBackOff';
+      const code = run.exitCode;
+      const log = context.logs[id];
+      const exception = lastPythonException(log);
+      const details = [];
+      if (code !== undefined) details.push(`Exit code ${code}${EXIT_CODE_MEANINGS[code] ? `: ${EXIT_CODE_MEANINGS[code]}` : ''}.`);
+      if (exception) details.push(`Python raised ${exception}`);
+      let fix = 'See the log lines below, or `Open Logs` for the whole output.';
+      if (/^ModuleNotFoundError/.test(exception || '')) {
+        fix = 'Add the missing package to `pip`, or check that the module is inside the packaged source root.';
+      } else if (/CUDA out of memory|OutOfMemoryError/.test(exception || log || '')) {
+        fix = 'The GPU ran out of memory: lower the batch size or the model size per GPU, or spread it over more GPUs.';
+      } else if (container.init) {
+        fix = 'The init container prepares the code before the script starts. For the s3 store, check that the pods can reach the endpoint and the upload has not expired.';
+      }
+      findings.push(
+        diagnosisFinding(context, pod, {
+          key: `crash:${container.name}:${code}:${exception || ''}`,
+          title: looping
+            ? `Container ${container.name} keeps crashing (${container.restartCount} restarts)`
+            : `${container.init ? 'Init container' : 'Container'} ${container.name} failed`,
+          detail: details.join('\n') || run.message || run.reason || '',
+          fix,
+          log: log ? lastLogLines(log) : undefined
+        })
+      );
+    }
+  }
+  return findings;
+}
+
+// Warnings the Training Operator records on the job itself, e.g. pods it may not create.
+function diagnoseJobEvents(context) {
+  return context.events
+    .filter((e) => e.type === 'Warning' && e.involvedObject?.kind === context.job.kind)
+    .map((e) =>
+      diagnosisFinding(context, undefined, {
+        severity: 'warning',
+        key: `event:${e.reason}:${e.message}`,
+        title: `${e.reason} on the job`,
+        detail: e.message || '',
+        fix: /exceeded quota/.test(e.message || '')
+          ? 'The namespace ResourceQuota has no room for the pods. Lower the requests, or delete finished jobs that still hold pods.'
+          : ''
+      })
+    );
+}
+
+// Falls back to the job's own Failed condition when no rule found the reason.
+function diagnoseJobCondition(context) {
+  if (context.findings.some((f) => f.severity === 'error')) return [];
+  const failed = (context.job.status?.conditions || []).find((c) => c.type === 'Failed' && c.status === 'True');
+  if (!failed) return [];
+  return [
+    diagnosisFinding(context, undefined, {
+      title: 'The job failed',
+      detail: [failed.reason, failed.message].filter(Boolean).join(': '),
+      fix: 'The pods may already be gone (cleanPodPolicy). Restart the job with `cleanPodPolicy: "None"` to keep them for inspection.'
+    })
+  ];
+}
+
+// Rows for the describe view.
+function describeJobDiagnostics(snapshot) {
+  const { job, pods, events } = snapshot;
+  const jobKind = getJobKind(job.kind);
+  const replicaSpecs = job.spec?.[jobKind.replicaSpecsKey] || {};
+  const containerState = (c) => {
+    if (c.state?.running) return 'Running';
+    if (c.state?.waiting) return c.state.waiting.reason || 'Waiting';
+    if (c.state?.terminated) return `${c.state.terminated.reason || 'Terminated'} (exit ${c.state.terminated.exitCode})`;
+    return 'Unknown';
+  };
+  return {
+    name: job.metadata?.name,
+    summary: [
+      ['Kind', job.kind],
+      ['Namespace', job.metadata?.namespace],
+      ['State', getJobState(job)],
+      ['Created', job.metadata?.creationTimestamp],
+      ['Duration', formatDuration(getJobDurationMs(job))],
+      ['Queue', job.metadata?.labels?.[KUEUE_QUEUE_LABEL]]
+    ].filter(([, value]) => value),
+    findings: snapshot.findings,
+    conditions: (job.status?.conditions || []).map((c) => ({
+      type: c.type,
+      status: c.status,
+      reason: c.reason || '',
+      message: c.message || '',
+      time: c.lastTransitionTime || ''
+    })),
+    replicas: Object.entries(replicaSpecs).map(([role, spec]) => ({
+      role,
+      desired: spec?.replicas ?? 1,
+      ...Object.fromEntries(['active', 'succeeded', 'failed'].map((k) => [k, job.status?.replicaStatuses?.[role]?.[k] || 0]))
+    })),
+    pods: pods.map((pod) => ({
+      name: pod.metadata?.name,
+      phase: pod.status?.reason || pod.status?.phase || 'Unknown',
+      node: pod.spec?.nodeName || '',
+      containers: podContainers(pod).map((c) => ({
+        name: c.init ? `${c.name} (init)` : c.name,
+        state: containerState(c),
+        restarts: c.restartCount || 0,
+        message: c.state?.waiting?.message || c.state?.terminated?.message || ''
+      }))
+    })),
+    events: events.map((e) => ({
+      time: eventTime(e) || '',
+      type: e.type,
+      object: `${e.involvedObject?.kind}/${shortPodName(e.involvedObject?.name || '', job.metadata?.name || '')}`,
+      reason: e.reason,
+      message: e.message || '',
+      count: e.count || 1
+    }))
+  };
+}
+
+// Per-role overrides (e.g. bigger Worker replicas) fall back to the job-wide resources.
+function withReplicaResources(options, role) {
+  const override = options.replicaResources?.[role];
+  if (!override) return options;
+  return {
+    ...options,
+    gpu: override.gpu !== undefined ? override.gpu : options.gpu,
+    cpu: override.cpu !== undefined ? override.cpu : options.cpu,
+    memory: override.memory !== undefined ? override.memory : options.memory
+  };
+}
+
+// Accepts the template shape `{ "Worker": { "gpu": 2, "cpu": 8, "mem": "32Gi" } }`.
+function normalizeReplicaResources(value) {
+  if (!value || typeof value !== 'object') return undefined;
+  const result = {};
+  for (const [role, r] of Object.entries(value)) {
+    result[role] = {
+      ...(r.gpu !== undefined ? { gpu: Number(r.gpu) } : {}),
+      ...(r.cpu !== undefined ? { cpu: String(r.cpu) } : {}),
+      ...(r.mem !== undefined || r.memory !== undefined ? { memory: String(r.mem || r.memory) } : {})
+    };
+  }
+  return result;
+}
+
+const DNS_LABEL_RE = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/;
+const DNS_SUBDOMAIN_RE = /^[a-z0-9]([-a-z0-9.]*[a-z0-9])?$/;
+const TEMPLATE_FIELDS = [
+  '$schema',
+  'name',
+  'description',
+  'kind',
+  'namespace',
+  'image',
+  'gpu',
+  'cpu',
+  'mem',
+  'memory',
+  'pip',
+  'apt',
+  'autoPVCforPip',
+  'workers',
+  'nprocPerNode',
+  'elasticPolicy',
+  'replicaResources',
+  'ttlSecondsAfterFinished',
+  'cleanPodPolicy',
+  'gpuResource',
+  'nodeSelector',
+  'affinity',
+  'tolerations',
+  'priorityClassName',
+  'queue',
+  'volumes',
+  'shmSize',
+  'args',
+  'env',
+  'envFrom'
+];
+const CPU_QUANTITY_RE = /^(\d+(\.\d+)?|\d+m)$/;
+const MEMORY_QUANTITY_RE = /^\d+(\.\d+)?(Ki|Mi|Gi|Ti|Pi|Ei|k|M|G|T|P|E)$/;
+const ENV_NAME_RE = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+// Label keys and extended resource names: an optional DNS prefix and a name.
+const QUALIFIED_NAME_RE = /^([a-z0-9]([-a-z0-9.]*[a-z0-9])?\/)?[A-Za-z0-9]([-A-Za-z0-9_.]*[A-Za-z0-9])?$/;
+const TOLERATION_EFFECTS = ['NoSchedule', 'PreferNoSchedule', 'NoExecute'];
+// `secret:<name>/<key>` or `configmap:<name>/<key>` in the wizard's env lines.
+const ENV_REFERENCE_RE = /^(secret|configmap):([a-z0-9]([-a-z0-9.]*[a-z0-9])?)\/([-._a-zA-Z0-9]+)$/;
+// A leading backslash keeps a value such as `\secret:name/key` literal (minus the backslash).
+const ENV_REFERENCE_ESCAPE_RE = /^\\+(secret|configmap):/;
+
+// Form fields are strings (checkboxes booleans) so the webview can round-trip them.
+function runOptionsToForm(options, settings) {
+  const kind = options.kind || DEFAULT_JOB_KIND;
+  const workerResources = options.replicaResources?.[getJobKind(kind).workerRole] || {};
+  return {
+    kind,
+    name: `${getJobKind(kind).namePrefix}-${Date.now().toString().slice(-6)}`,
+    image: options.image || settings.defaultImage,
+    namespace: options.namespace || settings.defaultNamespace,
+    gpu: String(options.gpu ?? 1),
+    cpu: String(options.cpu ?? '2'),
+    memory: String(options.memory ?? '16Gi'),
+    workers: String(options.workers ?? 0),
+    nprocPerNode: options.nprocPerNode !== undefined ? String(options.nprocPerNode) : '',
+    elastic: Boolean(options.elasticPolicy),
+    minReplicas: String(options.elasticPolicy?.minReplicas ?? 1),
+    maxReplicas: String(options.elasticPolicy?.maxReplicas ?? Math.max(1, Number(options.workers) || 1)),
+    rdzvBackend: options.elasticPolicy?.rdzvBackend || 'c10d',
+    workerGpu: workerResources.gpu !== undefined ? String(workerResources.gpu) : '',
+    workerCpu: workerResources.cpu !== undefined ? String(workerResources.cpu) : '',
+    workerMemory: workerResources.memory || '',
+    ttlSecondsAfterFinished: String(options.ttlSecondsAfterFinished ?? settings.jobTtlSecondsAfterFinished ?? ''),
+    cleanPodPolicy: options.cleanPodPolicy ?? settings.jobCleanPodPolicy ?? '',
+    gpuResource: options.gpuResource || settings.gpuResourceName,
+    nodeSelector: Object.entries(options.nodeSelector || {})
+      .map(([key, value]) => `${key}=${value}`)
+      .join(', '),
+    affinity: options.affinity ? JSON.stringify(options.affinity, null, 2) : '',
+    tolerations: (options.tolerations || []).map(formatToleration).join('\n'),
+    priorityClassName: options.priorityClassName || '',
+    queue: options.queue ?? settings.queueName,
+    volumes: (options.volumes || []).map(formatVolumeMount).join('\n'),
+    shmSize: options.shmSize || '',
+    scriptPath: options.scriptPath || '',
+    args: (options.args || []).map(shellQuote).join(' '),
+    env: (options.env || []).map(formatEnvLine).join('\n'),
+    envFrom: (options.envFrom || [])
+      .map((ref) => (ref.secretRef ? `secret:${ref.secretRef.name}` : `configmap:${ref.configMapRef?.name}`))
+      .join(', '),
+    pip: (options.pip || []).join(', '),
+    apt: (options.apt || []).join(', '),
+    autoPVCforPip: options.autoPVCforPip ?? settings.autoPVCforPip
+  };
+}
+
+// Validates the wizard form and converts it to run options; `errors` maps form
+// fields to messages shown next to them.
+function parseRunForm(form, settings) {
+  const errors = {};
+  const text = (field) => String(form[field] ?? '').trim();
+  const integer = (field, min) => {
+    const value = text(field);
+    if (!/^\d+$/.test(value) || Number(value) < min) errors[field] = `Enter a whole number >= ${min}.`;
+    return Number(value);
+  };
+  const quantity = (field, re, hint, optional) => {
+    const value = text(field);
+    if (!value && optional) return undefined;
+    if (!re.test(value) || Number.parseFloat(value) <= 0) errors[field] = hint;
+    return value;
+  };
+
+  const kind = JOB_KINDS[form.kind] ? form.kind : DEFAULT_JOB_KIND;
+  const jobKind = getJobKind(kind);
+  const name = text('name');
+  if (!DNS_LABEL_RE.test(name) || name.length > 50) {
+    errors.name = 'Lowercase letters, digits and "-", starting and ending with a letter or digit, at most 50 characters.';
+  }
+  const namespace = text('namespace');
+  if (!DNS_LABEL_RE.test(namespace) || namespace.length > 63) errors.namespace = 'Not a valid namespace name.';
+  const image = text('image');
+  if (!image || /\s/.test(image)) errors.image = 'Enter a container image, e.g. pytorch/pytorch:2.1.0-cuda12.1-cudnn8-runtime.';
+
+  const cpuHint = 'CPU cores such as 2, 0.5 or 500m.';
+  const memoryHint = 'Memory with a unit such as 512Mi or 16Gi.';
+  const gpu = integer('gpu', 0);
+  const cpu = quantity('cpu', CPU_QUANTITY_RE, cpuHint);
+  const memory = quantity('memory', MEMORY_QUANTITY_RE, memoryHint);
+  const workers = integer('workers', 0);
+  const nprocPerNode = text('nprocPerNode') ? String(integer('nprocPerNode', 1)) : undefined;
+
+  let elasticPolicy;
+  if (form.elastic && kind === 'PyTorchJob') {
+    const minReplicas = integer('minReplicas', 1);
+    const maxReplicas = integer('maxReplicas', 1);
+    if (!errors.minReplicas && !errors.maxReplicas && maxReplicas < minReplicas) errors.maxReplicas = 'Must be >= min replicas.';
+    else if (!errors.workers && workers > 0 && (workers < minReplicas || workers > maxReplicas)) {
+      errors.workers = `An elastic job starts with ${minReplicas} to ${maxReplicas} workers.`;
+    }
+    elasticPolicy = { minReplicas, maxReplicas, rdzvBackend: text('rdzvBackend') || 'c10d' };
+  }
+
+  let replicaResources;
+  if (workers > 0 && (text('workerGpu') || text('workerCpu') || text('workerMemory'))) {
+    replicaResources = {
+      [jobKind.workerRole]: {
+        ...(text('workerGpu') ? { gpu: integer('workerGpu', 0) } : {}),
+        ...(text('workerCpu') ? { cpu: quantity('workerCpu', CPU_QUANTITY_RE, cpuHint) } : {}),
+        ...(text('workerMemory') ? { memory: quantity('workerMemory', MEMORY_QUANTITY_RE, memoryHint) } : {})
+      }
+    };
+  }
+
+  const ttlSecondsAfterFinished = text('ttlSecondsAfterFinished') ? integer('ttlSecondsAfterFinished', 0) : undefined;
+  const cleanPodPolicy = CLEAN_POD_POLICIES.includes(form.cleanPodPolicy) ? form.cleanPodPolicy : undefined;
+
+  const gpuResource = text('gpuResource') || settings.gpuResourceName;
+  if (!QUALIFIED_NAME_RE.test(gpuResource)) errors.gpuResource = 'A resource name such as nvidia.com/gpu or amd.com/gpu.';
+  const nodeSelector = {};
+  for (const pair of splitCsv(form.nodeSelector || '')) {
+    const eq = pair.indexOf('=');
+    const key = pair.slice(0, eq).trim();
+    if (eq <= 0 || !QUALIFIED_NAME_RE.test(key)) errors.nodeSelector = `Invalid entry "${pair}", expected label=value.`;
+    else nodeSelector[key] = pair.slice(eq + 1).trim();
+  }
+  let affinity;
+  if (text('affinity')) {
+    try {
+      affinity = JSON.parse(text('affinity'));
+      if (!affinity || typeof affinity !== 'object' || Array.isArray(affinity)) throw new Error('not an object');
+    } catch {
+      errors.affinity = 'Enter a pod affinity object as JSON, e.g. { "nodeAffinity": { ... } }.';
+    }
+  }
+  const parseLines = (field, parse) =>
+    String(form[field] || '')
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .flatMap((line) => {
+        try {
+          return [parse(line)];
+        } catch (e) {
+          errors[field] = e.message;
+          return [];
+        }
+      });
+  const tolerations = parseLines('tolerations', parseToleration);
+  const volumes = parseLines('volumes', parseVolumeMount);
+  const priorityClassName = text('priorityClassName') || undefined;
+  if (priorityClassName && !DNS_SUBDOMAIN_RE.test(priorityClassName)) errors.priorityClassName = 'Not a valid PriorityClass name.';
+  const queue = text('queue') || undefined;
+  if (queue && !DNS_SUBDOMAIN_RE.test(queue)) errors.queue = 'Not a valid LocalQueue name.';
+  const shmSize = quantity('shmSize', MEMORY_QUANTITY_RE, memoryHint, true);
+
+  const scriptPath = text('scriptPath');
+  if (!scriptPath) errors.scriptPath = 'Select the Python script to run.';
+  let args = [];
+  try {
+    args = splitShellWords(text('args'));
+  } catch (e) {
+    errors.args = e.message;
+  }
+  const env = [];
+  String(form.env || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .forEach((line) => {
+      const eq = line.indexOf('=');
+      const envName = eq > 0 ? line.slice(0, eq).trim() : line;
+      if (eq <= 0 || !ENV_NAME_RE.test(envName)) errors.env = `Invalid line "${line}", expected NAME=value.`;
+      else env.push(parseEnvLineValue(envName, line.slice(eq + 1)));
+    });
+  const envFrom = [];
+  for (const ref of splitCsv(form.envFrom || '')) {
+    const match = /^(secret|configmap):([a-z0-9]([-a-z0-9.]*[a-z0-9])?)$/.exec(ref);
+    if (!match) errors.envFrom = `Invalid entry "${ref}", expected secret:<name> or configmap:<name>.`;
+    else envFrom.push(match[1] === 'secret' ? { secretRef: { name: match[2] } } : { configMapRef: { name: match[2] } });
+  }
+
+  return {
+    errors,
+    options: {
+      kind,
+      name,
+      namespace,
+      image,
+      gpu,
+      cpu,
+      memory,
+      scriptPath,
+      args,
+      env,
+      envFrom,
+      pip: splitCsv(form.pip || ''),
+      apt: splitCsv(form.apt || ''),
+      autoPVCforPip: Boolean(form.autoPVCforPip),
+      workers,
+      nprocPerNode,
+      elasticPolicy,
+      replicaResources,
+      ttlSecondsAfterFinished,
+      cleanPodPolicy,
+      gpuResource,
+      nodeSelector: Object.keys(nodeSelector).length ? nodeSelector : undefined,
+      affinity,
+      tolerations,
+      priorityClassName,
+      queue,
+      volumes,
+      shmSize
+    }
+  };
+}
+
+function envSourceQuickPickItem(source) {
+  return {
+    label: `${source.kind === 'secret' ? '$(lock)' : '$(symbol-key)'} ${source.name}`,
+    description: `${source.kind === 'secret' ? 'Secret' : 'ConfigMap'} · ${source.keys.length} keys`,
+    source
+  };
+}
+
+// Template shape understood by runFromTemplate (`mem`, `env` as an object).
+function runOptionsToTemplate(name, options) {
+  const template = {
+    name,
+    kind: options.kind,
+    namespace: options.namespace,
+    image: options.image,
+    gpu: options.gpu,
+    cpu: options.cpu,
+    mem: options.memory,
+    pip: options.pip,
+    apt: options.apt,
+    autoPVCforPip: options.autoPVCforPip
+  };
+  if (options.workers) template.workers = options.workers;
+  if (options.nprocPerNode) template.nprocPerNode = options.nprocPerNode;
+  if (options.elasticPolicy) template.elasticPolicy = options.elasticPolicy;
+  if (options.replicaResources) {
+    template.replicaResources = Object.fromEntries(
+      Object.entries(options.replicaResources).map(([role, r]) => [
+        role,
+        { ...(r.gpu !== undefined ? { gpu: r.gpu } : {}), ...(r.cpu ? { cpu: r.cpu } : {}), ...(r.memory ? { mem: r.memory } : {}) }
+      ])
+    );
+  }
+  if (options.ttlSecondsAfterFinished !== undefined) template.ttlSecondsAfterFinished = options.ttlSecondsAfterFinished;
+  if (options.cleanPodPolicy) template.cleanPodPolicy = options.cleanPodPolicy;
+  if (options.gpuResource) template.gpuResource = options.gpuResource;
+  if (options.nodeSelector) template.nodeSelector = options.nodeSelector;
+  if (options.affinity) template.affinity = options.affinity;
+  if (options.tolerations?.length) template.tolerations = options.tolerations;
+  if (options.priorityClassName) template.priorityClassName = options.priorityClassName;
+  if (options.queue) template.queue = options.queue;
+  if (options.volumes?.length) template.volumes = options.volumes;
+  if (options.shmSize) template.shmSize = options.shmSize;
+  if (options.args?.length) template.args = options.args;
+  if (options.env?.length) {
+    template.env = Object.fromEntries(
+      options.env.map((e) => {
+        const secret = e.valueFrom?.secretKeyRef;
+        const configMap = e.valueFrom?.configMapKeyRef;
+        if (secret) return [e.name, { secret: secret.name, key: secret.key }];
+        if (configMap) return [e.name, { configMap: configMap.name, key: configMap.key }];
+        return [e.name, e.value];
+      })
+    );
+  }
+  if (options.envFrom?.length) {
+    template.envFrom = options.envFrom.map((ref) =>
+      ref.secretRef ? { secret: ref.secretRef.name } : { configMap: ref.configMapRef.name }
+    );
+  }
+  return template;
+}
+
+// Accepts the template shape `{ "KEY": "value", "TOKEN": { "secret": "name", "key": "k" },
+// "CFG": { "configMap": "name", "key": "k" } }`; a raw `valueFrom` is passed through.
+function normalizeEnv(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return [];
+  return Object.entries(value).map(([name, v]) => {
+    if (!v || typeof v !== 'object') return { name, value: String(v ?? '') };
+    if (v.valueFrom) return { name, valueFrom: v.valueFrom };
+    if (v.secret) return { name, valueFrom: { secretKeyRef: { name: v.secret, key: v.key || name } } };
+    if (v.configMap) return { name, valueFrom: { configMapKeyRef: { name: v.configMap, key: v.key || name } } };
+    throw new Error(`Unsupported value for env ${name}: use a string, { "secret", "key" } or { "configMap", "key" }.`);
+  });
+}
+
+// Accepts `[{ "secret": "name" }, { "configMap": "name" }]` (or the Kubernetes envFrom shape).
+function normalizeEnvFrom(value) {
+  if (!Array.isArray(value)) return [];
+  return value.map((ref) => {
+    if (ref.secretRef || ref.configMapRef) return ref;
+    if (ref.secret) return { secretRef: { name: ref.secret } };
+    if (ref.configMap) return { configMapRef: { name: ref.configMap } };
+    throw new Error('envFrom entries need a "secret" or "configMap" name.');
+  });
+}
+
+// kubectl taint syntax: `key=value:Effect`, `key:Effect`, `key` (any value and effect)
+// or `*` (every taint).
+function parseToleration(text) {
+  if (text.trim() === '*') return { operator: 'Exists' };
+  const match = /^([^=:\s]+)(?:=([^:\s]*))?(?::(\w+))?$/.exec(text.trim());
+  if (!match || !QUALIFIED_NAME_RE.test(match[1]) || (match[3] && !TOLERATION_EFFECTS.includes(match[3]))) {
+    throw new Error(`Invalid toleration "${text}", expected key=value:Effect, key:Effect or key (${TOLERATION_EFFECTS.join(', ')}).`);
+  }
+  return {
+    key: match[1],
+    operator: match[2] !== undefined ? 'Equal' : 'Exists',
+    ...(match[2] !== undefined ? { value: match[2] } : {}),
+    ...(match[3] ? { effect: match[3] } : {})
+  };
+}
+
+function formatToleration(toleration) {
+  if (!toleration.key) return '*';
+  const value = toleration.operator === 'Exists' || toleration.value === undefined ? '' : `=${toleration.value}`;
+  return `${toleration.key}${value}${toleration.effect ? `:${toleration.effect}` : ''}`;
+}
+
+// Templates take tolerations as in a pod spec or in the wizard's `key=value:Effect` form.
+function normalizeTolerations(value) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) throw new Error('tolerations must be a list.');
+  return value.map((toleration) => {
+    if (typeof toleration === 'string') return parseToleration(toleration);
+    const valid =
+      toleration &&
+      typeof toleration === 'object' &&
+      (toleration.operator === undefined || ['Equal', 'Exists'].includes(toleration.operator)) &&
+      (toleration.effect === undefined || TOLERATION_EFFECTS.includes(toleration.effect));
+    if (!valid) throw new Error(`tolerations entries need a valid operator (Equal, Exists) and effect (${TOLERATION_EFFECTS.join(', ')}).`);
+    return toleration;
+  });
+}
+
+// `claim:/mount/path`, with `:ro` appended for a read-only mount.
+// `<claim>[/<subPath>]:/mount/path[:ro]`; claim names cannot contain "/", so the first
+// one starts the subPath.
+function parseVolumeMount(text) {
+  const match = /^([a-z0-9]([-a-z0-9.]*[a-z0-9])?)(\/[^:/][^:]*)?:(\/[^:]*)(:ro)?$/.exec(text.trim());
+  if (!match) throw new Error(`Invalid volume "${text}", expected <claim>[/<subPath>]:/mount/path, with :ro for read-only.`);
+  return {
+    claim: match[1],
+    mountPath: match[4],
+    ...(match[5] ? { readOnly: true } : {}),
+    ...(match[3] ? { subPath: match[3].slice(1) } : {})
+  };
+}
+
+function formatVolumeMount(volume) {
+  return `${volume.claim}${volume.subPath ? `/${volume.subPath}` : ''}:${volume.mountPath}${volume.readOnly ? ':ro' : ''}`;
+}
+
+// Existing PVCs to mount: `{ "claim": "imagenet", "mountPath": "/data", "readOnly": true,
+// "subPath": "train" }` or the wizard's "imagenet/train:/data:ro".
+function normalizeVolumes(value) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) throw new Error('volumes must be a list.');
+  return value.map((volume) => {
+    if (typeof volume === 'string') return parseVolumeMount(volume);
+    if (!volume || !DNS_SUBDOMAIN_RE.test(String(volume.claim)) || !String(volume.mountPath || '').startsWith('/')) {
+      throw new Error('volumes entries need a PVC "claim" and an absolute "mountPath".');
+    }
+    return {
+      claim: volume.claim,
+      mountPath: volume.mountPath,
+      ...(volume.readOnly ? { readOnly: true } : {}),
+      ...(volume.subPath ? { subPath: String(volume.subPath) } : {})
+    };
+  });
+}
+
+function parseEnvLineValue(name, value) {
+  if (ENV_REFERENCE_ESCAPE_RE.test(value)) return { name, value: value.slice(1) };
+  const match = ENV_REFERENCE_RE.exec(value.trim());
+  if (!match) return { name, value };
+  const ref = { name: match[2], key: match[4] };
+  return { name, valueFrom: match[1] === 'secret' ? { secretKeyRef: ref } : { configMapKeyRef: ref } };
+}
+
+function formatEnvLine(e) {
+  const secret = e.valueFrom?.secretKeyRef;
+  const configMap = e.valueFrom?.configMapKeyRef;
+  if (secret) return `${e.name}=secret:${secret.name}/${secret.key}`;
+  if (configMap) return `${e.name}=configmap:${configMap.name}/${configMap.key}`;
+  const value = e.value ?? '';
+  const escape = ENV_REFERENCE_ESCAPE_RE.test(value) || ENV_REFERENCE_RE.test(value.trim()) ? '\\' : '';
+  return `${e.name}=${escape}${value}`;
+}
+
+// Stand-in for the artifact of the selected store, which only exists after upload.
+function previewArtifactReference(settings) {
+  switch (settings.artifactStore) {
+    case 's3':
+      return { store: 's3', url: '<presigned download URL, created on submit>' };
+    case 'pvc':
+      return { store: 'pvc', claimName: settings.codePVCname, key: '<content-hash>.tar.gz' };
+    default:
+      return { store: 'configmap', configMapName: 'kflow-<content-hash>-artifact' };
+  }
+}
+
+// Splits a command line like a POSIX shell does for quoting (no expansion).
+function splitShellWords(line) {
+  const words = [];
+  let current;
+  let quote;
+  for (let i = 0; i < line.length; i += 1) {
+    const c = line[i];
+    if (quote) {
+      if (c === quote) quote = undefined;
+      else if (c === '\\' && quote === '"' && i + 1 < line.length) current += line[++i];
+      else current += c;
+    } else if (c === "'" || c === '"') {
+      quote = c;
+      current = current || '';
+    } else if (c === '\\' && i + 1 < line.length) {
+      current = (current || '') + line[++i];
+    } else if (/\s/.test(c)) {
+      if (current !== undefined) words.push(current);
+      current = undefined;
+    } else {
+      current = (current || '') + c;
+    }
+  }
+  if (quote) throw new Error(`Unterminated ${quote} quote.`);
+  if (current !== undefined) words.push(current);
+  return words;
+}
+
+function restartJobName(name) {
+  return `${name.replace(/-restart-\d{4}$/, '')}-restart-${Date.now().toString().slice(-4)}`;
+}
+
+function jobCollectionPath(kind) {
+  return `/apis/${JOB_API_GROUP}/${JOB_API_VERSION}/namespaces/{namespace}/${getJobKind(kind).plural}`;
+}
+
+// The most recent condition that is currently true, e.g. Running or Failed.
+// conditions[0] is usually the stale `Created`.
+function getJobState(job) {
+  const active = (job.status?.conditions || [])
+    .filter((c) => c.status === 'True')
+    .sort((a, b) => String(b.lastTransitionTime || '').localeCompare(String(a.lastTransitionTime || '')));
+  return active[0]?.type || 'Pending';
+}
+
+function isTerminalJobState(state) {
+  return state === 'Succeeded' || state === 'Failed';
+}
+
+function getJobDurationMs(job) {
+  const start = Date.parse(job.status?.startTime || job.metadata?.creationTimestamp || '');
+  if (!Number.isFinite(start)) return undefined;
+  const finished = (job.status?.conditions || []).find((c) => isTerminalJobState(c.type) && c.status === 'True');
+  const end = Date.parse(job.status?.completionTime || finished?.lastTransitionTime || '') || Date.now();
+  return Math.max(0, end - start);
+}
+
+function formatDuration(ms) {
+  if (ms === undefined) return '';
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function jobStateIcon(state) {
+  switch (state) {
+    case 'Running':
+      return new vscode.ThemeIcon('sync~spin', new vscode.ThemeColor('charts.blue'));
+    case 'Succeeded':
+      return new vscode.ThemeIcon('pass', new vscode.ThemeColor('testing.iconPassed'));
+    case 'Failed':
+      return new vscode.ThemeIcon('error', new vscode.ThemeColor('testing.iconFailed'));
+    case 'Restarting':
+      return new vscode.ThemeIcon('debug-restart', new vscode.ThemeColor('charts.yellow'));
+    case 'Suspended':
+      return new vscode.ThemeIcon('debug-pause');
+    default:
+      return new vscode.ThemeIcon('clock');
+  }
+}
+
+// Mirrors what the Kubeflow notebooks UI shows: stopped by annotation, ready, or
+// the waiting reason of the notebook container.
+function getNotebookState(notebook) {
+  if (notebook.metadata?.annotations?.[NOTEBOOK_STOPPED_ANNOTATION] !== undefined) return 'Stopped';
+  if ((notebook.status?.readyReplicas || 0) > 0) return 'Running';
+  return notebook.status?.containerState?.waiting?.reason || 'Pending';
+}
+
+function eventTime(event) {
+  return event.lastTimestamp || event.eventTime || event.metadata?.creationTimestamp;
+}
+
+// Drops server-populated fields so a fetched or previously submitted object can be created again.
+function toResubmittableManifest(object) {
+  const manifest = JSON.parse(JSON.stringify(object));
+  delete manifest.status;
+  if (manifest.metadata) {
+    for (const field of ['resourceVersion', 'uid', 'creationTimestamp', 'generation', 'managedFields', 'selfLink']) {
+      delete manifest.metadata[field];
+    }
+    if (manifest.metadata.annotations) {
+      delete manifest.metadata.annotations['kubectl.kubernetes.io/last-applied-configuration'];
+    }
+  }
+  return manifest;
+}
+
+// Minimal shape check for hand-edited manifests; the API server does the rest.
+function validateJobManifest(manifest) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) return ['the document must be a mapping'];
+  const problems = [];
+  const apiVersion = `${JOB_API_GROUP}/${JOB_API_VERSION}`;
+  if (manifest.apiVersion !== apiVersion) problems.push(`apiVersion must be ${apiVersion}`);
+  const jobKind = JOB_KINDS[manifest.kind];
+  if (!jobKind) problems.push(`kind must be one of ${Object.keys(JOB_KINDS).join(', ')}`);
+  if (typeof manifest.metadata?.name !== 'string' || !DNS_LABEL_RE.test(manifest.metadata.name)) {
+    problems.push('metadata.name must be a lowercase DNS label');
+  }
+  if (typeof manifest.metadata?.namespace !== 'string' || !DNS_LABEL_RE.test(manifest.metadata.namespace)) {
+    problems.push('metadata.namespace must be set');
+  }
+  if (jobKind) {
+    const replicaSpecs = manifest.spec?.[jobKind.replicaSpecsKey];
+    if (!replicaSpecs || typeof replicaSpecs !== 'object' || !Object.keys(replicaSpecs).length) {
+      problems.push(`spec.${jobKind.replicaSpecsKey} needs at least one replica type`);
+    } else {
+      for (const [role, replica] of Object.entries(replicaSpecs)) {
+        const containers = replica?.template?.spec?.containers;
+        if (!Array.isArray(containers) || !containers.length || containers.some((c) => !c?.name || !c?.image)) {
+          problems.push(`${role} needs containers with a name and an image`);
+        }
+      }
+    }
+  }
+  return problems;
+}
+
+// Prefers the operator's default container (pytorch, tensorflow, ...) over sidecars.
+function pickJobContainer(pod) {
+  const containers = pod?.spec?.containers || [];
+  const known = Object.values(JOB_KINDS).map((k) => k.containerName);
+  return (containers.find((c) => known.includes(c.name)) || containers[0])?.name;
+}
+
+function splitCsv(value) {
+  return String(value)
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// Packages the whole workspace folder that holds the script so sibling modules and
+// packages resolve in the pod; falls back to the script's directory outside a workspace.
+function resolveSourceRoot(scriptPath) {
+  const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(scriptPath));
+  return folder ? folder.uri.fsPath : path.dirname(scriptPath);
+}
+
+function shellQuote(value) {
+  const text = String(value);
+  if (/^[\w@%+=:,./-]+$/.test(text)) return text;
+  return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+// Translates one .gitignore line into a matcher scoped to the directory that holds
+// the ignore file. Returns undefined for blank lines and comments.
+function compileIgnorePattern(line, baseDir) {
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return undefined;
+  const negate = pattern.startsWith('!');
+  if (negate) pattern = pattern.slice(1);
+  pattern = pattern.replace(/^\\([#!])/, '$1');
+  const dirOnly = pattern.endsWith('/');
+  if (dirOnly) pattern = pattern.replace(/\/+$/, '');
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+  if (!pattern) return undefined;
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      const slashAfter = pattern[i + 2] === '/';
+      source += slashAfter ? '(?:.*/)?' : '.*';
+      i += slashAfter ? 2 : 1;
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else if (c === '[') {
+      const close = pattern.indexOf(']', i + 1);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = close;
+      }
+    } else if (c === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += c.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+
+  return {
+    baseDir,
+    negate,
+    dirOnly,
+    regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`)
+  };
+}
+
+// Last matching rule wins, as in git. Ignored directories are never descended into,
+// so files below them cannot be re-included.
+function isIgnoredPath(rules, relPath, isDir) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDir) continue;
+    let candidate = relPath;
+    if (rule.baseDir) {
+      if (!relPath.startsWith(`${rule.baseDir}/`)) continue;
+      candidate = relPath.slice(rule.baseDir.length + 1);
+    }
+    if (rule.regex.test(candidate)) ignored = !rule.negate;
+  }
+  return ignored;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+// '500m' → 0.5, '16Gi' → 17179869184; numbers pass through.
+function parseQuantity(quantity) {
+  if (typeof quantity === 'number') return quantity;
+  const match = /^([+-]?[\d.]+(?:[eE][+-]?\d+)?)([a-zA-Z]*)$/.exec(String(quantity).trim());
+  if (!match) return 0;
+  return Number(match[1]) * (QUANTITY_MULTIPLIERS[match[2]] ?? 1);
+}
+
+// "4 GPUs", "2.5 CPU", "16.0 GB of memory", "3 pods".
+function describeResourceAmount(resource, amount) {
+  const value = Number(amount.toFixed(3));
+  if (resource === 'memory' || resource.endsWith('storage')) return `${formatBytes(amount)} of ${resource}`;
+  if (resource === 'cpu') return `${value} CPU`;
+  if (/gpu$|\/mig-/i.test(resource)) return `${value} GPU${value === 1 ? '' : 's'}`;
+  if (resource === 'pods') return `${value} pod${value === 1 ? '' : 's'}`;
+  if (resource.startsWith('count/')) return `${value} ${resource.slice('count/'.length).split('.')[0]}`;
+  return `${value} ${resource}`;
+}
+
+function describeLargestFiles(files, count = 5) {
+  return [...files]
+    .sort((a, b) => b.size - a.size)
+    .slice(0, count)
+    .map((f) => `${f.relPath} (${formatBytes(f.size)})`)
+    .join(', ');
+}
+
+function isNotFoundError(e) {
+  return e instanceof NotFoundError;
+}
+
+function isAlreadyExistsError(e) {
+  return e instanceof ConflictError && e.reason === 'AlreadyExists';
+}
+
+// AWS Signature V4 query-string presigning; works for any S3-compatible store (MinIO included).
+// Path-style addressing is used because MinIO installs rarely have wildcard DNS.
+function presignS3Url({ endpoint, region, bucket, key, accessKeyId, secretAccessKey, method, expiresIn }) {
+  const url = new URL(endpoint.replace(/\/$/, ''));
+  const encode = (v) => encodeURIComponent(v).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  const basePath = url.pathname.replace(/\/$/, '');
+  // Path-style; without a bucket the endpoint is the bucket's own (virtual-hosted) host.
+  const canonicalUri = `${basePath}/${[...(bucket ? [bucket] : []), ...key.split('/')].map(encode).join('/')}`;
+
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const query = {
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${accessKeyId}/${scope}`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(expiresIn),
+    'X-Amz-SignedHeaders': 'host'
+  };
+  const canonicalQuery = Object.keys(query)
+    .sort()
+    .map((k) => `${encode(k)}=${encode(query[k])}`)
+    .join('&');
+  const canonicalRequest = [method, canonicalUri, canonicalQuery, `host:${url.host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+
+  const hmac = (k, v) => crypto.createHmac('sha256', k).update(v).digest();
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+  ].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `${url.origin}${canonicalUri}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+}
+
+// Maps a path from a pod traceback (under CODE_MOUNT_PATH) back to the workspace.
+async function openPodSourceLocation(podPath, line) {
+  const relative = podPath.startsWith(`${CODE_MOUNT_PATH}/`) ? podPath.slice(CODE_MOUNT_PATH.length + 1) : undefined;
+  if (!relative) {
+    vscode.window.showWarningMessage(`${podPath} is not part of the uploaded code.`);
+    return;
+  }
+
+  let target;
+  for (const folder of vscode.workspace.workspaceFolders || []) {
+    const candidate = path.join(folder.uri.fsPath, ...relative.split('/'));
+    if (await fs.stat(candidate).then(() => true, () => false)) {
+      target = vscode.Uri.file(candidate);
+      break;
+    }
+  }
+  if (!target) {
+    [target] = await vscode.workspace.findFiles(`**/${relative}`, '**/node_modules/**', 1);
+  }
+  if (!target) {
+    vscode.window.showWarningMessage(`Cannot find ${relative} in the workspace.`);
+    return;
+  }
+
+  const position = new vscode.Position(Math.max(0, line - 1), 0);
+  await vscode.window.showTextDocument(target, { selection: new vscode.Range(position, position), preview: false });
+}
+
+// Shared shell for webviews: loads media/<name>.js and media/<name>.css under a nonce-based CSP.
+function renderWebviewHtml(webview, extensionUri, name, title) {
+  const nonce = crypto.randomBytes(16).toString('base64');
+  const script = webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'media', `${name}.js`));
+  const style = webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'media', `${name}.css`));
+  const escapedTitle = String(title).replace(/[&<>"]/g, (c) => `&#${c.charCodeAt(0)};`);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource}; script-src 'nonce-${nonce}';">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <link href="${style}" rel="stylesheet">
+  <title>${escapedTitle}</title>
+</head>
+<body>
+  <script nonce="${nonce}" src="${script}"></script>
+</body>
+</html>`;
+}
+
+// Replica label for log prefixes, e.g. `master-0` for pod `ptjob-123-master-0`.
+function shortPodName(podName, jobName) {
+  return podName.startsWith(`${jobName}-`) ? podName.slice(jobName.length + 1) : podName;
+}
+
+// The API trims trailing zeros from nanoseconds; pad them so timestamps compare as strings.
+function normalizeLogTimestamp(ts) {
+  const match = /^(.*?)(?:\.(\d+))?Z$/.exec(ts);
+  if (!match) return ts;
+  return `${match[1]}.${(match[2] || '').padEnd(9, '0')}Z`;
+}
+
+function colorizeLogLine(line) {
+  if (line.includes('ERROR') || line.includes('Traceback')) return `[ERROR] ${line}`;
+  if (line.includes('WARN')) return `[WARN] ${line}`;
+  return line;
+}
+
+// Template files, user-level first so workspace templates with the same name win.
+// Unreadable files are reported but do not hide the templates of the others.
+async function loadTemplates() {
+  const settings = getSettings();
+  const files = [
+    { path: expandHome(settings.userTemplatesFile), scope: 'user' },
+    ...(vscode.workspace.workspaceFolders || []).map((folder) => ({
+      path: path.resolve(folder.uri.fsPath, settings.templatesFile),
+      scope: folder.name
+    }))
+  ];
+
+  const byName = new Map();
+  const problems = [];
+  for (const file of files) {
+    let payload;
+    try {
+      payload = JSON.parse(await fs.readFile(file.path, 'utf-8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') problems.push(`${file.path}: ${e.message}`);
+      continue;
+    }
+    const templates = Array.isArray(payload?.templates) ? payload.templates : Array.isArray(payload) ? payload : undefined;
+    if (!templates) {
+      problems.push(`${file.path}: expected { "templates": [...] }`);
+      continue;
+    }
+    templates.forEach((template, index) => {
+      if (!template || typeof template !== 'object' || typeof template.name !== 'string' || !template.name) {
+        problems.push(`${file.path}: template #${index + 1} needs a "name"`);
+        return;
+      }
+      byName.set(template.name, { template, file: file.path, scope: file.scope });
+    });
+  }
+  return { templates: byName, files: files.map((f) => f.path), problems };
+}
+
+async function pickTemplate() {
+  const { templates, files, problems } = await loadTemplates();
+  if (problems.length) vscode.window.showWarningMessage(`Some Kubeflow templates were skipped: ${problems.join('; ')}`);
+  if (templates.size === 0) {
+    throw new Error(`No templates found. Create ${files.join(' or ')}.`);
+  }
+
+  const picked = await vscode.window.showQuickPick(
+    [...templates.values()].map(({ template, scope }) => ({
+      label: template.name,
+      description: [template.extends ? `extends ${template.extends}` : '', scope].filter(Boolean).join(' · '),
+      detail: template.description,
+      name: template.name
+    })),
+    { placeHolder: 'Select Kubeflow template' }
+  );
+  return picked && resolveTemplate(templates, picked.name);
+}
+
+// Applies `extends` chains: objects merge key by key, other values (arrays included)
+// replace the base value.
+function resolveTemplate(templates, name, seen = []) {
+  if (seen.includes(name)) throw new Error(`Template inheritance cycle: ${[...seen, name].join(' → ')}`);
+  const entry = templates.get(name);
+  if (!entry) {
+    throw new Error(seen.length ? `Template "${seen[seen.length - 1]}" extends unknown template "${name}".` : `Unknown template "${name}".`);
+  }
+  const { extends: base, ...own } = entry.template;
+  if (!base) return own;
+  return { ...mergeTemplateValues(resolveTemplate(templates, base, [...seen, name]), own), name: own.name };
+}
+
+function mergeTemplateValues(base, override) {
+  const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = isObject(value) && isObject(base[key]) ? mergeTemplateValues(base[key], value) : value;
+  }
+  return result;
+}
+
+// Asks for every `${name}` / `${name:default}` placeholder once and substitutes it in
+// all string values. A value that is exactly one placeholder keeps the answer's type
+// when it is a number, so `"gpu": "${gpus:1}"` yields a number.
+async function promptTemplateVariables(template) {
+  const variables = new Map();
+  collectTemplateVariables(template, variables);
+  const values = {};
+  for (const [name, defaultValue] of variables) {
+    const value = await vscode.window.showInputBox({
+      prompt: `Template "${template.name}": value for \${${name}}`,
+      value: defaultValue ?? ''
+    });
+    if (value === undefined) return undefined;
+    values[name] = value;
+  }
+  return substituteTemplateVariables(template, values);
+}
+
+function collectTemplateVariables(value, variables) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(TEMPLATE_VARIABLE_RE)) {
+      if (!variables.has(match[1]) || variables.get(match[1]) === undefined) variables.set(match[1], match[2]);
+    }
+  } else if (value && typeof value === 'object') {
+    for (const item of Object.values(value)) collectTemplateVariables(item, variables);
+  }
+}
+
+function substituteTemplateVariables(value, values) {
+  if (typeof value === 'string') {
+    const whole = /^\$\{([A-Za-z_][A-Za-z0-9_]*)(?::[^}]*)?\}$/.exec(value);
+    if (whole && /^\d+$/.test(values[whole[1]])) return Number(values[whole[1]]);
+    return value.replace(TEMPLATE_VARIABLE_RE, (_m, name) => values[name]);
+  }
+  if (Array.isArray(value)) return value.map((item) => substituteTemplateVariables(item, values));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, substituteTemplateVariables(v, values)]));
+  }
+  return value;
+}
+
+// Mirrors schemas/templates.schema.json for resolved templates; returns one message
+// per bad field instead of letting runFromTemplate fall back to defaults.
+function validateTemplate(template) {
+  const problems = [];
+  const wholeNumber = (v, min = 0) => (typeof v === 'number' || typeof v === 'string') && /^\d+$/.test(String(v)) && Number(v) >= min;
+  const quantity = (v, re) => (typeof v === 'number' && v > 0) || (typeof v === 'string' && re.test(v) && Number.parseFloat(v) > 0);
+  const stringList = (v) => Array.isArray(v) && v.every((item) => typeof item === 'string');
+  const check = (field, ok, message) => {
+    if (template[field] !== undefined && !ok(template[field])) problems.push(`${field} ${message}`);
+  };
+
+  for (const field of Object.keys(template)) {
+    if (!TEMPLATE_FIELDS.includes(field)) problems.push(`unknown field "${field}"`);
+  }
+  check('kind', (v) => Boolean(JOB_KINDS[v]), `must be one of ${Object.keys(JOB_KINDS).join(', ')}`);
+  check('namespace', (v) => typeof v === 'string' && DNS_LABEL_RE.test(v), 'must be a valid namespace name');
+  check('image', (v) => typeof v === 'string' && v.trim() !== '' && !/\s/.test(v), 'must be a container image');
+  check('gpu', (v) => wholeNumber(v), 'must be a whole number');
+  check('cpu', (v) => quantity(v, CPU_QUANTITY_RE), 'must be a CPU quantity such as 2 or 500m');
+  for (const field of ['mem', 'memory']) {
+    check(field, (v) => quantity(v, MEMORY_QUANTITY_RE), 'must be a memory quantity with a unit, e.g. 16Gi');
+  }
+  check('pip', stringList, 'must be a list of strings');
+  check('apt', stringList, 'must be a list of strings');
+  check('autoPVCforPip', (v) => typeof v === 'boolean', 'must be true or false');
+  check('workers', (v) => wholeNumber(v), 'must be a whole number');
+  check('nprocPerNode', (v) => wholeNumber(v, 1), 'must be a whole number >= 1');
+  check('ttlSecondsAfterFinished', (v) => wholeNumber(v), 'must be a whole number of seconds');
+  check('cleanPodPolicy', (v) => CLEAN_POD_POLICIES.includes(v), `must be one of ${CLEAN_POD_POLICIES.join(', ')}`);
+  check('gpuResource', (v) => typeof v === 'string' && QUALIFIED_NAME_RE.test(v), 'must be a resource name such as nvidia.com/gpu');
+  check(
+    'nodeSelector',
+    (v) => v && typeof v === 'object' && !Array.isArray(v) && Object.entries(v).every(([k, x]) => QUALIFIED_NAME_RE.test(k) && typeof x === 'string'),
+    'must map label keys to string values'
+  );
+  check('affinity', (v) => v && typeof v === 'object' && !Array.isArray(v), 'must be a pod affinity object');
+  check('priorityClassName', (v) => typeof v === 'string' && DNS_SUBDOMAIN_RE.test(v), 'must be a PriorityClass name');
+  check('queue', (v) => typeof v === 'string' && DNS_SUBDOMAIN_RE.test(v), 'must be a Kueue LocalQueue name');
+  check('shmSize', (v) => quantity(v, MEMORY_QUANTITY_RE), 'must be a memory quantity with a unit, e.g. 8Gi');
+  check('args', (v) => Array.isArray(v) && v.every((a) => typeof a === 'string' || typeof a === 'number'), 'must be a list of strings');
+  check(
+    'elasticPolicy',
+    (v) => v && wholeNumber(v.minReplicas, 1) && wholeNumber(v.maxReplicas, 1) && Number(v.maxReplicas) >= Number(v.minReplicas),
+    'needs whole minReplicas/maxReplicas with maxReplicas >= minReplicas'
+  );
+  const elastic = template.elasticPolicy;
+  if (wholeNumber(template.workers, 1) && elastic && wholeNumber(elastic.minReplicas, 1) && wholeNumber(elastic.maxReplicas, 1)) {
+    const workers = Number(template.workers);
+    if (workers < Number(elastic.minReplicas) || workers > Number(elastic.maxReplicas)) {
+      problems.push('workers must be between elasticPolicy.minReplicas and elasticPolicy.maxReplicas');
+    }
+  }
+  if (template.elasticPolicy && template.kind !== undefined && template.kind !== 'PyTorchJob') {
+    problems.push('elasticPolicy is only supported for PyTorchJob');
+  }
+  if (template.replicaResources !== undefined) {
+    if (!template.replicaResources || typeof template.replicaResources !== 'object') {
+      problems.push('replicaResources must be an object of role → { gpu, cpu, mem }');
+    } else {
+      for (const [role, r] of Object.entries(template.replicaResources)) {
+        if (r.gpu !== undefined && !wholeNumber(r.gpu)) problems.push(`replicaResources.${role}.gpu must be a whole number`);
+        if (r.cpu !== undefined && !quantity(r.cpu, CPU_QUANTITY_RE)) problems.push(`replicaResources.${role}.cpu must be a CPU quantity`);
+        const memory = r.mem ?? r.memory;
+        if (memory !== undefined && !quantity(memory, MEMORY_QUANTITY_RE)) {
+          problems.push(`replicaResources.${role}.mem must be a memory quantity with a unit`);
+        }
+      }
+    }
+  }
+  for (const [field, normalize] of [
+    ['env', normalizeEnv],
+    ['envFrom', normalizeEnvFrom],
+    ['tolerations', normalizeTolerations],
+    ['volumes', normalizeVolumes]
+  ]) {
+    try {
+      normalize(template[field]);
+    } catch (e) {
+      problems.push(e.message);
+    }
+  }
+  const unresolved = new Map();
+  collectTemplateVariables(template, unresolved);
+  if (unresolved.size) problems.push(`unresolved variables ${[...unresolved.keys()].map((v) => `\${${v}}`).join(', ')}`);
+  return problems;
+}
+
+function templateToRunOptions(template, scriptPath, settings) {
+  const kind = template.kind || DEFAULT_JOB_KIND;
+  return {
+    kind,
+    name: `${getJobKind(kind).namePrefix}-${Date.now().toString().slice(-6)}`,
+    namespace: template.namespace || settings.defaultNamespace,
+    image: template.image || settings.defaultImage,
+    gpu: template.gpu !== undefined ? Number(template.gpu) : 1,
+    cpu: String(template.cpu ?? '2'),
+    memory: String(template.mem ?? template.memory ?? '16Gi'),
+    scriptPath,
+    pip: template.pip || [],
+    apt: template.apt || [],
+    autoPVCforPip: template.autoPVCforPip !== undefined ? template.autoPVCforPip : settings.autoPVCforPip,
+    workers: template.workers !== undefined ? Number(template.workers) : 0,
+    nprocPerNode: template.nprocPerNode !== undefined ? String(template.nprocPerNode) : undefined,
+    elasticPolicy: template.elasticPolicy && {
+      ...template.elasticPolicy,
+      minReplicas: Number(template.elasticPolicy.minReplicas),
+      maxReplicas: Number(template.elasticPolicy.maxReplicas)
+    },
+    replicaResources: normalizeReplicaResources(template.replicaResources),
+    ttlSecondsAfterFinished:
+      template.ttlSecondsAfterFinished !== undefined
+        ? Number(template.ttlSecondsAfterFinished)
+        : (settings.jobTtlSecondsAfterFinished ?? undefined),
+    cleanPodPolicy: template.cleanPodPolicy || settings.jobCleanPodPolicy || undefined,
+    gpuResource: template.gpuResource || settings.gpuResourceName,
+    nodeSelector: template.nodeSelector,
+    affinity: template.affinity,
+    tolerations: normalizeTolerations(template.tolerations),
+    priorityClassName: template.priorityClassName,
+    queue: template.queue || settings.queueName || undefined,
+    volumes: normalizeVolumes(template.volumes),
+    shmSize: template.shmSize !== undefined ? String(template.shmSize) : undefined,
+    args: (template.args || []).map(String),
+    env: normalizeEnv(template.env),
+    envFrom: normalizeEnvFrom(template.envFrom)
+  };
+}
+
+function expandHome(filePath) {
+  return filePath.startsWith('~') ? path.join(os.homedir(), filePath.slice(1)) : filePath;
+}
+
+// Job spec files (.kflow.yaml / .kflow.json) hold a `jobs` list with the template fields
+// plus `script`, optional `sourceRoot` and `extends`; `defaults` apply to every job.
+function readJobSpec(document) {
+  const { value, lines } = parseJobSpecText(document.getText(), document.fileName);
+  if (!value || typeof value !== 'object' || !Array.isArray(value.jobs)) {
+    throw Object.assign(new Error('Expected a top-level "jobs" list.'), { line: 0 });
+  }
+  const defaults = value.defaults && typeof value.defaults === 'object' ? value.defaults : {};
+  const jobs = value.jobs.map((job, index) => ({
+    index,
+    name: typeof job?.name === 'string' ? job.name : `#${index + 1}`,
+    line: lines.get(`jobs.${index}`) ?? 0,
+    lines,
+    source: mergeTemplateValues(defaults, job && typeof job === 'object' ? job : {})
+  }));
+  return { jobs, lines, unknown: Object.keys(value).filter((key) => !['$schema', 'defaults', 'jobs'].includes(key)) };
+}
+
+// Resolves `extends` against the user/workspace templates and checks the result the
+// same way runFromTemplate does. Returns the run options or the list of problems.
+function resolveJobSpecEntry(entry, specPath, templates, settings) {
+  const problems = [];
+  let job = entry.source;
+  if (job.extends) {
+    try {
+      const { extends: base, ...own } = job;
+      job = mergeTemplateValues(resolveTemplate(templates, base, ['job spec']), own);
+    } catch (e) {
+      return { problems: [`extends ${e.message}`] };
+    }
+  }
+  const { script, sourceRoot, name, ...template } = job;
+  if (typeof name !== 'string' || !DNS_LABEL_RE.test(name) || name.length > 63) {
+    problems.push('name must be a lowercase DNS label (letters, digits and "-")');
+  }
+  if (typeof script !== 'string' || !script) problems.push('script must be the path of the Python entry point');
+  if (sourceRoot !== undefined && typeof sourceRoot !== 'string') problems.push('sourceRoot must be a directory path');
+  problems.push(...validateTemplate(template));
+  if (problems.length) return { problems };
+
+  const specDir = path.dirname(specPath);
+  const scriptPath = path.resolve(specDir, script);
+  const options = {
+    ...templateToRunOptions(template, scriptPath, settings),
+    name,
+    sourceRoot: sourceRoot ? path.resolve(specDir, sourceRoot) : resolveSourceRoot(scriptPath)
+  };
+  return { options, problems };
+}
+
+function parseJobSpecText(text, fileName) {
+  return /\.json$/i.test(fileName) ? parseJsonWithLines(text) : parseYaml(text);
+}
+
+// Problems from validateTemplate start with the field they are about.
+function jobSpecProblemLine(entry, problem) {
+  const field = /^unknown field "([^"]+)"/.exec(problem)?.[1] || problem.split(/[\s.]/)[0];
+  return entry.lines.get(`jobs.${entry.index}.${field}`) ?? entry.line;
+}
+
+// JSON.parse with the 0-based line of every value, keyed by dotted path ('jobs.0.gpu').
+function parseJsonWithLines(text) {
+  const lines = new Map();
+  let pos = 0;
+  let line = 0;
+  const fail = (message) => {
+    throw Object.assign(new Error(`${message} at line ${line + 1}`), { line });
+  };
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      if (text[pos] === '\n') line++;
+      pos++;
+    }
+  };
+  const parseValue = (keyPath) => {
+    skipWhitespace();
+    lines.set(keyPath.join('.'), line);
+    const ch = text[pos];
+    if (ch === '{') {
+      pos++;
+      const result = {};
+      skipWhitespace();
+      if (text[pos] === '}') return pos++, result;
+      for (;;) {
+        skipWhitespace();
+        if (text[pos] !== '"') fail('Expected a property name');
+        const key = parseString();
+        skipWhitespace();
+        if (text[pos++] !== ':') fail('Expected ":"');
+        result[key] = parseValue([...keyPath, key]);
+        skipWhitespace();
+        const next = text[pos++];
+        if (next === '}') return result;
+        if (next !== ',') fail('Expected "," or "}"');
+      }
+    }
+    if (ch === '[') {
+      pos++;
+      const result = [];
+      skipWhitespace();
+      if (text[pos] === ']') return pos++, result;
+      for (;;) {
+        result.push(parseValue([...keyPath, result.length]));
+        skipWhitespace();
+        const next = text[pos++];
+        if (next === ']') return result;
+        if (next !== ',') fail('Expected "," or "]"');
+      }
+    }
+    if (ch === '"') return parseString();
+    const literal = /^(true|false|null|-?\d+(\.\d+)?([eE][+-]?\d+)?)/.exec(text.slice(pos, pos + 64));
+    if (!literal) fail('Unexpected token');
+    pos += literal[0].length;
+    return JSON.parse(literal[0]);
+  };
+  const parseString = () => {
+    const match = /^"(?:[^"\\\n]|\\.)*"/.exec(text.slice(pos));
+    if (!match) fail('Unterminated string');
+    pos += match[0].length;
+    return JSON.parse(match[0]);
+  };
+
+  const value = parseValue([]);
+  skipWhitespace();
+  if (pos < text.length) fail('Unexpected content after the document');
+  return { value, lines };
+}
 
-    const podName = pickedPod.label ? pickedPod.label : pickedPod.metadata?.name;
-    const containerName = items.find((p) => p.metadata?.name === podName)?.spec?.containers?.[0]?.name;
-    const logs = await this.k8sClient.getPodLogs(namespace, podName, containerName);
+// Parses the YAML subset job specs need: block mappings and sequences, one-line flow
+// collections ([a, b], {a: 1}), quoted and plain scalars, |/> block scalars and
+// comments. Anchors, tags and multi-document files are not supported.
+function parseYaml(text) {
+  const rawLines = text.split(/\r?\n/);
+  const entries = [];
+  rawLines.forEach((raw, line) => {
+    const content = stripYamlComment(raw);
+    if (!content.trim() || /^(---|\.\.\.)\s*$/.test(content)) return;
+    if (/^\s*\t/.test(content)) {
+      throw Object.assign(new Error(`Tabs are not allowed for indentation at line ${line + 1}`), { line });
+    }
+    entries.push({ indent: content.length - content.trimStart().length, text: content.trim(), line });
+  });
 
-    outputChannel.clear();
-    outputChannel.show(true);
-    outputChannel.appendLine(`[Kubeflow] Logs for job=${jobName}, pod=${podName}`);
+  const lines = new Map();
+  let pos = 0;
+  const fail = (message, line) => {
+    throw Object.assign(new Error(`${message} at line ${line + 1}`), { line });
+  };
+  const isItem = (t) => t === '-' || t.startsWith('- ');
+  const keyOf = (t) => /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#[\]{},][^:#]*?)\s*:(?:\s+(.*))?$/.exec(t);
 
-    for (const line of logs.split('\n')) {
-      outputChannel.appendLine(colorizeLogLine(line));
+  const parseBlock = (keyPath) => {
+    const entry = entries[pos];
+    return isItem(entry.text) ? parseSequence(entry.indent, keyPath) : parseMapping(entry.indent, keyPath);
+  };
+  // A key with no inline value owns the following deeper lines; YAML also lets a
+  // mapping's sequence value start at the key's own indentation.
+  const parseNested = (parentIndent, keyPath, allowItemsAtParent) => {
+    const next = entries[pos];
+    if (next && (next.indent > parentIndent || (allowItemsAtParent && next.indent === parentIndent && isItem(next.text)))) {
+      return parseBlock(keyPath);
     }
-  }
+    return null;
+  };
+  const parseSequence = (indent, keyPath) => {
+    const result = [];
+    while (pos < entries.length && entries[pos].indent === indent && isItem(entries[pos].text)) {
+      const entry = entries[pos];
+      const itemPath = [...keyPath, result.length];
+      lines.set(itemPath.join('.'), entry.line);
+      const rest = entry.text.slice(1).trimStart();
+      if (!rest) {
+        pos++;
+        result.push(parseNested(indent, itemPath, false));
+      } else if (/^[|>][+-]?$/.test(rest)) {
+        pos++;
+        result.push(readBlockScalar(entry, rest));
+      } else if (keyOf(rest)) {
+        // `- key: value` opens a mapping whose keys are aligned with `key`.
+        entries[pos] = { ...entry, indent: indent + entry.text.length - rest.length, text: rest };
+        result.push(parseMapping(entries[pos].indent, itemPath));
+      } else {
+        pos++;
+        result.push(parseYamlScalar(rest, entry.line));
+      }
+    }
+    return result;
+  };
+  const parseMapping = (indent, keyPath) => {
+    const result = {};
+    while (pos < entries.length && entries[pos].indent === indent && !isItem(entries[pos].text)) {
+      const entry = entries[pos];
+      const match = keyOf(entry.text);
+      if (!match) fail('Expected "key: value"', entry.line);
+      const key = /^["']/.test(match[1]) ? parseYamlScalar(match[1], entry.line) : match[1];
+      const rest = match[2] ?? '';
+      const childPath = [...keyPath, key];
+      lines.set(childPath.join('.'), entry.line);
+      pos++;
+      if (/^[|>][+-]?$/.test(rest)) {
+        result[key] = readBlockScalar(entry, rest);
+      } else {
+        result[key] = rest === '' ? parseNested(indent, childPath, true) : parseYamlScalar(rest, entry.line);
+      }
+    }
+    if (pos < entries.length && entries[pos].indent > indent) fail('Unexpected indentation', entries[pos].line);
+    return result;
+  };
+  const readBlockScalar = (entry, indicator) => {
+    const body = [];
+    let last = entry.line;
+    for (let i = entry.line + 1; i < rawLines.length; i++) {
+      const raw = rawLines[i];
+      if (raw.trim() && raw.length - raw.trimStart().length <= entry.indent) break;
+      body.push(raw);
+      if (raw.trim()) last = i;
+    }
+    while (pos < entries.length && entries[pos].line <= last) pos++;
+    const content = body.slice(0, last - entry.line);
+    const margin = Math.min(...content.filter((l) => l.trim()).map((l) => l.length - l.trimStart().length));
+    const textLines = content.map((l) => l.slice(margin));
+    const joined = textLines.join('\n');
+    const folded = indicator.startsWith('>') ? joined.replace(/([^\n])\n(?=[^\n])/g, '$1 ').replace(/\n(\n+)/g, '$1') : joined;
+    return indicator.endsWith('-') ? folded : `${folded}\n`;
+  };
 
-  async runFromTemplate() {
-    const template = await pickTemplateFromWorkspace();
-    if (!template) return;
+  if (!entries.length) return { value: null, lines };
+  const value = parseBlock([]);
+  if (pos < entries.length) fail('Unexpected content', entries[pos].line);
+  return { value, lines };
+}
 
-    const editor = vscode.window.activeTextEditor;
-    if (!editor || editor.document.languageId !== 'python') {
-      throw new Error('Open a Python file first to run template-based job.');
+function stripYamlComment(line) {
+  let quote;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') i++;
+      else if (ch === quote) quote = undefined;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i).trimEnd();
     }
+  }
+  return line.trimEnd();
+}
 
-    const settings = getSettings();
-    const scriptPath = editor.document.uri.fsPath;
-    const name = `ptjob-${Date.now().toString().slice(-6)}`;
+function parseYamlScalar(text, line) {
+  const fail = (message) => {
+    throw Object.assign(new Error(`${message} at line ${line + 1}`), { line });
+  };
+  let pos = 0;
+  const skip = () => {
+    while (text[pos] === ' ') pos++;
+  };
+  const readValue = (inFlow) => {
+    skip();
+    const ch = text[pos];
+    if (ch === '[' || ch === '{') {
+      const close = ch === '[' ? ']' : '}';
+      const result = ch === '[' ? [] : {};
+      pos++;
+      skip();
+      if (text[pos] === close) return pos++, result;
+      for (;;) {
+        if (close === ']') {
+          result.push(readValue(true));
+        } else {
+          const key = readValue(true);
+          skip();
+          if (text[pos++] !== ':') fail('Expected ":" in flow mapping');
+          result[key] = readValue(true);
+        }
+        skip();
+        const next = text[pos++];
+        if (next === close) return result;
+        if (next !== ',') fail(`Expected "," or "${close}"`);
+      }
+    }
+    if (ch === '"') {
+      const match = /^"(?:[^"\\]|\\.)*"/.exec(text.slice(pos));
+      if (!match) fail('Unterminated string');
+      pos += match[0].length;
+      return JSON.parse(match[0]);
+    }
+    if (ch === "'") {
+      const match = /^'((?:[^']|'')*)'/.exec(text.slice(pos));
+      if (!match) fail('Unterminated string');
+      pos += match[0].length;
+      return match[1].replace(/''/g, "'");
+    }
+    const plain = (inFlow ? /^[^,[\]{}]*?(?=\s*(?:[,\]}]|:\s|:$|$))/ : /^.*$/).exec(text.slice(pos))[0];
+    pos += plain.length;
+    return yamlPlainValue(plain.trim());
+  };
 
-    const options = {
-      name,
-      namespace: template.namespace || settings.defaultNamespace,
-      image: template.image || settings.defaultImage,
-      gpu: Number.isFinite(Number(template.gpu)) ? Number(template.gpu) : 1,
-      cpu: String(template.cpu || '2'),
-      memory: String(template.mem || template.memory || '16Gi'),
-      scriptPath,
-      pip: Array.isArray(template.pip) ? template.pip : [],
-      apt: Array.isArray(template.apt) ? template.apt : [],
-      autoPVCforPip: template.autoPVCforPip !== undefined ? Boolean(template.autoPVCforPip) : settings.autoPVCforPip
-    };
+  const value = readValue(false);
+  skip();
+  if (pos < text.length) fail('Unexpected content after value');
+  return value;
+}
 
-    await this.submitRun(options, settings);
-    return options.name;
+// Block-style YAML as kubectl prints it. Strings are left plain only when parseYaml
+// (and other YAML readers) would read them back unchanged; multi-line strings use `|`.
+function toYaml(value) {
+  return `${renderYaml(value, 0)}\n`;
+}
+
+function renderYaml(value, indent) {
+  const pad = ' '.repeat(indent);
+  const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+  const isNested = (v) => (Array.isArray(v) ? v.length > 0 : isObject(v) && Object.keys(v).length > 0);
+
+  if (Array.isArray(value)) {
+    if (!value.length) return '[]';
+    return value
+      .map((item) => {
+        if (isObject(item) && isNested(item)) return `${pad}- ${renderYaml(item, indent + 2).slice(indent + 2)}`;
+        if (isNested(item)) return `${pad}-\n${renderYaml(item, indent + 2)}`;
+        return `${pad}- ${yamlScalar(item, indent + 2)}`;
+      })
+      .join('\n');
+  }
+  if (isObject(value)) {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    if (!entries.length) return '{}';
+    return entries
+      .map(([key, item]) => {
+        const name = yamlScalar(String(key), indent);
+        if (!isNested(item)) return `${pad}${name}: ${yamlScalar(item, indent + 2)}`;
+        // Lists stay at the key's indentation, like kubectl output.
+        return `${pad}${name}:\n${renderYaml(item, Array.isArray(item) ? indent : indent + 2)}`;
+      })
+      .join('\n');
   }
+  return yamlScalar(value, indent);
+}
 
-  async runFromActivePythonFile() {
-    const editor = vscode.window.activeTextEditor;
-    if (!editor || editor.document.languageId !== 'python') {
-      vscode.window.showErrorMessage('Open a Python file first.');
-      return;
-    }
+function yamlScalar(value, indent) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (Array.isArray(value)) return '[]';
+  if (typeof value === 'object') return '{}';
 
-    const settings = getSettings();
-    const scriptPath = editor.document.uri.fsPath;
-    const defaultName = `ptjob-${Date.now().toString().slice(-6)}`;
+  const text = String(value);
+  if (text.includes('\n') && !/^\s/.test(text) && !/\n\n$/.test(text) && !/[^\S\n]$/m.test(text)) {
+    const pad = ' '.repeat(indent);
+    const body = text.replace(/\n$/, '').split('\n').map((line) => (line ? `${pad}${line}` : ''));
+    return `|${text.endsWith('\n') ? '' : '-'}\n${body.join('\n')}`;
+  }
+  const plain =
+    /^[^\s\-?:,[\]{}#&*!|>'"%@`]/.test(text) || /^[-?:][^\s,[\]{}]/.test(text)
+      ? !/: |:$| #|\s$|[\n\t]/.test(text) && yamlPlainValue(text) === text && !YAML_AMBIGUOUS_RE.test(text)
+      : false;
+  return plain ? text : JSON.stringify(text);
+}
 
-    const name = await vscode.window.showInputBox({ prompt: 'Job name', value: defaultName });
-    if (!name) return;
-    const image = (await vscode.window.showInputBox({ prompt: 'Container image', value: settings.defaultImage })) || settings.defaultImage;
-    const gpu = Number((await vscode.window.showInputBox({ prompt: 'GPU count', value: '1' })) || '1');
-    const cpu = (await vscode.window.showInputBox({ prompt: 'CPU', value: '2' })) || '2';
-    const memory = (await vscode.window.showInputBox({ prompt: 'RAM', value: '16Gi' })) || '16Gi';
-    const namespace = (await vscode.window.showInputBox({ prompt: 'Namespace', value: settings.defaultNamespace })) || settings.defaultNamespace;
-    const pip = splitCsv((await vscode.window.showInputBox({ prompt: 'pip dependencies (comma-separated)', value: '' })) || '');
-    const apt = splitCsv((await vscode.window.showInputBox({ prompt: 'apt dependencies (comma-separated)', value: '' })) || '');
-
-    const options = {
-      name,
-      namespace,
-      image,
-      gpu: Number.isFinite(gpu) ? gpu : 1,
-      cpu,
-      memory,
-      scriptPath,
-      pip,
-      apt,
-      autoPVCforPip: settings.autoPVCforPip
-    };
+function yamlPlainValue(text) {
+  if (/^(null|Null|NULL|~)?$/.test(text)) return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?\d+$/.test(text)) return Number(text);
+  if (/^[-+]?(\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+  return text;
+}
 
-    await this.submitRun(options, settings);
-    vscode.window.showInformationMessage(`Kubeflow job ${name} submitted.`);
+// Uses the notebook clicked in the panel, or asks for one in the default namespace.
+async function pickNotebook(notebookService, item, placeHolder) {
+  if (item?.notebook) return { namespace: item.notebook.metadata.namespace, name: item.notebook.metadata.name };
+  const namespace = getSettings().defaultNamespace;
+  const notebooks = await notebookService.listNotebooks(namespace);
+  const picked = await vscode.window.showQuickPick(
+    notebooks.map((nb) => ({ label: nb.metadata?.name || 'unnamed', description: getNotebookState(nb) })),
+    { placeHolder }
+  );
+  return picked && { namespace, name: picked.label };
+}
+
+// Sets kflow.activeProfile where it is defined: in the workspace when the workspace
+// pins a profile, otherwise for the user.
+async function switchProfile() {
+  const cfg = vscode.workspace.getConfiguration();
+  const profiles = cfg.get('kflow.profiles', {});
+  const active = getSettings().profile;
+  const items = Object.entries(profiles).map(([name, profile]) => ({
+    label: name,
+    description: [name === active ? 'active' : '', profile.url, profile.defaultNamespace].filter(Boolean).join(' · '),
+    profile: name
+  }));
+  if (cfg.inspect('kflow.url')?.globalValue || cfg.inspect('kflow.url')?.workspaceValue) {
+    items.push({ label: 'No profile', description: [!active ? 'active' : '', cfg.get('kflow.url')].filter(Boolean).join(' · '), profile: '' });
   }
+  items.push({ label: '$(gear) Edit Profiles…', edit: true });
 
-  async submitRun(options, settings) {
-    const archive = await this.packager.packageToTarGz(options.scriptPath);
-    const encoded = await this.packager.readBase64(archive);
+  const picked = await vscode.window.showQuickPick(items, {
+    placeHolder: Object.keys(profiles).length ? 'Select the Kubeflow connection profile' : 'No profiles yet: add them to kflow.profiles'
+  });
+  if (!picked) return;
+  if (picked.edit) {
+    await vscode.commands.executeCommand('workbench.action.openSettings', 'kflow.profiles');
+    return;
+  }
+  if (picked.profile === (active || '')) return;
+  const target =
+    cfg.inspect('kflow.activeProfile')?.workspaceValue !== undefined
+      ? vscode.ConfigurationTarget.Workspace
+      : vscode.ConfigurationTarget.Global;
+  await cfg.update('kflow.activeProfile', picked.profile, target);
+}
 
-    const cmName = `${options.name}-artifact`;
-    await this.k8sClient.createCoreObject(
-      options.namespace,
-      'configmaps',
-      this.manifestBuilder.buildArtifactConfigMap(options.namespace, cmName, encoded)
+// The user's Kubeflow namespaces with their role, plus "Other…" for any namespace.
+// Resolves undefined when cancelled.
+async function pickNamespace(k8sClient, { placeHolder, current }) {
+  const namespaces = await vscode.window.withProgress(
+    { location: vscode.ProgressLocation.Window, title: 'Kubeflow: loading namespaces' },
+    () => k8sClient.listKubeflowNamespaces().catch(() => [])
+  );
+  const items = namespaces
+    .sort((a, b) => a.namespace.localeCompare(b.namespace))
+    .map(({ namespace, role }) => ({
+      label: namespace,
+      description: [namespace === current ? 'current' : '', role].filter(Boolean).join(' · ')
+    }));
+  items.push({ label: '$(edit) Other namespace…', other: true });
+  const picked = await vscode.window.showQuickPick(items, {
+    placeHolder: namespaces.length ? placeHolder : `${placeHolder} (no Kubeflow profiles found for your account)`
+  });
+  if (!picked?.other) return picked?.label;
+  return vscode.window.showInputBox({
+    prompt: 'Namespace',
+    value: current,
+    validateInput: (v) => (DNS_LABEL_RE.test(v) ? undefined : 'Not a valid namespace name.')
+  });
+}
+
+// Sets the default namespace of the active connection profile, or kflow.defaultNamespace
+// without one, in the scope (workspace or user) that defines it.
+async function setDefaultNamespace(namespace) {
+  const cfg = vscode.workspace.getConfiguration();
+  const { profile } = getSettings();
+  const key = profile ? 'kflow.profiles' : 'kflow.defaultNamespace';
+  const inspected = cfg.inspect(key);
+  const inWorkspace = inspected?.workspaceValue !== undefined;
+  const target = inWorkspace ? vscode.ConfigurationTarget.Workspace : vscode.ConfigurationTarget.Global;
+  if (!profile) return cfg.update(key, namespace, target);
+  const profiles = (inWorkspace ? inspected.workspaceValue : inspected?.globalValue) || {};
+  return cfg.update(key, { ...profiles, [profile]: { ...profiles[profile], defaultNamespace: namespace } }, target);
+}
+
+// Uses the run clicked in the panel, or asks for one from the history.
+async function pickRun(jobRunService, item, placeHolder) {
+  if (item?.run) return item.run;
+  const picked = await vscode.window.showQuickPick(
+    jobRunService.runHistory.list().map((entry) => ({
+      label: entry.name,
+      description: `${entry.kind} · ${entry.status}`,
+      detail: new Date(entry.submittedAt).toLocaleString(),
+      entry
+    })),
+    { placeHolder }
+  );
+  return picked?.entry;
+}
+
+// Read-only documents for comparing runs: kflow-run:/<id>/<name>.json
+class RunHistoryDocumentProvider {
+  constructor(runHistory) {
+    this.runHistory = runHistory;
+  }
+
+  static uriFor(entry) {
+    return vscode.Uri.from({ scheme: RUN_HISTORY_SCHEME, path: `/${entry.id}/${entry.name}.json` });
+  }
+
+  provideTextDocumentContent(uri) {
+    const entry = this.runHistory.get(uri.path.split('/')[1]);
+    if (!entry) return '// Run no longer in history.';
+    const { id: _id, ...details } = entry;
+    return JSON.stringify(details, null, 2);
+  }
+}
+
+// CodeLenses and diagnostics for job spec files. Diagnostics build every job's manifest
+// with a placeholder artifact, so ManifestBuilder errors surface while editing.
+class JobSpecProvider {
+  constructor(jobRunService) {
+    this.jobRunService = jobRunService;
+    this.diagnostics = vscode.languages.createDiagnosticCollection('kubeflow');
+    this.documents = new Map();
+    this.timers = new Map();
+    this.changeEmitter = new vscode.EventEmitter();
+    this.onDidChange = this.changeEmitter.event;
+  }
+
+  static isJobSpec(document) {
+    return JOB_SPEC_FILE_RE.test(path.basename(document.fileName));
+  }
+
+  provideCodeLenses(document) {
+    let spec;
+    try {
+      spec = readJobSpec(document);
+    } catch {
+      return [];
+    }
+    return spec.jobs.flatMap((entry) => {
+      const range = new vscode.Range(entry.line, 0, entry.line, 0);
+      const args = [document.uri, entry.index];
+      return [
+        new vscode.CodeLens(range, { title: '$(play) Run on Kubeflow', command: 'kubeflow.runJobSpec', arguments: args }),
+        new vscode.CodeLens(range, { title: 'Preview manifest', command: 'kubeflow.previewJobSpec', arguments: args }),
+        new vscode.CodeLens(range, { title: 'Diff against cluster', command: 'kubeflow.diffJobSpec', arguments: args })
+      ];
+    });
+  }
+
+  // Read-only documents for the cluster side of a diff: kflow-spec:/<namespace>/<name>.<side>.yaml
+  provideTextDocumentContent(uri) {
+    return this.documents.get(uri.toString()) ?? '';
+  }
+
+  scheduleValidation(document) {
+    if (!JobSpecProvider.isJobSpec(document)) return;
+    const key = document.uri.toString();
+    clearTimeout(this.timers.get(key));
+    this.timers.set(
+      key,
+      setTimeout(() => {
+        this.timers.delete(key);
+        this.validate(document).catch(() => undefined);
+      }, JOB_SPEC_VALIDATE_DELAY_MS)
     );
+  }
 
-    if (options.autoPVCforPip) {
+  async validate(document) {
+    const diagnostics = [];
+    const add = (line, message, severity = vscode.DiagnosticSeverity.Error) => {
+      const diagnostic = new vscode.Diagnostic(document.lineAt(Math.min(line, document.lineCount - 1)).range, message, severity);
+      diagnostic.source = 'kubeflow';
+      diagnostics.push(diagnostic);
+    };
+
+    let spec;
+    try {
+      spec = readJobSpec(document);
+    } catch (e) {
+      add(e.line ?? 0, e.message);
+      this.diagnostics.set(document.uri, diagnostics);
+      return;
+    }
+    for (const field of spec.unknown) add(spec.lines.get(field) ?? 0, `unknown field "${field}"`, vscode.DiagnosticSeverity.Warning);
+
+    const settings = getSettings();
+    const { templates } = await loadTemplates();
+    const names = new Set();
+    for (const entry of spec.jobs) {
+      const { options, problems } = resolveJobSpecEntry(entry, document.fileName, templates, settings);
+      for (const problem of problems) add(jobSpecProblemLine(entry, problem), problem);
+      if (!options) continue;
+
+      if (names.has(options.name)) add(jobSpecProblemLine(entry, 'name'), `duplicate job name "${options.name}"`);
+      names.add(options.name);
       try {
-        await this.k8sClient.createCoreObject(
-          options.namespace,
-          'persistentvolumeclaims',
-          this.manifestBuilder.buildPVC('pip-cache-pvc', options.namespace, settings.defaultPVCsize)
-        );
+        await fs.access(options.scriptPath);
       } catch {
-        // likely exists already
+        add(jobSpecProblemLine(entry, 'script'), `script ${options.scriptPath} does not exist`);
+      }
+      try {
+        this.jobRunService.manifestBuilder.buildTrainingJob(options, previewArtifactReference(settings));
+      } catch (e) {
+        add(entry.line, e.message);
       }
     }
+    this.diagnostics.set(document.uri, diagnostics);
+  }
 
-    const manifest = this.manifestBuilder.buildPyTorchJob(options, cmName);
-    this.lastManifest = manifest;
-    await this.k8sClient.createCustomObject('kubeflow.org', 'v1', options.namespace, 'pytorchjobs', manifest);
+  // Reads the job from the editor buffer, so unsaved edits are what runs.
+  async resolveJob(uri, index) {
+    const document = await vscode.workspace.openTextDocument(uri);
+    const entry = readJobSpec(document).jobs[index];
+    if (!entry) throw new Error(`${path.basename(uri.fsPath)} has no job #${index + 1}.`);
+    const { templates } = await loadTemplates();
+    const { options, problems } = resolveJobSpecEntry(entry, document.fileName, templates, getSettings());
+    if (problems.length) throw new Error(`Job ${entry.name} is invalid: ${problems.join('; ')}`);
+    return options;
   }
-}
 
-function splitCsv(value) {
-  return String(value)
-    .split(',')
-    .map((s) => s.trim())
-    .filter(Boolean);
-}
+  async findClusterJob(options) {
+    try {
+      return await this.jobRunService.describeJob(options.namespace, options.name, options.kind);
+    } catch (e) {
+      if (isNotFoundError(e)) return undefined;
+      throw e;
+    }
+  }
 
-function colorizeLogLine(line) {
-  if (line.includes('ERROR') || line.includes('Traceback')) return `[ERROR] ${line}`;
-  if (line.includes('WARN')) return `[WARN] ${line}`;
-  return line;
-}
+  // Spec names are fixed, so a second run of the same job needs a new name.
+  async run(uri, index) {
+    const options = await this.resolveJob(uri, index);
+    if (await this.findClusterJob(options)) {
+      const copyName = restartJobName(options.name);
+      const choice = await vscode.window.showWarningMessage(
+        `${options.kind} ${options.name} already exists in ${options.namespace}. Delete it first or run a copy as ${copyName}.`,
+        { modal: true },
+        'Run Copy'
+      );
+      if (choice !== 'Run Copy') return undefined;
+      options.name = copyName;
+    }
+    const manifest = await this.jobRunService.submitRun(options, getSettings());
+    return manifest ? options.name : undefined;
+  }
 
-async function pickTemplateFromWorkspace() {
-  const settings = getSettings();
-  const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-  if (!workspaceFolder) throw new Error('Open a workspace folder to use templates.');
+  async preview(uri, index) {
+    const options = await this.resolveJob(uri, index);
+    return this.jobRunService.manifestBuilder.buildTrainingJob(options, previewArtifactReference(getSettings()));
+  }
 
-  const templatesPath = path.join(workspaceFolder.uri.fsPath, settings.templatesFile);
-  let payload;
-  try {
-    payload = JSON.parse(await fs.readFile(templatesPath, 'utf-8'));
-  } catch {
-    throw new Error(`Cannot read templates file: ${templatesPath}`);
+  // Uses the already uploaded artifact for the current sources when there is one, so
+  // an unchanged job diffs clean apart from fields the operator defaults.
+  async diff(uri, index) {
+    const options = await this.resolveJob(uri, index);
+    const clusterJob = await this.findClusterJob(options);
+    if (!clusterJob) {
+      vscode.window.showInformationMessage(`${options.kind} ${options.name} does not exist in ${options.namespace} yet.`);
+      return;
+    }
+    const scan = await this.jobRunService.packager.scan(options.sourceRoot);
+    const artifact =
+      (await this.jobRunService.getArtifactStore().find(scan.contentHash, options)) || previewArtifactReference(getSettings());
+    const local = this.jobRunService.manifestBuilder.buildTrainingJob(options, artifact);
+
+    const base = `/${options.namespace}/${options.name}`;
+    const left = vscode.Uri.from({ scheme: JOB_SPEC_SCHEME, path: `${base}.cluster.yaml` });
+    const right = vscode.Uri.from({ scheme: JOB_SPEC_SCHEME, path: `${base}.local.yaml` });
+    this.documents.set(left.toString(), toYaml(toResubmittableManifest(clusterJob)));
+    this.documents.set(right.toString(), toYaml(local));
+    this.changeEmitter.fire(left);
+    this.changeEmitter.fire(right);
+    await vscode.commands.executeCommand('vscode.diff', left, right, `${options.name}: cluster ↔ ${path.basename(uri.fsPath)}`);
   }
 
-  const templates = Array.isArray(payload?.templates) ? payload.templates : Array.isArray(payload) ? payload : [];
-  if (templates.length === 0) {
-    throw new Error(`No templates found in ${templatesPath}.`);
+  dispose() {
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.diagnostics.dispose();
+    this.changeEmitter.dispose();
   }
+}
 
+// Uses the job clicked in the panel, or asks for one in the default namespace.
+async function pickTrainingJob(jobRunService, item, placeHolder) {
+  if (item?.job) {
+    return { namespace: item.job.metadata.namespace, name: item.job.metadata.name, kind: item.job.kind };
+  }
+  const namespace = getSettings().defaultNamespace;
+  const jobs = await jobRunService.listJobs(namespace);
   const picked = await vscode.window.showQuickPick(
-    templates.map((t) => ({ label: t.name || t.image || 'template', description: t.namespace || '', template: t })),
-    { placeHolder: 'Select Kubeflow template' }
+    jobs.map((j) => ({ label: j.metadata?.name || 'unnamed', description: j.kind, kind: j.kind })),
+    { placeHolder }
   );
-
-  return picked?.template;
+  return picked && { namespace, name: picked.label, kind: picked.kind };
 }
 
-function registerCommands(context, authService, jobRunService, treeProvider) {
+function registerCommands(
+  context,
+  { authService, jobRunService, notebookService, jobSpecProvider, manifestEditor, treeProvider, jobStatusTracker }
+) {
   const logsChannel = vscode.window.createOutputChannel('Kubeflow Logs');
   context.subscriptions.push(
     vscode.commands.registerCommand('kubeflow.login', async () => {
       try {
-        await authService.loginInteractive();
+        if (!(await authService.loginInteractive())) return;
         vscode.window.showInformationMessage('Kubeflow login successful.');
         treeProvider.refresh();
       } catch (e) {
@@ -647,18 +6772,21 @@ function registerCommands(context, authService, jobRunService, treeProvider) {
         }
       }
     }),
+    vscode.commands.registerCommand('kubeflow.switchProfile', () => switchProfile()),
     vscode.commands.registerCommand('kubeflow.signOut', async () => {
       await authService.signOut();
       vscode.window.showInformationMessage('Kubeflow session cleared.');
       treeProvider.refresh();
     }),
-    vscode.commands.registerCommand('kubeflow.runTrainingJob', async () => {
-      try {
-        await jobRunService.runFromActivePythonFile();
-        treeProvider.refresh();
-      } catch (e) {
-        vscode.window.showErrorMessage(`Run failed: ${String(e)}`);
-      }
+    vscode.commands.registerCommand('kubeflow.runTrainingJob', (uri) => {
+      const editor = vscode.window.activeTextEditor;
+      const scriptPath =
+        uri?.fsPath || (editor?.document.languageId === 'python' ? editor.document.uri.fsPath : undefined);
+      RunWizardPanel.show(context.extensionUri, jobRunService, {
+        scriptPath,
+        manifestEditor,
+        onSubmitted: () => treeProvider.refreshCategory('Run History')
+      });
     }),
     vscode.commands.registerCommand('kubeflow.runTrainingJobFromTemplate', async () => {
       try {
@@ -669,11 +6797,44 @@ function registerCommands(context, authService, jobRunService, treeProvider) {
         vscode.window.showErrorMessage(`Template run failed: ${String(e)}`);
       }
     }),
-    vscode.commands.registerCommand('kubeflow.viewGeneratedYaml', async () => {
-      const manifest = jobRunService.getLastManifest();
-      if (!manifest) return vscode.window.showInformationMessage('No generated manifest yet.');
-      const doc = await vscode.workspace.openTextDocument({ language: 'json', content: JSON.stringify(manifest, null, 2) });
-      await vscode.window.showTextDocument(doc, { preview: false });
+    vscode.commands.registerCommand('kubeflow.runJobSpec', async (uri, index) => {
+      try {
+        const name = await jobSpecProvider.run(uri, index);
+        if (name) vscode.window.showInformationMessage(`Kubeflow job ${name} submitted.`);
+        treeProvider.refreshCategory('Run History');
+      } catch (e) {
+        vscode.window.showErrorMessage(`Job spec run failed: ${String(e)}`);
+      }
+    }),
+    vscode.commands.registerCommand('kubeflow.previewJobSpec', async (uri, index) => {
+      try {
+        const manifest = await jobSpecProvider.preview(uri, index);
+        const doc = await vscode.workspace.openTextDocument({ language: 'yaml', content: toYaml(manifest) });
+        await vscode.window.showTextDocument(doc, { preview: false, viewColumn: vscode.ViewColumn.Beside });
+      } catch (e) {
+        vscode.window.showErrorMessage(`Preview manifest failed: ${String(e)}`);
+      }
+    }),
+    vscode.commands.registerCommand('kubeflow.diffJobSpec', async (uri, index) => {
+      try {
+        await jobSpecProvider.diff(uri, index);
+      } catch (e) {
+        vscode.window.showErrorMessage(`Diff against cluster failed: ${String(e)}`);
+      }
+    }),
+    vscode.commands.registerCommand('kubeflow.viewGeneratedYaml', async (item) => {
+      try {
+        const manifest = item?.job
+          ? toResubmittableManifest(
+              await jobRunService.describeJob(item.job.metadata.namespace, item.job.metadata.name, item.job.kind)
+            )
+          : item?.run?.manifest || jobRunService.getLastManifest();
+        if (!manifest) return vscode.window.showInformationMessage('No generated manifest yet.');
+        const doc = await vscode.workspace.openTextDocument({ language: 'yaml', content: toYaml(manifest) });
+        await vscode.window.showTextDocument(doc, { preview: false });
+      } catch (e) {
+        vscode.window.showErrorMessage(`View manifest failed: ${String(e)}`);
+      }
     }),
     vscode.commands.registerCommand('kubeflow.openDashboard', async () => {
       const url = getSettings().url;
@@ -681,84 +6842,345 @@ function registerCommands(context, authService, jobRunService, treeProvider) {
       await vscode.env.openExternal(vscode.Uri.parse(url));
     }),
     vscode.commands.registerCommand('kubeflow.refreshPanel', () => treeProvider.refresh()),
-    vscode.commands.registerCommand('kubeflow.createNotebook', () => vscode.window.showInformationMessage('Create Notebook is planned for next iteration.')),
-    vscode.commands.registerCommand('kubeflow.deleteTrainingJob', async () => {
+    vscode.commands.registerCommand('kubeflow.loadMore', async (parentId) => {
       try {
-        const namespace = getSettings().defaultNamespace;
-        const jobs = await jobRunService.listJobs(namespace);
-        const picked = await vscode.window.showQuickPick(
-          jobs.map((j) => ({ label: j.metadata?.name || 'unnamed' })),
-          { placeHolder: 'Select job to delete' }
+        await treeProvider.loadMore(parentId);
+      } catch (e) {
+        vscode.window.showErrorMessage(`Loading more items failed: ${String(e)}`);
+      }
+    }),
+    vscode.commands.registerCommand('kubeflow.createNotebook', async () => {
+      try {
+        const name = await notebookService.createFromWizard();
+        if (!name) return;
+        vscode.window.showInformationMessage(`Notebook ${name} created.`);
+        treeProvider.refreshCategory('Notebooks');
+      } catch (e) {
+        vscode.window.showErrorMessage(`Create notebook failed: ${String(e)}`);
+      }
+    }),
+    vscode.commands.registerCommand('kubeflow.startNotebook', async (item) => {
+      try {
+        const target = await pickNotebook(notebookService, item, 'Select notebook to start');
+        if (!target) return;
+        await notebookService.start(target.namespace, target.name);
+        treeProvider.refreshCategory('Notebooks');
+      } catch (e) {
+        vscode.window.showErrorMessage(`Start notebook failed: ${String(e)}`);
+      }
+    }),
+    vscode.commands.registerCommand('kubeflow.stopNotebook', async (item) => {
+      try {
+        const target = await pickNotebook(notebookService, item, 'Select notebook to stop');
+        if (!target) return;
+        await notebookService.stop(target.namespace, target.name);
+        treeProvider.refreshCategory('Notebooks');
+      } catch (e) {
+        vscode.window.showErrorMessage(`Stop notebook failed: ${String(e)}`);
+      }
+    }),
+    vscode.commands.registerCommand('kubeflow.deleteNotebook', async (item) => {
+      try {
+        const target = await pickNotebook(notebookService, item, 'Select notebook to delete');
+        if (!target) return;
+        const confirmed = await vscode.window.showWarningMessage(
+          `Delete notebook ${target.name}? Its volumes are kept.`,
+          { modal: true },
+          'Delete'
+        );
+        if (confirmed !== 'Delete') return;
+        await notebookService.delete(target.namespace, target.name);
+        treeProvider.refreshCategory('Notebooks');
+      } catch (e) {
+        vscode.window.showErrorMessage(`Delete notebook failed: ${String(e)}`);
+      }
+    }),
+    vscode.commands.registerCommand('kubeflow.openNotebook', async (item) => {
+      try {
+        const target = await pickNotebook(notebookService, item, 'Select notebook to open');
+        if (!target) return;
+        await notebookService.open(target.namespace, target.name);
+      } catch (e) {
+        vscode.window.showErrorMessage(`Open notebook failed: ${String(e)}`);
+      }
+    }),
+    vscode.commands.registerCommand('kubeflow.connectNotebookKernel', async (item) => {
+      try {
+        const target = await pickNotebook(notebookService, item, 'Select notebook server');
+        if (!target) return;
+        await notebookService.connectKernel(target.namespace, target.name);
+      } catch (e) {
+        vscode.window.showErrorMessage(`Connect to notebook failed: ${String(e)}`);
+      }
+    }),
+    vscode.commands.registerCommand('kubeflow.deleteTrainingJob', async (item) => {
+      try {
+        const target = await pickTrainingJob(jobRunService, item, 'Select job to delete');
+        if (!target) return;
+        const confirmed = await vscode.window.showWarningMessage(
+          `Delete ${target.kind} ${target.name}?`,
+          { modal: true },
+          'Delete'
         );
-        if (!picked) return;
-        await jobRunService.deleteJob(namespace, picked.label);
-        vscode.window.showInformationMessage(`Deleted job ${picked.label}.`);
+        if (confirmed !== 'Delete') return;
+        await jobRunService.deleteJob(target.namespace, target.name, target.kind);
+        vscode.window.showInformationMessage(`Deleted job ${target.name}.`);
         treeProvider.refresh();
       } catch (e) {
         vscode.window.showErrorMessage(`Delete job failed: ${String(e)}`);
       }
     }),
-    vscode.commands.registerCommand('kubeflow.describeJob', async () => {
+    vscode.commands.registerCommand('kubeflow.selectNamespace', async () => {
+      try {
+        const current = getSettings().defaultNamespace;
+        const namespace = await pickNamespace(jobRunService.k8sClient, {
+          placeHolder: 'Default namespace for runs, notebooks and the panel',
+          current
+        });
+        if (namespace && namespace !== current) await setDefaultNamespace(namespace);
+      } catch (e) {
+        vscode.window.showErrorMessage(`Select namespace failed: ${String(e)}`);
+      }
+    }),
+    vscode.commands.registerCommand('kubeflow.cleanupArtifacts', async () => {
       try {
-        const namespace = getSettings().defaultNamespace;
-        const jobs = await jobRunService.listJobs(namespace);
+        const orphans = await vscode.window.withProgress(
+          { location: vscode.ProgressLocation.Notification, title: 'Kubeflow: looking for orphaned artifacts' },
+          () => jobRunService.findOrphanedArtifacts()
+        );
+        if (!orphans.length) {
+          vscode.window.showInformationMessage('No orphaned Kubeflow artifacts found.');
+          return;
+        }
         const picked = await vscode.window.showQuickPick(
-          jobs.map((j) => ({ label: j.metadata?.name || 'unnamed' })),
-          { placeHolder: 'Select job to describe' }
+          orphans.map((orphan) => ({
+            label: `${{ configmap: '$(package)', pod: '$(vm)', archive: '$(file-zip)' }[orphan.kind]} ${orphan.name}`,
+            description:
+              orphan.kind === 'archive'
+                ? `local archive · ${formatBytes(orphan.bytes)}`
+                : `${orphan.kind === 'pod' ? 'uploader pod' : 'code ConfigMap'} · ${orphan.namespace}`,
+            detail: orphan.createdAt ? `created ${new Date(orphan.createdAt).toLocaleString()}` : undefined,
+            picked: true,
+            orphan
+          })),
+          { placeHolder: 'Artifacts no job uses any more', canPickMany: true }
         );
-        if (!picked) return;
-        const details = await jobRunService.describeJob(namespace, picked.label);
-        const doc = await vscode.workspace.openTextDocument({ language: 'json', content: JSON.stringify(details, null, 2) });
-        await vscode.window.showTextDocument(doc, { preview: false });
+        if (!picked?.length) return;
+        const confirmed = await vscode.window.showWarningMessage(
+          `Delete ${picked.length} orphaned artifact${picked.length === 1 ? '' : 's'}?`,
+          { modal: true },
+          'Delete'
+        );
+        if (confirmed !== 'Delete') return;
+        for (const item of picked) await jobRunService.deleteOrphanedArtifact(item.orphan);
+        vscode.window.showInformationMessage(`Deleted ${picked.length} orphaned artifact${picked.length === 1 ? '' : 's'}.`);
+        treeProvider.refresh();
+      } catch (e) {
+        vscode.window.showErrorMessage(`Artifact cleanup failed: ${String(e)}`);
+      }
+    }),
+    vscode.commands.registerCommand('kubeflow.describeJob', async (item) => {
+      try {
+        const target = await pickTrainingJob(jobRunService, item, 'Select job to describe');
+        if (!target) return;
+        JobDescribePanel.show(context.extensionUri, jobRunService, target);
       } catch (e) {
         vscode.window.showErrorMessage(`Describe job failed: ${String(e)}`);
       }
     }),
+    vscode.commands.registerCommand('kubeflow.setArtifactStoreCredentials', async () => {
+      const saved = await jobRunService.artifactStores.s3.promptSecretAccessKey();
+      if (saved) vscode.window.showInformationMessage('S3 artifact store credentials saved.');
+    }),
     vscode.commands.registerCommand('kubeflow.createPVC', () => vscode.window.showInformationMessage('Create PVC is scaffolded.')),
-    vscode.commands.registerCommand('kubeflow.restartJob', async () => {
+    vscode.commands.registerCommand('kubeflow.restartJob', async (item) => {
       try {
-        const name = await jobRunService.restartLastRun();
+        let name;
+        if (item?.job) {
+          name = await jobRunService.restartJob(item.job.metadata.namespace, item.job.metadata.name, item.job.kind);
+        } else {
+          const run = await pickRun(jobRunService, item, 'Select run to restart');
+          if (!run) return;
+          name = await jobRunService.restartRun(run);
+        }
         vscode.window.showInformationMessage(`Restarted job as ${name}.`);
-        treeProvider.refresh();
+        treeProvider.refreshCategory('Run History');
       } catch (e) {
         vscode.window.showErrorMessage(`Restart failed: ${String(e)}`);
       }
     }),
-    vscode.commands.registerCommand('kubeflow.streamJobLogs', async () => {
+    vscode.commands.registerCommand('kubeflow.cloneRun', async (item) => {
       try {
-        const namespace = getSettings().defaultNamespace;
-        const jobs = await jobRunService.listJobs(namespace);
-        const picked = await vscode.window.showQuickPick(
-          jobs.map((j) => ({ label: j.metadata?.name || 'unnamed' })),
-          { placeHolder: 'Select job to stream logs' }
+        const run = await pickRun(jobRunService, item, 'Select run to clone');
+        if (!run) return;
+        if (!run.options) throw new Error(`${run.name} was restarted from the cluster and has no run options to clone.`);
+        RunWizardPanel.show(context.extensionUri, jobRunService, {
+          initial: run.options,
+          manifestEditor,
+          onSubmitted: () => treeProvider.refreshCategory('Run History')
+        });
+      } catch (e) {
+        vscode.window.showErrorMessage(`Clone run failed: ${String(e)}`);
+      }
+    }),
+    vscode.commands.registerCommand('kubeflow.compareRuns', async (item) => {
+      try {
+        const left = await pickRun(jobRunService, item, 'Select first run to compare');
+        if (!left) return;
+        const right = await pickRun(jobRunService, undefined, `Compare ${left.name} with…`);
+        if (!right) return;
+        await vscode.commands.executeCommand(
+          'vscode.diff',
+          RunHistoryDocumentProvider.uriFor(left),
+          RunHistoryDocumentProvider.uriFor(right),
+          `${left.name} ↔ ${right.name}`
         );
-        if (!picked) return;
-        await jobRunService.streamJobLogs(namespace, picked.label, logsChannel);
+      } catch (e) {
+        vscode.window.showErrorMessage(`Compare runs failed: ${String(e)}`);
+      }
+    }),
+    vscode.commands.registerCommand('kubeflow.removeRunFromHistory', async (item) => {
+      try {
+        const run = await pickRun(jobRunService, item, 'Select run to remove from history');
+        if (!run) return;
+        await jobRunService.packager.pruneRetainedArchives(await jobRunService.runHistory.remove(run.id));
+        treeProvider.refreshCategory('Run History');
+      } catch (e) {
+        vscode.window.showErrorMessage(`Remove run failed: ${String(e)}`);
+      }
+    }),
+    vscode.commands.registerCommand('kubeflow.streamJobLogs', async (item) => {
+      try {
+        const target = await pickTrainingJob(jobRunService, item, 'Select job to stream logs');
+        if (!target) return;
+        await jobRunService.streamJobLogs(target.namespace, target.name, logsChannel, target.kind);
       } catch (e) {
         vscode.window.showErrorMessage(`Stream logs failed: ${String(e)}`);
       }
     }),
-    logsChannel
+    vscode.commands.registerCommand('kubeflow.stopLogStreaming', () => jobRunService.stopLogStreaming()),
+    vscode.commands.registerCommand('kubeflow.showTrackedRuns', () => jobStatusTracker.showRuns()),
+    vscode.commands.registerCommand('kubeflow.openLogsPanel', async (item) => {
+      try {
+        const target = await pickTrainingJob(jobRunService, item, 'Select job to open logs for');
+        if (!target) return;
+        LogViewerPanel.show(context.extensionUri, jobRunService.k8sClient, {
+          namespace: target.namespace,
+          jobName: target.name,
+          kind: target.kind
+        });
+      } catch (e) {
+        vscode.window.showErrorMessage(`Open logs failed: ${String(e)}`);
+      }
+    }),
+    logsChannel,
+    { dispose: () => jobRunService.stopLogStreaming() }
   );
 }
 
 async function activate(context) {
-  const authService = new AuthService(context.secrets);
+  const authService = new AuthService(context.secrets, context.extension.id);
   await authService.initialize();
 
   const k8sClient = new K8sApiClient(authService);
-  const jobRunService = new JobRunService(k8sClient, new ArtifactPackager(), new ManifestBuilder());
-  const treeProvider = new KubeflowTreeProvider(k8sClient);
+  const packager = new ArtifactPackager(context.globalStorageUri.fsPath);
+  packager.pruneArchives().catch(() => undefined);
+  const manifestBuilder = new ManifestBuilder();
+  const runHistory = new RunHistoryStore(context.globalState);
+  packager.pruneRetainedArchives(runHistory.referencedHashes()).catch(() => undefined);
+  const jobRunService = new JobRunService(
+    k8sClient,
+    packager,
+    manifestBuilder,
+    {
+      configmap: new ConfigMapArtifactStore(k8sClient, packager, manifestBuilder),
+      s3: new S3ArtifactStore(context.secrets),
+      pvc: new CodePVCArtifactStore(k8sClient, manifestBuilder)
+    },
+    runHistory
+  );
+  const notebookService = new NotebookService(k8sClient, manifestBuilder, authService);
+  const treeProvider = new KubeflowTreeProvider(k8sClient, runHistory);
+  const jobSpecProvider = new JobSpecProvider(jobRunService);
+  const manifestEditor = new ManifestEditor(jobRunService, context.globalStorageUri.fsPath);
+  const jobStatusTracker = new JobStatusTracker(k8sClient, runHistory, context.workspaceState);
 
-  vscode.window.registerTreeDataProvider('kubeflowPanel', treeProvider);
-  registerCommands(context, authService, jobRunService, treeProvider);
+  const treeView = vscode.window.createTreeView('kubeflowPanel', { treeDataProvider: treeProvider });
+  const connectionStatus = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 10);
+  connectionStatus.command = 'kubeflow.switchProfile';
+  const showConnection = () => {
+    const settings = getSettings();
+    treeView.description = describeConnection(settings);
+    connectionStatus.text = `$(server) ${treeView.description}`;
+    connectionStatus.tooltip = `Kubeflow: ${settings.url || 'kflow.url is not set'}\nClick to switch the connection profile`;
+  };
+  showConnection();
+  connectionStatus.show();
 
-  context.subscriptions.push(authService);
+  registerCommands(context, {
+    authService,
+    jobRunService,
+    notebookService,
+    jobSpecProvider,
+    manifestEditor,
+    treeProvider,
+    jobStatusTracker
+  });
+
+  context.subscriptions.push(
+    authService,
+    vscode.window.registerUriHandler({ handleUri: (uri) => authService.handleUri(uri) }),
+    treeProvider,
+    treeView,
+    connectionStatus,
+    jobStatusTracker,
+    notebookService,
+    jobRunService.onDidRecordRun((entry) => jobStatusTracker.track(entry)),
+    vscode.workspace.registerTextDocumentContentProvider(RUN_HISTORY_SCHEME, new RunHistoryDocumentProvider(runHistory)),
+    jobSpecProvider,
+    vscode.workspace.registerTextDocumentContentProvider(JOB_SPEC_SCHEME, jobSpecProvider),
+    vscode.languages.registerCodeLensProvider(JOB_SPEC_SELECTOR, jobSpecProvider),
+    vscode.workspace.onDidOpenTextDocument((doc) => jobSpecProvider.scheduleValidation(doc)),
+    vscode.workspace.onDidChangeTextDocument((e) => jobSpecProvider.scheduleValidation(e.document)),
+    vscode.workspace.onDidCloseTextDocument((doc) => {
+      jobSpecProvider.diagnostics.delete(doc.uri);
+      manifestEditor.onDidClose(doc).catch(() => undefined);
+    }),
+    vscode.workspace.onDidSaveTextDocument((doc) =>
+      manifestEditor.onDidSave(doc).then(
+        (name) => name && treeProvider.refreshCategory('Run History'),
+        (e) => vscode.window.showErrorMessage(`Manifest submit failed: ${String(e)}`)
+      )
+    ),
+    vscode.workspace.onDidChangeConfiguration(async (e) => {
+      if (!e.affectsConfiguration('kflow')) return;
+      // Another profile means another cluster and session: drop everything tied to the old one.
+      if (e.affectsConfiguration('kflow.activeProfile') || e.affectsConfiguration('kflow.profiles')) {
+        jobRunService.stopLogStreaming();
+        k8sClient.stopInformers();
+        await authService.initialize();
+        jobStatusTracker.restart();
+      }
+      showConnection();
+      treeProvider.refresh();
+    })
+  );
+  vscode.workspace.textDocuments.forEach((doc) => jobSpecProvider.scheduleValidation(doc));
 }
 
 function deactivate() {}
 
 module.exports = {
   activate,
-  deactivate
+  deactivate,
+  // For the unit tests.
+  parseYaml,
+  parseJsonWithLines,
+  toYaml,
+  runOptionsToForm,
+  parseRunForm,
+  presignS3Url,
+  diagnoseJob,
+  compileIgnorePattern,
+  isIgnoredPath
 };
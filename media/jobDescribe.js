@@ -0,0 +1,117 @@
+// Describe view webview: renders the diagnosis and state posted by JobDescribePanel.
+(function () {
+  const vscode = acquireVsCodeApi();
+
+  const toolbar = element('div', 'toolbar');
+  const refresh = button('Refresh');
+  const openLogs = button('Open Logs');
+  const showJson = button('Show JSON');
+  const status = element('span', 'status');
+  toolbar.append(refresh, openLogs, showJson, status);
+  const content = element('div', 'content');
+  document.body.append(toolbar, content);
+
+  refresh.addEventListener('click', () => vscode.postMessage({ type: 'refresh' }));
+  openLogs.addEventListener('click', () => vscode.postMessage({ type: 'openLogs' }));
+  showJson.addEventListener('click', () => vscode.postMessage({ type: 'showJson' }));
+
+  window.addEventListener('message', (event) => {
+    const message = event.data;
+    switch (message.type) {
+      case 'loading':
+        status.textContent = 'Loading…';
+        status.className = 'status';
+        break;
+      case 'describe':
+        status.textContent = `Updated ${new Date().toLocaleTimeString()}`;
+        render(message.job);
+        break;
+      case 'error':
+        status.textContent = message.message;
+        status.className = 'status error';
+        break;
+    }
+  });
+
+  vscode.postMessage({ type: 'ready' });
+
+  function render(job) {
+    content.textContent = '';
+    const summary = element('dl', 'summary');
+    for (const [name, value] of job.summary) summary.append(text('dt', name), text('dd', value));
+    content.append(text('h2', job.name), summary);
+
+    content.append(text('h3', 'Diagnosis'));
+    if (!job.findings.length) content.append(text('p', 'No problems found.', 'muted'));
+    for (const finding of job.findings) content.append(renderFinding(finding));
+
+    content.append(
+      text('h3', 'Conditions'),
+      table(['Type', 'Status', 'Reason', 'Message', 'Since'], job.conditions.map((c) => [c.type, c.status, c.reason, c.message, c.time]))
+    );
+    content.append(
+      text('h3', 'Replicas'),
+      table(['Role', 'Desired', 'Active', 'Succeeded', 'Failed'], job.replicas.map((r) => [r.role, r.desired, r.active, r.succeeded, r.failed]))
+    );
+
+    content.append(text('h3', 'Pods'));
+    if (!job.pods.length) content.append(text('p', 'No pods.', 'muted'));
+    for (const pod of job.pods) {
+      content.append(
+        text('h4', `${pod.name} · ${pod.phase}${pod.node ? ` · ${pod.node}` : ''}`),
+        table(['Container', 'State', 'Restarts', 'Message'], pod.containers.map((c) => [c.name, c.state, c.restarts, c.message]))
+      );
+    }
+
+    content.append(
+      text('h3', 'Events'),
+      table(
+        ['Time', 'Type', 'Object', 'Reason', 'Message'],
+        job.events.map((e) => [e.time, e.type, e.object, e.reason, e.count > 1 ? `${e.message} (×${e.count})` : e.message]),
+        job.events.map((e) => (e.type === 'Warning' ? 'warning' : ''))
+      )
+    );
+  }
+
+  function renderFinding(finding) {
+    const node = element('div', `finding ${finding.severity}`);
+    node.append(text('div', finding.title, 'title'));
+    if (finding.pods.length) node.append(text('div', `Pods: ${finding.pods.join(', ')}`, 'muted'));
+    if (finding.detail) node.append(text('div', finding.detail, 'detail'));
+    if (finding.log) node.append(text('pre', finding.log, 'log'));
+    if (finding.fix) node.append(text('div', `Fix: ${finding.fix}`, 'fix'));
+    return node;
+  }
+
+  function table(headers, rows, rowClasses = []) {
+    if (!rows.length) return text('p', 'None.', 'muted');
+    const node = element('table');
+    const head = element('tr');
+    for (const header of headers) head.append(text('th', header));
+    node.append(head);
+    rows.forEach((cells, i) => {
+      const row = element('tr', rowClasses[i]);
+      for (const cell of cells) row.append(text('td', String(cell ?? '')));
+      node.append(row);
+    });
+    return node;
+  }
+
+  function text(tag, value, className) {
+    const node = element(tag, className);
+    node.textContent = value;
+    return node;
+  }
+
+  function button(label) {
+    const node = element('button');
+    node.textContent = label;
+    return node;
+  }
+
+  function element(tag, className) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    return node;
+  }
+})();
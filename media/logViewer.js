@@ -0,0 +1,200 @@
+// Log viewer webview: renders batched log lines posted by LogViewerPanel.
+(function () {
+  const vscode = acquireVsCodeApi();
+  const MAX_LINES = 20000;
+  const FRAME_RE = /File "([^"]+)", line (\d+)/;
+
+  const state = {
+    level: 'all',
+    source: '',
+    filter: undefined,
+    autoscroll: true,
+    sources: new Set(),
+    traceback: new Map()
+  };
+
+  const toolbar = element('div', 'toolbar');
+  const levelSelect = select([
+    ['all', 'All levels'],
+    ['warn', 'Warnings and errors'],
+    ['error', 'Errors only']
+  ]);
+  const sourceSelect = select([['', 'All pods/containers']]);
+  const filterInput = element('input', 'filter');
+  filterInput.placeholder = 'Filter (regex)';
+  const pauseButton = button('Pause autoscroll');
+  const tracebackButton = button('First Traceback');
+  const clearButton = button('Clear');
+  toolbar.append(levelSelect, sourceSelect, filterInput, pauseButton, tracebackButton, clearButton);
+
+  const log = element('div', 'log');
+  document.body.append(toolbar, log);
+
+  levelSelect.addEventListener('change', () => {
+    state.level = levelSelect.value;
+    applyFilters();
+  });
+  sourceSelect.addEventListener('change', () => {
+    state.source = sourceSelect.value;
+    applyFilters();
+  });
+  filterInput.addEventListener('input', () => {
+    try {
+      state.filter = filterInput.value ? new RegExp(filterInput.value, 'i') : undefined;
+      filterInput.classList.remove('invalid');
+    } catch {
+      filterInput.classList.add('invalid');
+      return;
+    }
+    applyFilters();
+  });
+  pauseButton.addEventListener('click', () => {
+    state.autoscroll = !state.autoscroll;
+    pauseButton.textContent = state.autoscroll ? 'Pause autoscroll' : 'Resume autoscroll';
+    if (state.autoscroll) scrollToEnd();
+  });
+  tracebackButton.addEventListener('click', () => {
+    const first = Array.from(log.querySelectorAll('.traceback-start')).find((row) => !row.hidden);
+    if (!first) return;
+    setAutoscroll(false);
+    first.scrollIntoView({ block: 'center' });
+    first.classList.add('flash');
+    setTimeout(() => first.classList.remove('flash'), 1200);
+  });
+  clearButton.addEventListener('click', () => {
+    log.textContent = '';
+  });
+  log.addEventListener('wheel', (event) => {
+    if (event.deltaY < 0) setAutoscroll(false);
+  });
+
+  window.addEventListener('message', (event) => {
+    const message = event.data;
+    if (message.type !== 'append') return;
+    for (const entry of message.entries) {
+      if (entry.type === 'info') appendRow(renderInfo(entry.text));
+      else appendRow(renderLine(entry.source, entry.text));
+    }
+    while (log.childElementCount > MAX_LINES) log.firstElementChild.remove();
+    if (state.autoscroll) scrollToEnd();
+  });
+
+  vscode.postMessage({ type: 'ready' });
+
+  function renderLine(source, text) {
+    addSource(source);
+    const level = classify(source, text);
+    const row = element('div', `line level-${level}`);
+    row.dataset.source = source;
+    row.dataset.level = level;
+    if (/^Traceback \(most recent call last\)/.test(text)) row.classList.add('traceback-start');
+
+    const prefix = element('span', 'source');
+    prefix.textContent = `[${source}] `;
+    row.append(prefix, renderText(text));
+    return row;
+  }
+
+  function renderInfo(text) {
+    const row = element('div', 'line info');
+    row.dataset.level = 'info';
+    row.textContent = `[Kubeflow] ${text}`;
+    return row;
+  }
+
+  // Turns `File "/workspace/pkg/mod.py", line 42` into a link to the local source.
+  function renderText(text) {
+    const body = element('span', 'text');
+    const match = FRAME_RE.exec(text);
+    if (!match) {
+      body.textContent = text;
+      return body;
+    }
+    const link = element('a', 'frame');
+    link.textContent = match[0];
+    link.href = '#';
+    link.addEventListener('click', (event) => {
+      event.preventDefault();
+      vscode.postMessage({ type: 'openSource', file: match[1], line: Number(match[2]) });
+    });
+    body.append(text.slice(0, match.index), link, text.slice(match.index + match[0].length));
+    return body;
+  }
+
+  // A Python traceback stays "error" until the exception line that ends it.
+  function classify(source, text) {
+    if (/^Traceback \(most recent call last\)/.test(text)) {
+      state.traceback.set(source, true);
+      return 'error';
+    }
+    if (state.traceback.get(source)) {
+      if (!/^\s/.test(text)) state.traceback.delete(source);
+      return 'error';
+    }
+    if (/\b(ERROR|CRITICAL|FATAL)\b|Error:|Exception\b/.test(text)) return 'error';
+    if (/\bWARN(ING)?\b/i.test(text)) return 'warn';
+    return 'info';
+  }
+
+  function appendRow(row) {
+    row.hidden = !matches(row);
+    log.append(row);
+  }
+
+  function applyFilters() {
+    for (const row of log.children) row.hidden = !matches(row);
+    if (state.autoscroll) scrollToEnd();
+  }
+
+  function matches(row) {
+    const level = row.dataset.level;
+    if (level !== 'info' || row.dataset.source) {
+      if (state.level === 'error' && level !== 'error') return false;
+      if (state.level === 'warn' && level !== 'error' && level !== 'warn') return false;
+    }
+    if (state.source && row.dataset.source && row.dataset.source !== state.source) return false;
+    if (state.filter && !state.filter.test(row.textContent)) return false;
+    return true;
+  }
+
+  function addSource(source) {
+    if (state.sources.has(source)) return;
+    state.sources.add(source);
+    const option = element('option');
+    option.value = source;
+    option.textContent = source;
+    sourceSelect.append(option);
+  }
+
+  function setAutoscroll(enabled) {
+    if (state.autoscroll === enabled) return;
+    pauseButton.click();
+  }
+
+  function scrollToEnd() {
+    log.scrollTop = log.scrollHeight;
+  }
+
+  function select(options) {
+    const node = element('select');
+    for (const [value, label] of options) {
+      const option = element('option');
+      option.value = value;
+      option.textContent = label;
+      node.append(option);
+    }
+    return node;
+  }
+
+  function button(label) {
+    const node = element('button');
+    node.textContent = label;
+    return node;
+  }
+
+  function element(tag, className) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    return node;
+  }
+})();
@@ -0,0 +1,350 @@
+// Run wizard webview: one form for all run options. Validation and the manifest
+// preview come from RunWizardPanel, which answers every change with a `preview`.
+(function () {
+  const vscode = acquireVsCodeApi();
+  const CHANGE_DELAY_MS = 200;
+
+  const state = { kinds: [], changeTimer: undefined, busyLabel: '' };
+  const fields = {};
+  const errors = {};
+
+  const form = element('form', 'form');
+  const preview = element('pre', 'preview');
+  const status = element('div', 'status');
+  const layout = element('div', 'layout');
+  const previewPane = element('div', 'preview-pane');
+  previewPane.append(heading('Manifest preview'), preview);
+  layout.append(form, previewPane);
+  document.body.append(layout);
+
+  const chooseNamespace = button('Pick…', 'secondary');
+  section('Job', [
+    field('kind', 'Job type', select([])),
+    field('name', 'Name', input()),
+    field('namespace', 'Namespace', input('namespaces'), chooseNamespace)
+  ]);
+  section('Container', [
+    field('image', 'Image', input('images')),
+    row([field('gpu', 'GPUs', input()), field('cpu', 'CPU', input()), field('memory', 'RAM', input())])
+  ]);
+  section('Topology', [
+    row([field('workers', 'Worker replicas', input()), field('nprocPerNode', 'Processes per node', input())]),
+    field('elastic', 'Elastic (PyTorchJob)', checkbox()),
+    row([
+      field('minReplicas', 'Min replicas', input()),
+      field('maxReplicas', 'Max replicas', input()),
+      field('rdzvBackend', 'Rendezvous backend', select([['c10d', 'c10d'], ['etcd', 'etcd'], ['etcd-v2', 'etcd-v2']]))
+    ]),
+    row([
+      field('workerGpu', 'Worker GPUs', input()),
+      field('workerCpu', 'Worker CPU', input()),
+      field('workerMemory', 'Worker RAM', input())
+    ])
+  ]);
+  section('Scheduling', [
+    row([
+      field('gpuResource', 'GPU resource', input()),
+      field('priorityClassName', 'Priority class', input()),
+      field('queue', 'Kueue queue', input())
+    ]),
+    field('nodeSelector', 'Node selector (label=value, comma-separated)', input()),
+    field('tolerations', 'Tolerations (key=value:Effect, key:Effect or key per line)', textarea()),
+    field('affinity', 'Affinity (JSON)', textarea())
+  ]);
+  const browse = button('Browse…', 'secondary');
+  const addSecretKey = button('Add Secret Key…', 'secondary');
+  const importSecret = button('Import…', 'secondary');
+  section('Code', [
+    field('scriptPath', 'Script', input(), browse),
+    field('args', 'Arguments', input()),
+    field('env', 'Environment (NAME=value or NAME=secret:<name>/<key> per line)', textarea(), addSecretKey),
+    field('envFrom', 'Import all keys from (secret:<name>, configmap:<name>)', input(), importSecret)
+  ]);
+  section('Dependencies', [
+    field('pip', 'pip packages (comma-separated)', input()),
+    field('apt', 'apt packages (comma-separated)', input()),
+    field('autoPVCforPip', 'Cache pip downloads on a PVC', checkbox())
+  ]);
+  section('Storage', [
+    field('volumes', 'Mount PVCs (<claim>[/<subPath>]:/mount/path, :ro for read-only, per line)', textarea()),
+    field('shmSize', 'Shared memory (/dev/shm)', input())
+  ]);
+  section('Cleanup', [
+    row([
+      field('ttlSecondsAfterFinished', 'Delete job after it finishes (seconds)', input()),
+      field(
+        'cleanPodPolicy',
+        'Delete pods when finished',
+        select([['', 'Operator default'], ['None', 'None'], ['Running', 'Running'], ['All', 'All']])
+      )
+    ])
+  ]);
+
+  const submit = button('Submit', 'primary');
+  const dryRun = button('Dry Run', 'secondary');
+  const editManifest = button('Edit Manifest…', 'secondary');
+  const saveTemplate = button('Save as Template', 'secondary');
+  const runButtons = [submit, dryRun, editManifest];
+  const actions = element('div', 'actions');
+  actions.append(submit, dryRun, editManifest, saveTemplate, status);
+  form.append(actions);
+
+  fields.workerGpu.placeholder = fields.workerCpu.placeholder = fields.workerMemory.placeholder = 'same as main';
+  fields.nprocPerNode.placeholder = 'auto';
+  fields.ttlSecondsAfterFinished.placeholder = 'keep';
+  fields.args.placeholder = '--epochs 10 --lr 3e-4';
+  fields.envFrom.placeholder = 'secret:aws-credentials';
+  fields.env.rows = 3;
+  fields.nodeSelector.placeholder = 'cloud.google.com/gke-accelerator=nvidia-tesla-a100';
+  fields.tolerations.placeholder = 'nvidia.com/gpu:NoSchedule';
+  fields.affinity.placeholder = '{ "nodeAffinity": { ... } }';
+  fields.volumes.placeholder = 'imagenet:/data:ro';
+  fields.shmSize.placeholder = 'container default (64Mi)';
+  fields.tolerations.rows = fields.affinity.rows = fields.volumes.rows = 2;
+
+  form.addEventListener('input', onChange);
+  form.addEventListener('change', onChange);
+  form.addEventListener('submit', (event) => event.preventDefault());
+  fields.kind.addEventListener('change', onKindChange);
+  chooseNamespace.addEventListener('click', () => vscode.postMessage({ type: 'pickNamespace' }));
+  browse.addEventListener('click', () => vscode.postMessage({ type: 'browseScript' }));
+  addSecretKey.addEventListener('click', () => vscode.postMessage({ type: 'pickSecretKey' }));
+  importSecret.addEventListener('click', () => vscode.postMessage({ type: 'pickEnvFrom' }));
+  submit.addEventListener('click', () => run('submit'));
+  dryRun.addEventListener('click', () => run('dryRun'));
+  editManifest.addEventListener('click', () => run('editManifest'));
+  saveTemplate.addEventListener('click', () => vscode.postMessage({ type: 'saveTemplate', form: readForm() }));
+
+  window.addEventListener('message', (event) => {
+    const message = event.data;
+    switch (message.type) {
+      case 'init':
+        state.kinds = message.kinds;
+        for (const k of message.kinds) fields.kind.append(option(k.kind, k.kind));
+        writeForm(message.form);
+        setSuggestions(message.suggestions);
+        updateVisibility();
+        break;
+      case 'suggestions':
+        setSuggestions(message.suggestions);
+        break;
+      case 'namespace':
+        fields.namespace.value = message.namespace;
+        onChange();
+        break;
+      case 'script':
+        fields.scriptPath.value = message.scriptPath;
+        break;
+      case 'envLine':
+        fields.env.value = [fields.env.value.trimEnd(), message.line].filter(Boolean).join('\n');
+        onChange();
+        break;
+      case 'envFrom': {
+        const current = fields.envFrom.value.split(',').map((v) => v.trim()).filter(Boolean);
+        fields.envFrom.value = [...new Set([...current, ...message.refs])].join(', ');
+        onChange();
+        break;
+      }
+      case 'preview':
+        preview.textContent = message.manifest || '—';
+        showErrors(message.errors || {});
+        break;
+      case 'busy':
+        for (const node of runButtons) node.disabled = message.busy;
+        if (message.busy) setStatus((state.busyLabel = message.label), false);
+        else if (status.textContent === state.busyLabel) setStatus('', false);
+        break;
+      case 'status':
+        setStatus(message.message, false);
+        break;
+      case 'error':
+        setStatus(message.message, true);
+        break;
+    }
+  });
+
+  vscode.postMessage({ type: 'ready' });
+
+  function onChange() {
+    updateVisibility();
+    clearTimeout(state.changeTimer);
+    state.changeTimer = setTimeout(() => vscode.postMessage({ type: 'change', form: readForm() }), CHANGE_DELAY_MS);
+  }
+
+  // Keeps a generated name in step with the job type (ptjob-… → tfjob-…).
+  function onKindChange() {
+    const match = /^([a-z]+)-(\d+)$/.exec(fields.name.value);
+    const kind = currentKind();
+    if (match && kind && state.kinds.some((k) => k.namePrefix === match[1])) {
+      fields.name.value = `${kind.namePrefix}-${match[2]}`;
+    }
+  }
+
+  function updateVisibility() {
+    const kind = currentKind();
+    if (!kind) return;
+    const workers = Number(fields.workers.value) > 0;
+    const isPyTorch = kind.kind === 'PyTorchJob';
+    const elastic = isPyTorch && fields.elastic.checked;
+    label('workers').textContent = `${kind.workerRole} replicas (besides ${kind.primaryRole})`;
+    label('nprocPerNode').textContent = kind.kind === 'MPIJob' ? 'MPI slots per worker' : 'Processes per node';
+    show('nprocPerNode', isPyTorch || kind.kind === 'MPIJob');
+    show('elastic', isPyTorch);
+    showRow('minReplicas', elastic);
+    showRow('workerGpu', workers);
+    for (const name of ['workerGpu', 'workerCpu', 'workerMemory']) {
+      label(name).textContent = `${kind.workerRole} ${{ workerGpu: 'GPUs', workerCpu: 'CPU', workerMemory: 'RAM' }[name]}`;
+    }
+  }
+
+  function currentKind() {
+    return state.kinds.find((k) => k.kind === fields.kind.value);
+  }
+
+  function readForm() {
+    const values = {};
+    for (const [name, node] of Object.entries(fields)) values[name] = node.type === 'checkbox' ? node.checked : node.value;
+    return values;
+  }
+
+  function writeForm(values) {
+    for (const [name, node] of Object.entries(fields)) {
+      if (!(name in values)) continue;
+      if (node.type === 'checkbox') node.checked = Boolean(values[name]);
+      else node.value = values[name];
+    }
+  }
+
+  function showErrors(next) {
+    for (const name of Object.keys(fields)) {
+      const message = next[name] || '';
+      errors[name].textContent = message;
+      fields[name].classList.toggle('invalid', Boolean(message));
+    }
+    const count = Object.keys(next).length;
+    for (const node of runButtons) node.disabled = count > 0;
+    setStatus(count ? `${count} field${count === 1 ? '' : 's'} need attention.` : '', count > 0);
+  }
+
+  function setStatus(text, isError) {
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+  }
+
+  function run(type) {
+    setStatus('', false);
+    vscode.postMessage({ type, form: readForm() });
+  }
+
+  function setSuggestions({ images = [], namespaces = [] }) {
+    fillDatalist('images', images);
+    fillDatalist('namespaces', namespaces);
+  }
+
+  function fillDatalist(id, values) {
+    let list = document.getElementById(id);
+    if (!list) {
+      list = element('datalist');
+      list.id = id;
+      document.body.append(list);
+    }
+    list.textContent = '';
+    for (const value of values) list.append(option(value, value));
+  }
+
+  function show(name, visible) {
+    fields[name].closest('.field').hidden = !visible;
+  }
+
+  // Hides the whole row of a field, so related fields (e.g. min/max replicas) go together.
+  function showRow(name, visible) {
+    fields[name].closest('.row').hidden = !visible;
+  }
+
+  function label(name) {
+    return fields[name].closest('.field').querySelector('label');
+  }
+
+  function section(title, children) {
+    const node = element('fieldset', 'section');
+    const legend = element('legend');
+    legend.textContent = title;
+    node.append(legend, ...children);
+    form.append(node);
+  }
+
+  function row(children) {
+    const node = element('div', 'row');
+    node.append(...children);
+    return node;
+  }
+
+  function field(name, text, control, extra) {
+    const isCheckbox = control.type === 'checkbox';
+    const node = element('div', isCheckbox ? 'field checkbox' : 'field');
+    const caption = element('label');
+    caption.textContent = text;
+    caption.htmlFor = control.id = `field-${name}`;
+    const line = element('div', 'control');
+    line.append(control);
+    if (extra) line.append(extra);
+    const error = element('div', 'error');
+    if (isCheckbox) node.append(line, caption, error);
+    else node.append(caption, line, error);
+    fields[name] = control;
+    errors[name] = error;
+    return node;
+  }
+
+  function input(listId) {
+    const node = element('input');
+    node.type = 'text';
+    node.spellcheck = false;
+    if (listId) node.setAttribute('list', listId);
+    return node;
+  }
+
+  function textarea() {
+    const node = element('textarea');
+    node.spellcheck = false;
+    return node;
+  }
+
+  function checkbox() {
+    const node = element('input');
+    node.type = 'checkbox';
+    return node;
+  }
+
+  function select(options) {
+    const node = element('select');
+    for (const [value, text] of options) node.append(option(value, text));
+    return node;
+  }
+
+  function option(value, text) {
+    const node = element('option');
+    node.value = value;
+    node.textContent = text;
+    return node;
+  }
+
+  function heading(text) {
+    const node = element('h3');
+    node.textContent = text;
+    return node;
+  }
+
+  function button(text, kind) {
+    const node = element('button', kind);
+    node.type = 'button';
+    node.textContent = text;
+    return node;
+  }
+
+  function element(tag, className) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    return node;
+  }
+})();
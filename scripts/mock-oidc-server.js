@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+// Local stand-in for an OIDC provider (Keycloak/Dex) with an oauth2-proxy protected
+// Kubeflow behind it, for trying the login methods without a cluster:
+//
+//   node scripts/mock-oidc-server.js [port]        (default 5556)
+//
+// - pkce:     "kflow.oidc.issuer": "http://127.0.0.1:5556"
+// - password: "kflow.keycloak.tokenUrl": "http://127.0.0.1:5556/token"
+// - cookie:   "kflow.url": "http://127.0.0.1:5556"
+//
+// Log in as MOCK_OIDC_USER / MOCK_OIDC_PASSWORD (user@example.com / 12341234, the
+// Kubeflow manifests' defaults); tokens live MOCK_OIDC_TOKEN_TTL seconds (300).
+// Kubernetes API paths answer empty lists once authenticated, so the panel loads, and
+// the dashboard's workgroup API lists MOCK_OIDC_NAMESPACE (kubeflow-user-example-com).
+const http = require('node:http');
+const crypto = require('node:crypto');
+
+const port = Number(process.argv[2]) || 5556;
+const issuer = `http://127.0.0.1:${port}`;
+const user = process.env.MOCK_OIDC_USER || 'user@example.com';
+const password = process.env.MOCK_OIDC_PASSWORD || '12341234';
+const tokenTtl = Number(process.env.MOCK_OIDC_TOKEN_TTL) || 300;
+const namespace = process.env.MOCK_OIDC_NAMESPACE || 'kubeflow-user-example-com';
+const SESSION_COOKIE = 'oauth2_proxy_kubeflow';
+const PROXY_CLIENT_ID = 'oauth2-proxy';
+
+const codes = new Map(); // code -> { clientId, redirectUri, challenge, expiresAt }
+const accessTokens = new Map(); // token -> expiresAt
+const refreshTokens = new Set();
+const sessions = new Set();
+
+const randomId = () => crypto.randomBytes(18).toString('base64url');
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+function issueTokens(clientId) {
+  const accessToken = randomId();
+  const refreshToken = randomId();
+  accessTokens.set(accessToken, Date.now() + tokenTtl * 1000);
+  refreshTokens.add(refreshToken);
+  const now = Math.floor(Date.now() / 1000);
+  const part = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const idToken = `${part({ alg: 'none', typ: 'JWT' })}.${part({ iss: issuer, sub: user, email: user, aud: clientId, iat: now, exp: now + tokenTtl })}.`;
+  return {
+    access_token: accessToken,
+    id_token: idToken,
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: tokenTtl
+  };
+}
+
+function loginPage(query, error) {
+  const hidden = ['client_id', 'redirect_uri', 'state', 'code_challenge', 'code_challenge_method']
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(query.get(name) || '')}">`)
+    .join('');
+  return `<!doctype html><title>Mock login</title>${error ? `<p>${escapeHtml(error)}</p>` : ''}
+<form method="post" action="/auth">${hidden}
+<input type="text" name="login" placeholder="Email"><input type="password" name="password"><button type="submit">Login</button>
+</form>`;
+}
+
+function send(res, status, body, headers = {}) {
+  const json = typeof body !== 'string';
+  res.writeHead(status, { 'Content-Type': json ? 'application/json' : 'text/html; charset=utf-8', ...headers });
+  res.end(json ? JSON.stringify(body) : body);
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let data = '';
+    req.on('data', (chunk) => (data += chunk));
+    req.on('end', () => resolve(data));
+  });
+}
+
+async function readForm(req) {
+  return new URLSearchParams(await readBody(req));
+}
+
+function cookies(req) {
+  return Object.fromEntries(
+    String(req.headers.cookie || '')
+      .split(';')
+      .map((pair) => pair.trim().split('='))
+      .filter(([name]) => name)
+  );
+}
+
+function authenticated(req) {
+  const bearer = /^Bearer (.+)$/.exec(req.headers.authorization || '')?.[1];
+  if (bearer) return (accessTokens.get(bearer) || 0) > Date.now();
+  return sessions.has(cookies(req)[SESSION_COOKIE]);
+}
+
+async function handleToken(req, res) {
+  const form = await readForm(req);
+  const grant = form.get('grant_type');
+  if (grant === 'authorization_code') {
+    const code = codes.get(form.get('code'));
+    codes.delete(form.get('code'));
+    const verifier = form.get('code_verifier') || '';
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    if (!code || code.expiresAt < Date.now() || code.redirectUri !== form.get('redirect_uri')) {
+      return send(res, 400, { error: 'invalid_grant', error_description: 'Unknown or expired code' });
+    }
+    if (code.challenge && code.challenge !== challenge) {
+      return send(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+    return send(res, 200, issueTokens(code.clientId));
+  }
+  if (grant === 'refresh_token') {
+    if (!refreshTokens.delete(form.get('refresh_token'))) {
+      return send(res, 400, { error: 'invalid_grant', error_description: 'Token is not active' });
+    }
+    return send(res, 200, issueTokens(form.get('client_id')));
+  }
+  if (grant === 'password') {
+    if (form.get('username') !== user || form.get('password') !== password) {
+      return send(res, 401, { error: 'invalid_grant', error_description: 'Invalid user credentials' });
+    }
+    return send(res, 200, issueTokens(form.get('client_id')));
+  }
+  return send(res, 400, { error: 'unsupported_grant_type' });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, issuer);
+  console.log(req.method, url.pathname);
+
+  if (url.pathname === '/.well-known/openid-configuration') {
+    return send(res, 200, {
+      issuer,
+      authorization_endpoint: `${issuer}/auth`,
+      token_endpoint: `${issuer}/token`,
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code', 'refresh_token', 'password'],
+      code_challenge_methods_supported: ['S256']
+    });
+  }
+  if (url.pathname === '/auth' && req.method === 'GET') return send(res, 200, loginPage(url.searchParams));
+  if (url.pathname === '/auth' && req.method === 'POST') {
+    const form = await readForm(req);
+    if (form.get('login') !== user || form.get('password') !== password) {
+      return send(res, 200, loginPage(form, 'Invalid Email Address and password.'));
+    }
+    const code = randomId();
+    codes.set(code, {
+      clientId: form.get('client_id'),
+      redirectUri: form.get('redirect_uri'),
+      challenge: form.get('code_challenge'),
+      expiresAt: Date.now() + 60000
+    });
+    const redirect = new URL(form.get('redirect_uri'), issuer);
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', form.get('state') || '');
+    return send(res, 303, '', { Location: redirect.href });
+  }
+  if (url.pathname === '/token' && req.method === 'POST') return handleToken(req, res);
+
+  // oauth2-proxy in front of the Kubeflow dashboard and API.
+  if (url.pathname === '/oauth2/callback') {
+    const code = codes.get(url.searchParams.get('code'));
+    codes.delete(url.searchParams.get('code'));
+    if (!code || code.clientId !== PROXY_CLIENT_ID) return send(res, 403, 'Invalid authentication via OAuth2');
+    const session = randomId();
+    sessions.add(session);
+    return send(res, 302, '', {
+      Location: '/',
+      'Set-Cookie': [
+        `${SESSION_COOKIE}=${session}; Path=/; Max-Age=${tokenTtl}; HttpOnly`,
+        `${SESSION_COOKIE}_csrf=; Path=/; Max-Age=0`
+      ]
+    });
+  }
+  if (/^\/apis?\//.test(url.pathname)) {
+    if (!authenticated(req)) {
+      return req.headers.authorization ? send(res, 401, { kind: 'Status', code: 401, message: 'Unauthorized' }) : send(res, 302, '', { Location: '/' });
+    }
+    if (url.pathname === '/api/workgroup/env-info') {
+      return send(res, 200, { user, platform: { kubeflowVersion: 'mock' }, namespaces: [{ user, namespace, role: 'owner' }], isClusterAdmin: false });
+    }
+    if (url.pathname.endsWith('/selfsubjectaccessreviews')) {
+      const review = JSON.parse((await readBody(req)) || '{}');
+      return send(res, 201, { ...review, status: { allowed: review.spec?.resourceAttributes?.namespace === namespace } });
+    }
+    if (url.searchParams.get('watch')) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      setTimeout(() => res.end(), (Number(url.searchParams.get('timeoutSeconds')) || 300) * 1000).unref();
+      return;
+    }
+    return send(res, 200, { kind: 'List', apiVersion: 'v1', items: [], metadata: { resourceVersion: '1' } });
+  }
+  if (!authenticated(req)) {
+    const login = new URL('/auth', issuer);
+    login.search = new URLSearchParams({ client_id: PROXY_CLIENT_ID, redirect_uri: '/oauth2/callback', state: randomId() }).toString();
+    return send(res, 302, '', { Location: login.href, 'Set-Cookie': `${SESSION_COOKIE}_csrf=${randomId()}; Path=/; Max-Age=900` });
+  }
+  return send(res, 200, `<!doctype html><title>Kubeflow</title><p>Logged in as ${escapeHtml(user)}</p>`);
+});
+
+server.listen(port, '127.0.0.1', () => console.log(`Mock OIDC provider and oauth2-proxy on ${issuer} (${user})`));
@@ -0,0 +1,138 @@
+// Job diagnosis: which rule explains a snapshot of the job, its pods, events and logs.
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const { describe, it } = require('node:test');
+
+// The rules are pure; an empty module stands in for VS Code.
+const load = Module._load;
+Module._load = function (request, ...rest) {
+  return request === 'vscode' ? {} : load.call(this, request, ...rest);
+};
+const { diagnoseJob } = require('../extension.js');
+Module._load = load;
+
+const failedCondition = { type: 'Failed', status: 'True', reason: 'PyTorchJobFailed', message: 'Master failed', lastTransitionTime: '2026-01-01T00:05:00Z' };
+const job = (status = { conditions: [failedCondition] }, labels = {}) => ({
+  kind: 'PyTorchJob',
+  metadata: { name: 'pt', namespace: 'team-a', labels },
+  status
+});
+const command = ['/bin/sh', '-c', 'pip install timm && python train.py'];
+const pod = (name, status, spec = {}) => ({
+  metadata: { name: `pt-${name}` },
+  spec: { containers: [{ name: 'pytorch', image: 'img:1', command, resources: { limits: { memory: '16Gi', 'nvidia.com/gpu': 4 }, requests: { 'nvidia.com/gpu': 4 } } }], ...spec },
+  status
+});
+const container = (fields) => ({ name: 'pytorch', image: 'img:1', restartCount: 0, ...fields });
+const terminated = (exitCode, reason = 'Error') => ({ terminated: { exitCode, reason } });
+const podEvent = (name, reason, message) => ({ type: 'Warning', reason, message, involvedObject: { kind: 'Pod', name: `pt-${name}` } });
+const diagnose = ({ status, labels, pods = [], events = [], logs = {} }) => diagnoseJob({ job: job(status, labels), pods, events, logs });
+const titles = (findings) => findings.map((f) => f.title);
+
+describe('diagnoseJob', () => {
+  it('explains a suspended job without pods by its Kueue queue', () => {
+    const [finding] = diagnose({ status: { conditions: [{ type: 'Suspended', status: 'True' }] }, labels: { 'kueue.x-k8s.io/queue-name': 'gpu' } });
+    assert.equal(finding.title, 'Waiting for Kueue to admit the job from queue gpu');
+    assert.equal(finding.severity, 'warning');
+  });
+
+  it('names the missing resource, taint and claim of unschedulable pods', () => {
+    const message =
+      '0/3 nodes are available: 2 Insufficient nvidia.com/gpu, 1 node(s) had untolerated taint {dedicated: infra}, persistentvolumeclaim "data" not found.';
+    const [finding] = diagnose({
+      pods: [pod('worker-0', { phase: 'Pending' })],
+      events: [podEvent('worker-0', 'FailedScheduling', message)]
+    });
+    assert.equal(finding.title, 'Pods cannot be scheduled');
+    assert.match(finding.detail, /No node has 4 GPUs free/);
+    assert.match(finding.fix, /"tolerations": \["dedicated"\]/);
+    assert.match(finding.detail, /PersistentVolumeClaim data does not exist/);
+    assert.deepEqual(finding.pods, ['worker-0']);
+  });
+
+  it('treats pending pods as waiting while the autoscaler adds a node', () => {
+    const [finding] = diagnose({
+      status: { conditions: [{ type: 'Created', status: 'True' }] },
+      pods: [pod('worker-0', { phase: 'Pending' })],
+      events: [podEvent('worker-0', 'FailedScheduling', '0/3 nodes are available: 3 Insufficient cpu.'), podEvent('worker-0', 'TriggeredScaleUp', 'pod triggered scale-up')]
+    });
+    assert.equal(finding.title, 'Pods wait for the cluster autoscaler to add a node');
+    assert.equal(finding.severity, 'warning');
+  });
+
+  it('tells a missing image from a refused one', () => {
+    const pulling = { phase: 'Pending', containerStatuses: [container({ state: { waiting: { reason: 'ImagePullBackOff' } } })] };
+    const missing = diagnose({ pods: [pod('worker-0', pulling)], events: [podEvent('worker-0', 'Failed', 'Failed to pull image "img:1": manifest unknown')] });
+    assert.equal(missing[0].title, 'Image img:1 cannot be pulled');
+    assert.match(missing[0].detail, /does not exist/);
+    const refused = diagnose({ pods: [pod('worker-0', pulling)], events: [podEvent('worker-0', 'Failed', 'Failed to pull image "img:1": 401 Unauthorized')] });
+    assert.match(refused[0].fix, /image pull secret/);
+  });
+
+  it('points at the missing Secret of a container that cannot be created', () => {
+    const waiting = { reason: 'CreateContainerConfigError', message: 'secret "wandb" not found' };
+    const [finding] = diagnose({ pods: [pod('worker-0', { phase: 'Pending', containerStatuses: [container({ state: { waiting } })] })] });
+    assert.equal(finding.title, 'Container pytorch cannot be created');
+    assert.match(finding.fix, /Create the secret wandb/);
+  });
+
+  it('explains evictions and OOM kills instead of reporting them as crashes', () => {
+    const findings = diagnose({
+      pods: [
+        pod('master-0', { phase: 'Failed', reason: 'Evicted', message: 'The node was low on resource: ephemeral-storage.' }),
+        pod('worker-0', { phase: 'Failed', containerStatuses: [container({ state: terminated(137, 'OOMKilled') })] }, { volumes: [{ name: 'dshm', emptyDir: { medium: 'Memory' } }] })
+      ]
+    });
+    assert.deepEqual(titles(findings), ['Pods were evicted from their node', 'Container pytorch ran out of memory']);
+    assert.match(findings[0].fix, /PVC/);
+    assert.match(findings[1].detail, /16Gi/);
+    assert.match(findings[1].fix, /shmSize/);
+  });
+
+  it('recognises failed dependency installs from the log and merges repeated pods', () => {
+    const failed = { phase: 'Failed', containerStatuses: [container({ state: terminated(1) })] };
+    const log = 'Collecting timmx\nERROR: Could not find a version that satisfies the requirement timmx (from versions: none)\n';
+    const findings = diagnose({
+      pods: [pod('worker-0', failed), pod('worker-1', failed)],
+      logs: { 'pt-worker-0/pytorch': log, 'pt-worker-1/pytorch': log }
+    });
+    assert.deepEqual(titles(findings), ['pip cannot find a package before the script starts']);
+    assert.deepEqual(findings[0].pods, ['worker-0', 'worker-1']);
+  });
+
+  it('reports crashes with the exit code and the Python exception', () => {
+    const status = { phase: 'Running', containerStatuses: [container({ restartCount: 3, state: { waiting: { reason: 'CrashLoopBackOff' } }, lastState: terminated(1) })] };
+    const log = 'Traceback (most recent call last):\n  File "train.py", line 1, in <module>\nModuleNotFoundError: No module named \'foo\'\n';
+    const [finding] = diagnose({ pods: [pod('worker-0', status)], logs: { 'pt-worker-0/pytorch': log } });
+    assert.equal(finding.title, 'Container pytorch keeps crashing (3 restarts)');
+    assert.match(finding.detail, /Exit code 1/);
+    assert.match(finding.detail, /ModuleNotFoundError: No module named 'foo'/);
+    assert.match(finding.fix, /missing package to `pip`/);
+  });
+
+  it('lists errors before warnings and adds job events', () => {
+    const findings = diagnose({
+      pods: [pod('worker-0', { phase: 'Failed', containerStatuses: [container({ state: terminated(137, 'OOMKilled') })] })],
+      events: [{ type: 'Warning', reason: 'FailedCreatePod', message: 'exceeded quota: team-a', involvedObject: { kind: 'PyTorchJob', name: 'pt' } }]
+    });
+    assert.deepEqual(titles(findings), ['Container pytorch ran out of memory', 'FailedCreatePod on the job']);
+    assert.deepEqual(findings.map((f) => f.severity), ['error', 'warning']);
+    assert.match(findings[1].fix, /ResourceQuota/);
+  });
+
+  it('falls back to the Failed condition when no rule explains the failure', () => {
+    const findings = diagnose({ events: [{ type: 'Warning', reason: 'Odd', message: 'x', involvedObject: { kind: 'PyTorchJob', name: 'pt' } }] });
+    assert.deepEqual(titles(findings), ['The job failed', 'Odd on the job']);
+    assert.equal(findings[0].detail, 'PyTorchJobFailed: Master failed');
+  });
+
+  it('finds nothing for a healthy running job', () => {
+    const running = { phase: 'Running', containerStatuses: [container({ state: { running: {} } })] };
+    const findings = diagnose({
+      status: { conditions: [{ type: 'Running', status: 'True' }] },
+      pods: [pod('master-0', running), pod('worker-0', running)],
+      events: [{ type: 'Normal', reason: 'Started', message: 'Started container', involvedObject: { kind: 'Pod', name: 'pt-master-0' } }]
+    });
+    assert.deepEqual(findings, []);
+  });
+});
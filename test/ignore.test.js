@@ -0,0 +1,88 @@
+// .gitignore/.kflowignore matching used when packaging the code.
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const { describe, it } = require('node:test');
+
+// The matcher is pure; an empty module stands in for VS Code.
+const load = Module._load;
+Module._load = function (request, ...rest) {
+  return request === 'vscode' ? {} : load.call(this, request, ...rest);
+};
+const { compileIgnorePattern, isIgnoredPath } = require('../extension.js');
+Module._load = load;
+
+// Rules of an ignore file in `baseDir` ('' for the root), in file order.
+const rules = (lines, baseDir = '') => lines.map((line) => compileIgnorePattern(line, baseDir)).filter(Boolean);
+const ignored = (ruleList, relPath, isDir = false) => isIgnoredPath(ruleList, relPath, isDir);
+
+describe('compileIgnorePattern', () => {
+  it('skips blank lines and comments and keeps escaped # and !', () => {
+    assert.equal(compileIgnorePattern('', ''), undefined);
+    assert.equal(compileIgnorePattern('   ', ''), undefined);
+    assert.equal(compileIgnorePattern('# comment', ''), undefined);
+    assert.ok(ignored(rules(['\\#notes.txt']), '#notes.txt'));
+    assert.ok(ignored(rules(['\\!important']), '!important'));
+  });
+});
+
+describe('isIgnoredPath', () => {
+  it('matches unanchored patterns at any depth', () => {
+    const r = rules(['*.log', 'build']);
+    assert.ok(ignored(r, 'train.log'));
+    assert.ok(ignored(r, 'runs/a/train.log'));
+    assert.ok(ignored(r, 'src/build', true));
+    assert.ok(!ignored(r, 'train.py'));
+    assert.ok(!ignored(r, 'logs.txt'));
+  });
+
+  it('anchors patterns that contain a slash to the ignore file folder', () => {
+    const r = rules(['/data', 'out/*.bin']);
+    assert.ok(ignored(r, 'data', true));
+    assert.ok(!ignored(r, 'src/data', true));
+    assert.ok(ignored(r, 'out/model.bin'));
+    assert.ok(!ignored(r, 'src/out/model.bin'));
+    assert.ok(!ignored(r, 'out/sub/model.bin'));
+  });
+
+  it('applies directory-only patterns to directories only', () => {
+    const r = rules(['cache/']);
+    assert.ok(ignored(r, 'cache', true));
+    assert.ok(ignored(r, 'src/cache', true));
+    assert.ok(!ignored(r, 'cache', false));
+  });
+
+  it('matches ** across any number of folders', () => {
+    const r = rules(['**/checkpoints', 'logs/**', 'a/**/b.txt']);
+    assert.ok(ignored(r, 'checkpoints', true));
+    assert.ok(ignored(r, 'x/y/checkpoints', true));
+    assert.ok(ignored(r, 'logs/2024/run.txt'));
+    assert.ok(ignored(r, 'a/b.txt'));
+    assert.ok(ignored(r, 'a/x/y/b.txt'));
+    assert.ok(!ignored(r, 'b/a/b.txt'));
+  });
+
+  it('matches ? and character classes within one path segment', () => {
+    const r = rules(['run?.txt', 'ckpt[0-9].pt', 'v[!0-9].bin']);
+    assert.ok(ignored(r, 'run1.txt'));
+    assert.ok(!ignored(r, 'run12.txt'));
+    assert.ok(ignored(r, 'ckpt3.pt'));
+    assert.ok(!ignored(r, 'ckptx.pt'));
+    assert.ok(ignored(r, 'va.bin'));
+    assert.ok(!ignored(r, 'v1.bin'));
+  });
+
+  it('lets the last matching rule win, so negations re-include files', () => {
+    const r = rules(['*.csv', '!keep.csv', 'keep*.csv', '!keep.csv']);
+    assert.ok(ignored(r, 'data.csv'));
+    assert.ok(!ignored(r, 'keep.csv'));
+    assert.ok(ignored(r, 'keep2.csv'));
+  });
+
+  it('scopes rules of a nested ignore file to its folder', () => {
+    const r = [...rules(['*.tmp']), ...rules(['/raw', '!*.tmp'], 'data')];
+    assert.ok(ignored(r, 'data/raw', true));
+    assert.ok(!ignored(r, 'raw', true));
+    assert.ok(!ignored(r, 'data/x.tmp'));
+    assert.ok(ignored(r, 'x.tmp'));
+  });
+});
@@ -0,0 +1,36 @@
+// The run wizard form: options → form fields → options, as used by Clone, Restart and
+// Save as Template.
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const { describe, it } = require('node:test');
+
+// The form functions take the settings as an argument; an empty module stands in for VS Code.
+const load = Module._load;
+Module._load = function (request, ...rest) {
+  return request === 'vscode' ? {} : load.call(this, request, ...rest);
+};
+const { runOptionsToForm, parseRunForm } = require('../extension.js');
+Module._load = load;
+
+const settings = { defaultImage: 'pytorch/pytorch:2.1.0', defaultNamespace: 'team-a' };
+const roundTrip = (options) => parseRunForm(runOptionsToForm({ namespace: 'team-a', scriptPath: '/src/train.py', ...options }, settings), settings);
+
+describe('volumes', () => {
+  it('keeps subPath and readOnly through the form', () => {
+    const volumes = [
+      { claim: 'imagenet.v2', mountPath: '/data', readOnly: true, subPath: 'train/2024' },
+      { claim: 'checkpoints', mountPath: '/ckpt', subPath: 'resnet' },
+      { claim: 'scratch', mountPath: '/scratch' }
+    ];
+    const form = runOptionsToForm({ volumes }, settings);
+    assert.equal(form.volumes, 'imagenet.v2/train/2024:/data:ro\ncheckpoints/resnet:/ckpt\nscratch:/scratch');
+    const { options, errors } = roundTrip({ volumes });
+    assert.deepEqual(errors, {});
+    assert.deepEqual(options.volumes, volumes);
+  });
+
+  it('rejects lines without an absolute mount path', () => {
+    const { errors } = parseRunForm({ ...runOptionsToForm({ namespace: 'team-a' }, settings), volumes: 'data/sub:mnt' }, settings);
+    assert.ok(errors.volumes);
+  });
+});
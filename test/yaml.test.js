@@ -0,0 +1,127 @@
+// Job spec parsing: parseYaml, parseJsonWithLines and the toYaml writer.
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const { describe, it } = require('node:test');
+
+// The parsers do not touch the VS Code API; an empty module is enough to load the extension.
+const load = Module._load;
+Module._load = function (request, ...rest) {
+  return request === 'vscode' ? {} : load.call(this, request, ...rest);
+};
+const { parseYaml, parseJsonWithLines, toYaml } = require('../extension.js');
+Module._load = load;
+
+const yaml = (...lines) => parseYaml(lines.join('\n')).value;
+
+describe('toYaml', () => {
+  it('round-trips through parseYaml', () => {
+    const value = {
+      apiVersion: 'kubeflow.org/v1',
+      metadata: { name: 'train-1', labels: { 'app.kubernetes.io/name': 'train' }, annotations: {} },
+      spec: {
+        replicas: 2,
+        ratio: 0.5,
+        suspend: false,
+        queue: null,
+        args: ['--epochs', '10', 'true', 'null', '1e3', '-1', '', ' padded', 'a: b', 'x #y', '#z', "it's", '"quoted"'],
+        command: ['/bin/sh', '-c', 'pip install -r requirements.txt\npython train.py\n'],
+        script: 'line one\nline two',
+        env: [{ name: 'A', value: '1' }, { name: 'B', valueFrom: { secretKeyRef: { name: 's', key: 'k' } } }],
+        matrix: [[1, 2], [], [{ a: 1 }]],
+        empty: [],
+        '@odd key': 'v',
+        '- dash': '- item'
+      }
+    };
+    assert.deepEqual(parseYaml(toYaml(value)).value, value);
+  });
+
+  it('quotes strings that would read back as another type', () => {
+    assert.equal(toYaml({ a: '10', b: 'true', c: 'null', d: '' }), 'a: "10"\nb: "true"\nc: "null"\nd: ""\n');
+  });
+
+  it('writes multi-line strings as block scalars', () => {
+    assert.equal(toYaml({ run: 'a\nb\n' }), 'run: |\n  a\n  b\n');
+    assert.equal(toYaml({ run: 'a\nb' }), 'run: |-\n  a\n  b\n');
+  });
+});
+
+describe('parseYaml', () => {
+  it('reads literal block scalars with their chomping indicator', () => {
+    assert.deepEqual(yaml('a: |', '  one', '    indented', '', '  two', 'b: 1'), { a: 'one\n  indented\n\ntwo\n', b: 1 });
+    assert.deepEqual(yaml('a: |-', '  one', '  two'), { a: 'one\ntwo' });
+    assert.deepEqual(yaml('- |', '  one', '- two'), ['one\n', 'two']);
+  });
+
+  it('folds > block scalars', () => {
+    assert.deepEqual(yaml('a: >', '  one', '  two', '', '  three'), { a: 'one two\nthree\n' });
+    assert.deepEqual(yaml('a: >-', '  one', '  two'), { a: 'one two' });
+  });
+
+  it('reads quoted scalars and keys', () => {
+    assert.deepEqual(yaml(String.raw`a: "tab\there \"q\""`, "b: 'it''s # not a comment'", '"c d": x # comment'), {
+      a: 'tab\there "q"',
+      b: "it's # not a comment",
+      'c d': 'x'
+    });
+    assert.deepEqual(yaml("a: '10'", 'b: "true"', 'c: 10', 'd: true', 'e: ~'), { a: '10', b: 'true', c: 10, d: true, e: null });
+  });
+
+  it('reads flow collections', () => {
+    assert.deepEqual(yaml('a: [x, "y, z", 3]', 'b: {k: v, n: [1, 2], e: {}}', 'c: []'), {
+      a: ['x', 'y, z', 3],
+      b: { k: 'v', n: [1, 2], e: {} },
+      c: []
+    });
+  });
+
+  it('reads sequences of mappings, including ones at the key indentation', () => {
+    assert.deepEqual(yaml('jobs:', '- name: a', '  gpu: 1', '-', '  name: b'), { jobs: [{ name: 'a', gpu: 1 }, { name: 'b' }] });
+  });
+
+  it('records the line of every value', () => {
+    const { lines } = parseYaml(['jobs:', '  - name: a', '    gpu: 1', '  - name: b'].join('\n'));
+    assert.equal(lines.get('jobs'), 0);
+    assert.equal(lines.get('jobs.0.gpu'), 2);
+    assert.equal(lines.get('jobs.1.name'), 3);
+  });
+
+  it('reports the line of syntax errors', () => {
+    const lineOf = (text) => {
+      try {
+        parseYaml(text);
+      } catch (e) {
+        assert.ok(e.message.endsWith(` at line ${e.line + 1}`), e.message);
+        return e.line;
+      }
+      return assert.fail('expected a syntax error');
+    };
+    assert.equal(lineOf('a: 1\nb: "open'), 1);
+    assert.equal(lineOf('a: 1\n\tb: 2'), 1);
+    assert.equal(lineOf('a:\n  b: 1\n    c: 2'), 2);
+    assert.equal(lineOf('a: 1\n# note\njust text'), 2);
+    assert.equal(lineOf('a: [1, 2'), 0);
+  });
+});
+
+describe('parseJsonWithLines', () => {
+  it('parses JSON and records the line of every value', () => {
+    const { value, lines } = parseJsonWithLines('{\n  "jobs": [\n    { "name": "a",\n      "gpu": 1 }\n  ]\n}');
+    assert.deepEqual(value, { jobs: [{ name: 'a', gpu: 1 }] });
+    assert.equal(lines.get('jobs'), 1);
+    assert.equal(lines.get('jobs.0.name'), 2);
+    assert.equal(lines.get('jobs.0.gpu'), 3);
+  });
+
+  it('reports the line of syntax errors', () => {
+    // Every document below fails on its last line.
+    const failsOnLastLine = (text) => {
+      const line = text.split('\n').length - 1;
+      assert.throws(() => parseJsonWithLines(text), (e) => e.line === line && e.message.endsWith(` at line ${line + 1}`));
+    };
+    failsOnLastLine('{\n  "a": 1,\n  "b" 2');
+    failsOnLastLine('{\n  "a": tru');
+    failsOnLastLine('[1,\n 2,\n "x]');
+    failsOnLastLine('{}\n{}');
+  });
+});